@@ -0,0 +1,358 @@
+const path = require('path');
+const ProjectIndexer = require('./indexer');
+const ModuleResolver = require('./resolver');
+const { compileRule } = require('./gitignore');
+const { rootPackages } = require('./workspaces');
+const { resolveOptions, ANALYSIS_CHECKS } = require('./config');
+const { toPosix } = require('./source-utils');
+
+// Languages whose imports name files, so a file nothing imports is really unreferenced.
+// Go and Rust import packages and modules, and C-family includes aren't resolved.
+const ORPHAN_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.vue', '.svelte', '.py'];
+
+// Python files loaded by the language and its tools rather than imported: package markers,
+// `python -m` targets, pytest fixtures and setuptools scripts
+const PYTHON_ENTRY = /(?:^|\/)(?:__init__|__main__|conftest)\.py$|^setup\.py$/;
+const CONFIG_FILE = /\.(?:config|setup|conf|rc)\.[cm]?[jt]sx?$|\.d\.ts$/;
+
+// Files a detected framework (the project section's `frameworks`) loads by path, relative to
+// the root of the package using it
+const FRAMEWORK_ENTRY = {
+  'Next.js': /^(?:src\/)?(?:middleware|instrumentation)\.[jt]s$/,
+  Nuxt: /^(?:pages|layouts|middleware|plugins|server\/(?:api|routes|middleware))\/|^app\.vue$/,
+  SvelteKit: /^src\/(?:routes\/|hooks\.(?:server|client)\.[jt]s$)/,
+  Remix: /^app\/(?:routes\/|root\.[jt]sx?$|entry\.(?:client|server)\.[jt]sx?$)/,
+  Astro: /^src\/pages\//,
+  Django: /(?:^|\/)(?:manage|wsgi|asgi|settings|urls|admin|apps|models)\.py$|(?:^|\/)migrations\//
+};
+
+// Largest cycle group searched for its shortest cycle from every member
+const MAX_CYCLE_SEARCH = 200;
+
+// Strongly connected components of a directed graph (Map node -> [nodes]), by an iterative
+// Tarjan's algorithm so deep import chains can't overflow the stack
+function stronglyConnected(graph) {
+  let counter = 0;
+  const order = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const visit = node => {
+    order.set(node, counter);
+    low.set(node, counter);
+    counter++;
+    stack.push(node);
+    onStack.add(node);
+  };
+
+  for (const start of graph.keys()) {
+    if (order.has(start)) continue;
+    visit(start);
+    const work = [{ node: start, edge: 0 }];
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const edges = graph.get(frame.node) || [];
+      if (frame.edge < edges.length) {
+        const next = edges[frame.edge++];
+        if (!graph.has(next)) continue;
+        if (!order.has(next)) {
+          visit(next);
+          work.push({ node: next, edge: 0 });
+        } else if (onStack.has(next)) {
+          low.set(frame.node, Math.min(low.get(frame.node), order.get(next)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.node)));
+      }
+      if (low.get(frame.node) === order.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component);
+      }
+    }
+  }
+  return components;
+}
+
+// Shortest cycle inside one component, as [a, b, ..., a], by a breadth-first search from each member
+function shortestCycle(graph, component) {
+  const members = new Set(component);
+  let best = null;
+  for (const start of [...component].sort().slice(0, MAX_CYCLE_SEARCH)) {
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+    let found = null;
+    while (queue.length > 0 && !found) {
+      const node = queue.shift();
+      for (const next of graph.get(node) || []) {
+        if (next === start) {
+          found = node;
+          break;
+        }
+        if (members.has(next) && !previous.has(next)) {
+          previous.set(next, node);
+          queue.push(next);
+        }
+      }
+    }
+    if (!found) continue;
+
+    const cycle = [start];
+    for (let node = found; node !== start; node = previous.get(node)) cycle.splice(1, 0, node);
+    cycle.push(start);
+    if (!best || cycle.length < best.length) best = cycle;
+  }
+  return best;
+}
+
+function findCycles(files) {
+  const graph = new Map(Object.entries(files).map(([filePath, metadata]) => [filePath, metadata.resolvedImports || []]));
+  return stronglyConnected(graph)
+    .filter(component => component.length > 1)
+    .map(component => ({ files: component.sort(), cycle: shortestCycle(graph, component) }))
+    .sort((a, b) => b.files.length - a.files.length || a.files[0].localeCompare(b.files[0]));
+}
+
+// Files that are run rather than imported: package.json main/bin/exports and those of every
+// workspace package, files named by package.json scripts, framework route files, the files a
+// detected framework loads by convention and the configured `analysis.entryPoints` globs
+function findEntryPoints(index, rootDir, patterns) {
+  const files = Object.keys(index.files);
+  const byPosixPath = new Map(files.map(filePath => [toPosix(filePath), filePath]));
+  const entries = new Set();
+  const add = target => {
+    const found = byPosixPath.get(path.posix.normalize(toPosix(target)).replace(/^\.\//, ''));
+    if (found) entries.add(found);
+  };
+
+  const packages = [...rootPackages(rootDir), ...(index.packages || [])];
+  for (const pkg of packages) {
+    (pkg.entryPoints || []).forEach(add);
+    // Without `main` or `exports`, Node loads the package's index.js
+    if (pkg.ecosystem === 'node' && (pkg.entryPoints || []).length === 0) add(path.posix.join(pkg.root || '.', 'index.js'));
+  }
+  const scripts = (index.project && index.project.node && index.project.node.scripts) || {};
+  for (const command of Object.values(scripts)) {
+    String(command).split(/[\s;&|=]+/).forEach(add);
+  }
+  for (const route of index.routes || []) {
+    if (route.framework === 'nextjs') add(route.file);
+  }
+
+  const conventions = ((index.project && index.project.frameworks) || [])
+    .map(framework => FRAMEWORK_ENTRY[framework])
+    .filter(Boolean);
+  const roots = [...new Set(packages.map(pkg => (pkg.root && pkg.root !== '.' ? `${pkg.root}/` : '')))];
+  for (const filePath of files) {
+    const posixPath = toPosix(filePath);
+    const relativePaths = roots.filter(root => posixPath.startsWith(root)).map(root => posixPath.slice(root.length));
+    if (relativePaths.some(relative => conventions.some(regex => regex.test(relative)))) entries.add(filePath);
+  }
+
+  const rules = (patterns || []).map(pattern => compileRule(pattern, '')).filter(Boolean);
+  for (const filePath of files) {
+    if (rules.some(rule => rule.regex.test(toPosix(filePath)))) entries.add(filePath);
+  }
+  return entries;
+}
+
+function findOrphans(files, entryPoints) {
+  return Object.entries(files)
+    .filter(([filePath, metadata]) => {
+      const name = path.posix.basename(toPosix(filePath));
+      return ORPHAN_EXTENSIONS.includes(metadata.extension)
+        && (metadata.importedBy || []).length === 0
+        && !metadata.test
+        && !entryPoints.has(filePath)
+        && !PYTHON_ENTRY.test(toPosix(filePath))
+        && !CONFIG_FILE.test(name);
+    })
+    .map(([filePath]) => filePath)
+    .sort();
+}
+
+// Exported names no project file imports. Only files that something imports are checked (the
+// others are orphans or entry points), and an importer whose language records no imported
+// names, a namespace import or `export *` counts as using every export.
+function findUnusedExports(files, rootDir, entryPoints) {
+  const resolver = new ModuleResolver(rootDir, Object.keys(files));
+  const used = new Map();
+  const markUsed = (target, names) => {
+    if (!used.has(target)) used.set(target, new Set());
+    names.forEach(name => used.get(target).add(name));
+  };
+  const resolveFile = (fromPath, specifier) => {
+    const result = resolver.resolve(fromPath, specifier, files[fromPath].extension);
+    return result && result.internal ? result.internal[0] : null;
+  };
+
+  for (const [filePath, metadata] of Object.entries(files)) {
+    for (const detail of metadata.importDetails || []) {
+      const target = resolveFile(filePath, detail.module);
+      if (target) markUsed(target, detail.names || ['*']);
+      // Python's `from pkg import module` imports a submodule, not a name
+      if (metadata.extension === '.py') {
+        for (const name of detail.names || []) {
+          const submodule = resolveFile(filePath, detail.module.endsWith('.') ? `${detail.module}${name}` : `${detail.module}.${name}`);
+          if (submodule && submodule !== target) markUsed(submodule, ['*']);
+        }
+      }
+    }
+  }
+
+  const unused = [];
+  for (const [filePath, metadata] of Object.entries(files)) {
+    const importers = metadata.importedBy || [];
+    if (!metadata.exports || metadata.exports.length === 0 || importers.length === 0) continue;
+    if (metadata.test || entryPoints.has(filePath)) continue;
+    if (importers.some(importer => !files[importer].importDetails)) continue;
+
+    const names = used.get(filePath) || new Set();
+    if (names.has('*')) continue;
+    const unusedNames = metadata.exports.filter(name => !names.has(name));
+    if (unusedNames.length > 0) unused.push({ file: filePath, names: unusedNames });
+  }
+  return unused.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+// The `analysis` section: import cycles, orphan files and unused exports of a built index
+function analyzeIndex(index, options = {}) {
+  const rootDir = options.rootDir || index.projectRoot;
+  const entryPoints = findEntryPoints(index, rootDir, options.entryPoints);
+  return {
+    entryPoints: [...entryPoints].sort(),
+    cycles: findCycles(index.files),
+    orphans: findOrphans(index.files, entryPoints),
+    unusedExports: findUnusedExports(index.files, rootDir, entryPoints)
+  };
+}
+
+// Number of problems each --fail-on check found
+function countProblems(analysis) {
+  return {
+    cycles: analysis.cycles.length,
+    orphans: analysis.orphans.length,
+    'unused-exports': analysis.unusedExports.reduce((sum, entry) => sum + entry.names.length, 0)
+  };
+}
+
+function formatAnalysis(analysis) {
+  const lines = [];
+  lines.push(`🔁 Import cycles: ${analysis.cycles.length}`);
+  for (const { files, cycle } of analysis.cycles) {
+    lines.push(`  ${cycle.join(' -> ')}${files.length > cycle.length - 1 ? ` (${files.length} files involved)` : ''}`);
+  }
+  lines.push(`🏝️  Orphan files: ${analysis.orphans.length}`);
+  analysis.orphans.forEach(filePath => lines.push(`  ${filePath}`));
+  const unusedCount = countProblems(analysis)['unused-exports'];
+  lines.push(`🗑️  Unused exports: ${unusedCount}${unusedCount > 0 ? ` in ${analysis.unusedExports.length} files` : ''}`);
+  for (const { file, names } of analysis.unusedExports) {
+    lines.push(`  ${file}: ${names.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+const ANALYZE_HELP = `
+Find import cycles, orphan files and unused exports
+
+Usage: claude-index analyze [options]
+
+Builds the index, adds an "analysis" section to it and prints a report. Entry points
+(package.json main/bin/exports, workspace packages, files run by package.json scripts,
+Next.js pages and the analysis.entryPoints config globs) don't count as orphans.
+
+Options:
+  --root <path>         Project root directory (default: current directory)
+  --config <file>       Config file (default: .claudeindexrc.json, claude-index.config.js
+                        or the "claudeIndex" key in package.json)
+  --entry <glob>        Also treat matching files as entry points (repeatable)
+  --fail-on <checks>    Exit with code 1 if any of these found something:
+                        ${ANALYSIS_CHECKS.join(', ')} or all
+  --no-cache            Re-parse every file instead of reusing cached metadata
+  --json                Print the analysis as JSON instead of text
+`;
+
+// Entry point for `claude-index analyze ...`; returns the process exit code
+function runAnalyzeCommand(args) {
+  const options = { entry: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--no-cache') options.useCache = false;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg === '--entry' && i + 1 < args.length) options.entry.push(args[++i]);
+    else if (['--root', '--config', '--fail-on'].includes(arg) && i + 1 < args.length) {
+      options[arg.slice(2)] = args[++i];
+    } else {
+      console.error(`❌ Unknown argument: ${arg}`);
+      options.help = true;
+      options.invalid = true;
+    }
+  }
+
+  if (options.help) {
+    console.log(ANALYZE_HELP);
+    return options.invalid ? 1 : 0;
+  }
+
+  // Indexing progress goes to stderr so --json output stays parseable
+  const log = console.log;
+  console.log = console.error;
+  try {
+    const cliOptions = { rootDir: options.root, configFile: options.config };
+    if (options.useCache === false) cliOptions.useCache = false;
+    const { options: resolved } = resolveOptions(cliOptions);
+
+    let failOn = resolved.failOn || [];
+    if (options['fail-on']) {
+      failOn = options['fail-on'].split(',').map(check => check.trim()).filter(Boolean);
+      if (failOn.includes('all')) failOn = ANALYSIS_CHECKS;
+    }
+    const unknown = failOn.filter(check => !ANALYSIS_CHECKS.includes(check));
+    if (unknown.length > 0) {
+      throw new Error(`unknown --fail-on check "${unknown[0]}" (expected: ${ANALYSIS_CHECKS.join(', ')}, all)`);
+    }
+
+    const indexer = new ProjectIndexer(resolved);
+    const index = indexer.buildIndex();
+    index.analysis = analyzeIndex(index, {
+      rootDir: indexer.rootDir,
+      entryPoints: [...(resolved.entryPoints || []), ...options.entry]
+    });
+    const { outputPath } = indexer.writeIndex(index);
+    console.log(`✅ Project index with analysis written: ${outputPath}`);
+
+    log(options.json ? JSON.stringify(index.analysis, null, 2) : formatAnalysis(index.analysis));
+
+    const problems = countProblems(index.analysis);
+    const failed = failOn.filter(check => problems[check] > 0);
+    if (failed.length > 0) {
+      console.error(`❌ Analysis failed: ${failed.map(check => `${check} (${problems[check]})`).join(', ')}`);
+      return 1;
+    }
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  } finally {
+    console.log = log;
+  }
+}
+
+module.exports = {
+  analyzeIndex,
+  formatAnalysis,
+  runAnalyzeCommand
+};
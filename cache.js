@@ -0,0 +1,115 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Bump when the on-disk cache layout changes
+const CACHE_FORMAT_VERSION = 1;
+
+class IndexCache {
+  constructor(options = {}) {
+    this.cachePath = options.cachePath;
+    this.extractorVersion = String(options.extractorVersion);
+    this.entries = {};
+    this.stats = { reused: 0, reparsed: 0 };
+  }
+
+  static hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.cachePath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+      if (data.formatVersion === CACHE_FORMAT_VERSION && data.entries) {
+        this.entries = data.entries;
+      }
+    } catch (error) {
+      console.warn('Could not read index cache, starting fresh:', error.message);
+      this.entries = {};
+    }
+  }
+
+  save() {
+    const data = {
+      formatVersion: CACHE_FORMAT_VERSION,
+      savedAt: new Date().toISOString(),
+      entries: this.entries
+    };
+
+    try {
+      const tempPath = `${this.cachePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, this.cachePath);
+    } catch (error) {
+      console.warn('Could not write index cache:', error.message);
+    }
+  }
+
+  // Entries are only reusable when produced by the same extractor name@version
+  isCurrent(entry, extractor) {
+    return Boolean(entry) && entry.extractorVersion === this.extractorVersion && entry.extractor === extractor;
+  }
+
+  // Cheap check: same mtime and size means the file is untouched
+  get(relativePath, stat, extractor) {
+    const entry = this.entries[relativePath];
+    if (!this.isCurrent(entry, extractor)) {
+      return null;
+    }
+
+    if (entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) {
+      this.stats.reused++;
+      return { ...entry.metadata };
+    }
+
+    return null;
+  }
+
+  // Fallback check for touched-but-identical files (checkouts, formatters, etc.)
+  getByHash(relativePath, stat, hash, extractor) {
+    const entry = this.entries[relativePath];
+    if (!this.isCurrent(entry, extractor) || entry.hash !== hash) {
+      return null;
+    }
+
+    entry.mtimeMs = stat.mtimeMs;
+    entry.size = stat.size;
+    this.stats.reused++;
+    return { ...entry.metadata };
+  }
+
+  set(relativePath, stat, hash, metadata, extractor) {
+    this.entries[relativePath] = {
+      mtimeMs: stat.mtimeMs,
+      size: stat.size,
+      hash,
+      extractorVersion: this.extractorVersion,
+      extractor,
+      metadata: { ...metadata }
+    };
+    this.stats.reparsed++;
+  }
+
+  delete(relativePath) {
+    delete this.entries[relativePath];
+  }
+
+  // Drop entries for files that no longer exist in the project
+  prune(livePaths) {
+    const live = new Set(livePaths);
+    for (const relativePath of Object.keys(this.entries)) {
+      if (!live.has(relativePath)) {
+        delete this.entries[relativePath];
+      }
+    }
+  }
+
+  resetStats() {
+    this.stats = { reused: 0, reparsed: 0 };
+  }
+}
+
+module.exports = IndexCache;
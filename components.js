@@ -0,0 +1,412 @@
+// Single-file component helpers for Vue and Svelte: splits a file into its
+// <script>/<template>/<style> blocks and collects component-level facts
+// (props, emits, slots, child components) for the `component` metadata section.
+
+const { compact } = require('./signatures');
+const { readBalanced, splitTopLevel, indexOfTopLevel, maskNestedBlocks, skipWhitespace } = require('./source-utils');
+
+// Components that ship with Vue itself rather than with the project
+const VUE_BUILTIN_COMPONENTS = new Set(['Transition', 'TransitionGroup', 'KeepAlive', 'Teleport', 'Suspense', 'Component', 'Slot']);
+
+function parseAttributes(text) {
+  const attributes = {};
+  const attributeRegex = /([\w:@.-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = attributeRegex.exec(text || '')) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1]] = value === undefined ? true : value;
+  }
+  return attributes;
+}
+
+// Top-level blocks as { tag, attributes, start, end } where start/end delimit the block's inner text
+function findComponentBlocks(content) {
+  const blocks = [];
+  const openRegex = /<(script|template|style)(\s[^>]*)?>/gi;
+  let match;
+
+  while ((match = openRegex.exec(content)) !== null) {
+    const tag = match[1].toLowerCase();
+    const start = match.index + match[0].length;
+    let end = -1;
+
+    if (tag === 'template') {
+      // Vue templates nest <template v-if> and <template #slot> blocks
+      const tagRegex = /<(\/?)template\b[^>]*>/gi;
+      tagRegex.lastIndex = start;
+      let depth = 1;
+      let tagMatch;
+      while ((tagMatch = tagRegex.exec(content)) !== null) {
+        depth += tagMatch[1] ? -1 : 1;
+        if (depth === 0) {
+          end = tagMatch.index;
+          break;
+        }
+      }
+    } else {
+      end = content.toLowerCase().indexOf(`</${tag}>`, start);
+    }
+
+    if (end === -1) end = content.length;
+    blocks.push({ tag, attributes: parseAttributes(match[2]), start, end });
+    openRegex.lastIndex = end;
+  }
+
+  return blocks;
+}
+
+// Blanks out everything outside (or inside, with `invert`) the given ranges, keeping offsets and newlines
+function maskRanges(content, ranges, invert = false) {
+  let result = '';
+  for (let i = 0; i < content.length; i++) {
+    const inside = ranges.some(range => range.start <= i && i < range.end);
+    result += inside !== invert || content[i] === '\n' ? content[i] : ' ';
+  }
+  return result;
+}
+
+function stripComments(text) {
+  return text.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*|<!--[\s\S]*?-->/g, match => match.replace(/[^\n]/g, ' '));
+}
+
+function unquote(text) {
+  return text.trim().replace(/^(['"`])(.*)\1$/s, '$2');
+}
+
+// `key: value` entries of an object literal's inner text; shorthand entries have no value
+function parseObjectEntries(text) {
+  return splitTopLevel(stripComments(text)).map(entry => {
+    const colon = indexOfTopLevel(entry, ':');
+    return colon === -1
+      ? { key: unquote(entry.replace(/^\.\.\./, '')) }
+      : { key: unquote(entry.slice(0, colon)), value: entry.slice(colon + 1).trim() };
+  });
+}
+
+function parseStringArray(text) {
+  return splitTopLevel(stripComments(text)).map(unquote).filter(Boolean);
+}
+
+// Members of a TypeScript type literal: [{ name, type, optional, callable }]
+function parseTypeMembers(text) {
+  const members = [];
+  for (const statement of splitTopLevel(stripComments(text).replace(/\n/g, ';'), ';')) {
+    for (const member of splitTopLevel(statement)) {
+      const callable = member.match(/^\(\s*\w+\s*:\s*(['"])([^'"]+)\1/);
+      if (callable) {
+        members.push({ name: callable[2], callable: true });
+        continue;
+      }
+
+      const field = member.match(/^(?:readonly\s+)?(['"]?)([\w$:-]+)\1\s*(\?)?\s*(?::\s*([\s\S]+)|(\([\s\S]*))$/);
+      if (field) {
+        members.push({ name: field[2], type: (field[4] || field[5]).trim(), optional: Boolean(field[3]) });
+      }
+    }
+  }
+  return members;
+}
+
+// Resolves `Props` in defineProps<Props>() to the body of a local interface or type literal
+function resolveTypeBody(script, typeText) {
+  const trimmed = typeText.trim();
+  if (trimmed.startsWith('{')) {
+    const group = readBalanced(trimmed, 0);
+    return group ? group.text : '';
+  }
+
+  const name = trimmed.match(/^\w+/);
+  if (!name) return null;
+  const declaration = new RegExp(`\\b(?:interface\\s+${name[0]}\\b[^{]*|type\\s+${name[0]}\\s*(?:<[^>]*>)?\\s*=\\s*)\\{`).exec(script);
+  if (!declaration) return null;
+  const group = readBalanced(script, declaration.index + declaration[0].length - 1);
+  return group ? group.text : null;
+}
+
+// Reads `macro<Type>(args)` at the macro's index; either part may be missing
+function readMacroCall(script, index, length) {
+  let cursor = skipWhitespace(script, index + length);
+  let typeText = null;
+  if (script[cursor] === '<') {
+    const generics = readBalanced(script, cursor);
+    if (!generics) return null;
+    typeText = generics.text;
+    cursor = skipWhitespace(script, generics.end);
+  }
+  if (script[cursor] !== '(') return null;
+  const args = readBalanced(script, cursor);
+  return args ? { typeText, argsText: args.text.trim(), end: args.end } : null;
+}
+
+// Runtime prop declarations: ['a', 'b'] or { a: String, b: { type: Number, default: 0, required: true } }
+function parseRuntimeProps(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) {
+    const group = readBalanced(trimmed, 0);
+    return group ? parseStringArray(group.text).map(name => ({ name })) : [];
+  }
+  if (!trimmed.startsWith('{')) return [];
+
+  const group = readBalanced(trimmed, 0);
+  return group ? parseObjectEntries(group.text).map(({ key, value }) => {
+    if (!value || !value.startsWith('{')) {
+      return compact({ name: key, type: value });
+    }
+    const options = {};
+    const inner = readBalanced(value, 0);
+    for (const entry of inner ? parseObjectEntries(inner.text) : []) {
+      options[entry.key] = entry.value;
+    }
+    return compact({ name: key, type: options.type, default: options.default, required: options.required === 'true' });
+  }) : [];
+}
+
+function propsFromType(script, typeText) {
+  const body = resolveTypeBody(script, typeText);
+  return body === null ? [] : parseTypeMembers(body)
+    .filter(member => !member.callable)
+    .map(member => compact({ name: member.name, type: member.type, required: !member.optional }));
+}
+
+function emitsFromDeclaration(script, typeText, argsText) {
+  if (typeText) {
+    const body = resolveTypeBody(script, typeText);
+    return body === null ? [] : parseTypeMembers(body).map(member => member.name);
+  }
+  const trimmed = (argsText || '').trim();
+  const group = /^[[{]/.test(trimmed) ? readBalanced(trimmed, 0) : null;
+  if (!group) return [];
+  return trimmed.startsWith('[') ? parseStringArray(group.text) : parseObjectEntries(group.text).map(entry => entry.key);
+}
+
+// The options object of `export default { ... }` / `export default defineComponent({ ... })`
+function findOptionsObject(script) {
+  const match = /export\s+default\s+(?:defineComponent\s*\(\s*)?\{/.exec(script);
+  if (!match) return null;
+  const group = readBalanced(script, match.index + match[0].length - 1);
+  return group ? group.text : null;
+}
+
+// Reads the value of a top-level `key:` in an object literal's inner text
+function readOptionValue(objectText, key) {
+  const masked = maskNestedBlocks(objectText);
+  const match = new RegExp(`(?:^|[,{\\s])${key}\\s*:\\s*`).exec(masked);
+  if (!match) return null;
+  const valueStart = match.index + match[0].length;
+  const group = /[[{]/.test(objectText[valueStart]) ? readBalanced(objectText, valueStart) : null;
+  return group
+    ? objectText.slice(valueStart, group.end)
+    : objectText.slice(valueStart).match(/^[^,\n}]*/)[0].trim();
+}
+
+function toPascalCase(name) {
+  return name.replace(/(^|-)(\w)/g, (_, __, char) => char.toUpperCase());
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+// Maps locally imported identifiers to their import specifiers
+function collectImportSources(script) {
+  const sources = {};
+  const importRegex = /import\s+(?:(\w+)\s*,?\s*)?(?:\{([^}]*)\})?\s*from\s+['"]([^'"]+)['"]/g;
+  let match;
+  while ((match = importRegex.exec(script)) !== null) {
+    if (match[1]) sources[match[1]] = match[3];
+    for (const name of (match[2] || '').split(',')) {
+      const local = name.trim().split(/\s+as\s+/).pop();
+      if (local) sources[local] = match[3];
+    }
+  }
+  return sources;
+}
+
+// PascalCase tags (and kebab-case ones when `allowKebab` is set) used in the template
+function collectChildComponents(template, script, options = {}) {
+  const sources = collectImportSources(script);
+  const tagRegex = /<([A-Z]\w*(?:\.[A-Z]\w*)*|[a-z][a-z\d]*(?:-[a-z\d]+)+)(?=[\s/>])/g;
+  const names = [];
+  let match;
+  while ((match = tagRegex.exec(template)) !== null) {
+    if (match[1].includes('-') && !options.allowKebab) continue;
+    const name = match[1].includes('-') ? toPascalCase(match[1]) : match[1];
+    if (!(options.builtins && options.builtins.has(name))) names.push(name);
+  }
+  return unique(names).map(name => compact({ name, source: sources[name] || sources[name.split('.')[0]] }));
+}
+
+function collectSlots(template) {
+  const slots = [];
+  const slotRegex = /<slot\b([^>]*)>/g;
+  let match;
+  while ((match = slotRegex.exec(template)) !== null) {
+    const name = parseAttributes(match[1]).name;
+    slots.push(typeof name === 'string' ? name : 'default');
+  }
+  return slots;
+}
+
+function collectEmitCalls(text, callee) {
+  const names = [];
+  const emitRegex = new RegExp(`(?:^|[^\\w.])(?:this\\.)?${callee.replace(/\$/g, '\\$')}\\s*\\(\\s*['"\`]([^'"\`]+)['"\`]`, 'g');
+  let match;
+  while ((match = emitRegex.exec(text)) !== null) {
+    names.push(match[1]);
+  }
+  return names;
+}
+
+function extractVueComponent(content, blocks, fileName) {
+  const scriptBlocks = blocks.filter(block => block.tag === 'script');
+  const templateBlock = blocks.find(block => block.tag === 'template');
+  const script = stripComments(maskRanges(content, scriptBlocks));
+  const template = templateBlock ? stripComments(content.slice(templateBlock.start, templateBlock.end)) : '';
+  const options = findOptionsObject(script);
+
+  // Component name: defineOptions({ name }) or the options API `name`, else the file name
+  let name = null;
+  const defineOptions = /\bdefineOptions\s*\(\s*\{/.exec(script);
+  if (defineOptions) {
+    const group = readBalanced(script, defineOptions.index + defineOptions[0].length - 1);
+    name = group && readOptionValue(group.text, 'name');
+  }
+  if (!name && options) name = readOptionValue(options, 'name');
+
+  let props = [];
+  let emits = [];
+  let match;
+
+  const propsRegex = /\bdefineProps\b/g;
+  while ((match = propsRegex.exec(script)) !== null) {
+    const call = readMacroCall(script, match.index, match[0].length);
+    if (!call) continue;
+    props = call.typeText ? propsFromType(script, call.typeText) : parseRuntimeProps(call.argsText);
+
+    // withDefaults(defineProps<Props>(), { count: 0 })
+    const before = script.slice(0, match.index);
+    const withDefaults = before.match(/\bwithDefaults\s*\(\s*$/);
+    if (withDefaults) {
+      const rest = script.slice(call.end).match(/^\s*,\s*/);
+      const group = rest && script[call.end + rest[0].length] === '{' ? readBalanced(script, call.end + rest[0].length) : null;
+      for (const entry of group ? parseObjectEntries(group.text) : []) {
+        const prop = props.find(candidate => candidate.name === entry.key);
+        if (prop && entry.value) prop.default = entry.value;
+      }
+    }
+  }
+  if (props.length === 0 && options) {
+    const value = readOptionValue(options, 'props');
+    if (value) props = parseRuntimeProps(value);
+  }
+
+  const emitsRegex = /\bdefineEmits\b/g;
+  while ((match = emitsRegex.exec(script)) !== null) {
+    const call = readMacroCall(script, match.index, match[0].length);
+    if (call) emits.push(...emitsFromDeclaration(script, call.typeText, call.argsText));
+  }
+  if (options) {
+    const value = readOptionValue(options, 'emits');
+    if (value) emits.push(...emitsFromDeclaration(script, null, value));
+  }
+  emits.push(...collectEmitCalls(script, 'emit'), ...collectEmitCalls(script, '$emit'), ...collectEmitCalls(template, '$emit'));
+
+  const slots = collectSlots(template);
+  const defineSlots = /\bdefineSlots\b/.exec(script);
+  if (defineSlots) {
+    const call = readMacroCall(script, defineSlots.index, defineSlots[0].length);
+    const body = call && call.typeText ? resolveTypeBody(script, call.typeText) : null;
+    if (body) slots.push(...parseTypeMembers(body).map(member => member.name));
+  }
+
+  const setupBlock = scriptBlocks.find(block => block.attributes.setup);
+  const lang = scriptBlocks.map(block => block.attributes.lang).find(value => typeof value === 'string');
+
+  return compact({
+    framework: 'vue',
+    name: name ? unquote(name) : fileName,
+    lang: lang || 'js',
+    setup: Boolean(setupBlock),
+    props,
+    emits: unique(emits),
+    slots: unique(slots),
+    components: collectChildComponents(template, script, { allowKebab: true, builtins: VUE_BUILTIN_COMPONENTS })
+  });
+}
+
+function extractSvelteComponent(content, blocks, fileName) {
+  const scriptBlocks = blocks.filter(block => block.tag === 'script');
+  const instanceBlocks = scriptBlocks.filter(block => block.attributes.context !== 'module' && !block.attributes.module);
+  const script = stripComments(maskRanges(content, instanceBlocks));
+  const template = stripComments(maskRanges(content, blocks.filter(block => block.tag !== 'template'), true))
+    .replace(/<(script|style)\b[^>]*>|<\/(script|style)>/gi, tag => ' '.repeat(tag.length));
+
+  const props = [];
+  let match;
+
+  // Svelte 4: `export let name: Type = value`
+  const exportRegex = /\bexport\s+let\s+(\w+)\s*(?::\s*([^=;\n]+?))?\s*(?:=\s*([^;\n]+?))?\s*;?\s*$/gm;
+  while ((match = exportRegex.exec(script)) !== null) {
+    props.push(compact({ name: match[1], type: match[2], default: match[3], required: match[3] === undefined }));
+  }
+
+  // Svelte 5: `let { a, b = 1 }: Props = $props()`
+  const runesRegex = /\blet\s*\{/g;
+  while ((match = runesRegex.exec(script)) !== null) {
+    const pattern = readBalanced(script, match.index + match[0].length - 1);
+    if (!pattern) continue;
+    const tail = script.slice(pattern.end).match(/^\s*(?::\s*([^=]+?))?\s*=\s*\$props\s*\(/);
+    if (!tail) continue;
+
+    const types = tail[1] ? propsFromType(script, tail[1]) : [];
+    for (const entry of splitTopLevel(stripComments(pattern.text))) {
+      if (entry.startsWith('...')) continue;
+      const eq = indexOfTopLevel(entry, '=');
+      const binding = (eq === -1 ? entry : entry.slice(0, eq)).split(':')[0].trim();
+      const typed = types.find(prop => prop.name === binding) || {};
+      props.push(compact({
+        name: binding,
+        type: typed.type,
+        default: eq === -1 ? undefined : entry.slice(eq + 1).trim(),
+        required: eq === -1 && (types.length === 0 || Boolean(typed.required))
+      }));
+    }
+  }
+
+  // createEventDispatcher() events and forwarded `on:event` directives
+  const emits = [];
+  const dispatcherRegex = /\b(\w+)\s*=\s*createEventDispatcher\b/g;
+  while ((match = dispatcherRegex.exec(script)) !== null) {
+    emits.push(...collectEmitCalls(script, match[1]), ...collectEmitCalls(template, match[1]));
+  }
+  const forwardRegex = /\bon:(\w+)(?=[\s/>])/g;
+  while ((match = forwardRegex.exec(template)) !== null) {
+    emits.push(match[1]);
+  }
+
+  // <slot> elements and Svelte 5 `{@render snippet()}` tags
+  const slots = collectSlots(template);
+  const renderRegex = /\{@render\s+(\w+)\s*\??\.?\s*\(/g;
+  while ((match = renderRegex.exec(template)) !== null) {
+    slots.push(match[1] === 'children' ? 'default' : match[1]);
+  }
+
+  const lang = scriptBlocks.map(block => block.attributes.lang).find(value => typeof value === 'string');
+
+  return compact({
+    framework: 'svelte',
+    name: fileName,
+    lang: lang || 'js',
+    props,
+    emits: unique(emits),
+    slots: unique(slots),
+    components: collectChildComponents(template, script)
+  });
+}
+
+module.exports = {
+  findComponentBlocks,
+  maskRanges,
+  extractVueComponent,
+  extractSvelteComponent
+};
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { OUTPUT_FORMATS } = require('./formatters');
+
+// Searched in this order; the first one found wins
+const CONFIG_FILES = ['.claudeindexrc.json', 'claude-index.config.js'];
+const PACKAGE_JSON_KEY = 'claudeIndex';
+
+class ConfigError extends Error {
+  constructor(message, key, source) {
+    super(source ? `Invalid configuration in ${source}: ${message}` : `Invalid configuration: ${message}`);
+    this.name = 'ConfigError';
+    this.key = key;
+    this.source = source;
+  }
+}
+
+function describe(value) {
+  return JSON.stringify(value) === undefined ? String(value) : JSON.stringify(value);
+}
+
+// Each validator returns an error message, or null when the value is acceptable
+const isStringArray = value => (Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0)
+  ? null : 'must be an array of non-empty strings');
+const isPositiveInteger = value => (Number.isInteger(value) && value > 0 ? null : 'must be a positive integer');
+const isBoolean = value => (typeof value === 'boolean' ? null : 'must be true or false');
+
+// Checks `claude-index analyze --fail-on` can fail on
+const ANALYSIS_CHECKS = ['cycles', 'orphans', 'unused-exports'];
+
+const SCHEMA = {
+  extensions: value => isStringArray(value) || (value.every(ext => ext.startsWith('.')) ? null : 'entries must start with a dot, e.g. ".ts"'),
+  include: isStringArray,
+  exclude: isStringArray,
+  output: value => (typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty file path'),
+  format: value => (OUTPUT_FORMATS.includes(value) ? null : `must be one of: ${OUTPUT_FORMATS.join(', ')}`),
+  indent: value => (Number.isInteger(value) && value >= 0 && value <= 8 ? null : 'must be an integer between 0 and 8'),
+  maxTokens: isPositiveInteger,
+  shard: isBoolean,
+  cache: isBoolean,
+  debounceMs: isPositiveInteger,
+  plugins: isStringArray,
+  languages: {
+    '*': isBoolean
+  },
+  limits: {
+    maxFileSize: isPositiveInteger,
+    maxFiles: isPositiveInteger
+  },
+  docs: {
+    enabled: isBoolean,
+    maxLength: isPositiveInteger
+  },
+  git: {
+    enabled: isBoolean,
+    days: isPositiveInteger,
+    authors: isPositiveInteger
+  },
+  analysis: {
+    entryPoints: isStringArray,
+    failOn: value => isStringArray(value)
+      || (value.every(check => ANALYSIS_CHECKS.includes(check)) ? null : `entries must be one of: ${ANALYSIS_CHECKS.join(', ')}`)
+  }
+};
+
+function validateSection(section, schema, prefix, source) {
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    throw new ConfigError(`${prefix ? `"${prefix}"` : 'the configuration'} must be an object`, prefix, source);
+  }
+
+  for (const [key, value] of Object.entries(section)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const rule = schema[key] || schema['*'];
+
+    if (!rule) {
+      throw new ConfigError(`unknown option "${keyPath}"`, keyPath, source);
+    }
+
+    if (typeof rule === 'function') {
+      const problem = rule(value);
+      if (problem) {
+        throw new ConfigError(`"${keyPath}" ${problem} (got ${describe(value)})`, keyPath, source);
+      }
+    } else {
+      validateSection(value, rule, keyPath, source);
+    }
+  }
+}
+
+// Language names are checked by the indexer once plugins have registered their extractors
+function validateConfig(config, source) {
+  validateSection(config, SCHEMA, '', source);
+  return config;
+}
+
+// Returns { config, source } where source is the file the config came from (or null)
+function loadConfig(rootDir, configPath) {
+  const candidates = configPath ? [path.resolve(rootDir, configPath)] : CONFIG_FILES.map(name => path.join(rootDir, name));
+
+  for (const candidate of candidates) {
+    if (!fs.existsSync(candidate)) {
+      if (configPath) {
+        throw new ConfigError(`config file not found: ${candidate}`, null, null);
+      }
+      continue;
+    }
+
+    const source = path.relative(rootDir, candidate) || candidate;
+    try {
+      if (candidate.endsWith('.js')) {
+        delete require.cache[require.resolve(candidate)];
+        return { config: require(candidate), source };
+      }
+      return { config: JSON.parse(fs.readFileSync(candidate, 'utf8')), source };
+    } catch (error) {
+      throw new ConfigError(`could not be loaded (${error.message})`, null, source);
+    }
+  }
+
+  const packageJsonPath = path.join(rootDir, 'package.json');
+  if (!configPath && fs.existsSync(packageJsonPath)) {
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+      if (packageJson[PACKAGE_JSON_KEY] !== undefined) {
+        return { config: packageJson[PACKAGE_JSON_KEY], source: `package.json#${PACKAGE_JSON_KEY}` };
+      }
+    } catch (error) {
+      // A broken package.json is reported elsewhere; it just doesn't contribute config
+    }
+  }
+
+  return { config: {}, source: null };
+}
+
+// Maps validated config keys onto ProjectIndexer/ProjectWatcher constructor options
+function configToOptions(config) {
+  const options = {};
+  const limits = config.limits || {};
+  const docs = config.docs || {};
+  const git = config.git || {};
+  const analysis = config.analysis || {};
+
+  if (config.extensions) options.supportedExtensions = config.extensions;
+  if (config.include) options.includePatterns = config.include;
+  if (config.exclude) options.excludePatterns = config.exclude;
+  if (config.output) options.outputFile = config.output;
+  if (config.format) options.format = config.format;
+  if (config.indent !== undefined) options.indent = config.indent;
+  if (config.maxTokens) options.maxTokens = config.maxTokens;
+  if (config.shard !== undefined) options.shard = config.shard;
+  if (config.cache !== undefined) options.useCache = config.cache;
+  if (config.debounceMs) options.debounceMs = config.debounceMs;
+  if (config.languages) options.languages = config.languages;
+  if (config.plugins) options.plugins = config.plugins;
+  if (limits.maxFileSize) options.maxFileSize = limits.maxFileSize;
+  if (limits.maxFiles) options.maxFiles = limits.maxFiles;
+  if (docs.enabled !== undefined) options.docs = docs.enabled;
+  if (docs.maxLength) options.docMaxLength = docs.maxLength;
+  if (git.enabled !== undefined) options.git = git.enabled;
+  if (git.days) options.gitDays = git.days;
+  if (git.authors) options.gitAuthors = git.authors;
+  if (analysis.entryPoints) options.entryPoints = analysis.entryPoints;
+  if (analysis.failOn) options.failOn = analysis.failOn;
+
+  return options;
+}
+
+// Loads the project config and layers CLI options over it
+function resolveOptions(cliOptions = {}) {
+  const rootDir = path.resolve(cliOptions.rootDir || process.cwd());
+  const { config, source } = loadConfig(rootDir, cliOptions.configFile);
+  validateConfig(config, source || 'configuration');
+
+  const resolved = { ...configToOptions(config), ...cliOptions, rootDir };
+  delete resolved.configFile;
+  return { options: resolved, source };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  ANALYSIS_CHECKS,
+  ConfigError,
+  loadConfig,
+  validateConfig,
+  configToOptions,
+  resolveOptions
+};
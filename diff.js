@@ -0,0 +1,337 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ProjectIndexer = require('./indexer');
+const IndexQuery = require('./query');
+const { formatSignature } = require('./formatters');
+const { resolveOptions } = require('./config');
+
+// Symbol lists compared file by file
+const DIFF_KEYS = ['functions', 'classes', 'exports'];
+
+// Used to pair removed files with added ones
+const RENAME_KEYS = ['functions', 'classes', 'interfaces', 'types', 'constants', 'exports'];
+const RENAME_THRESHOLD = 0.5;
+
+const SUMMARY_TOTALS = ['totalFunctions', 'totalClasses', 'totalInterfaces', 'totalConstants'];
+
+// name -> signature for one symbol list; methods are keyed as Class.method
+function symbolMap(metadata, key) {
+  const symbols = new Map();
+  for (const symbol of metadata[key] || []) {
+    if (typeof symbol === 'string') {
+      symbols.set(symbol, symbol);
+    } else {
+      const name = symbol.className ? `${symbol.className}.${symbol.name}` : symbol.name;
+      symbols.set(name, symbol.className ? `${symbol.className}.${formatSignature(symbol)}` : formatSignature(symbol));
+    }
+  }
+  return symbols;
+}
+
+function symbolNames(metadata) {
+  const names = new Set();
+  for (const key of RENAME_KEYS) {
+    for (const name of symbolMap(metadata, key).keys()) names.add(`${key}:${name}`);
+  }
+  return names;
+}
+
+// Jaccard similarity of the symbols two files define; files without symbols only match
+// when the name and size are unchanged (a move to another directory)
+function similarity(oldPath, oldMetadata, newPath, newMetadata) {
+  if (path.extname(oldPath) !== path.extname(newPath)) {
+    return 0;
+  }
+  const oldNames = symbolNames(oldMetadata);
+  const newNames = symbolNames(newMetadata);
+  if (oldNames.size === 0 && newNames.size === 0) {
+    return path.basename(oldPath) === path.basename(newPath) && oldMetadata.size === newMetadata.size ? 1 : 0;
+  }
+  let shared = 0;
+  for (const name of oldNames) {
+    if (newNames.has(name)) shared++;
+  }
+  return shared / (oldNames.size + newNames.size - shared);
+}
+
+// Pairs removed and added files, most similar first
+function detectRenames(oldFiles, newFiles, removed, added) {
+  const candidates = [];
+  for (const from of removed) {
+    for (const to of added) {
+      const score = similarity(from, oldFiles[from], to, newFiles[to]);
+      if (score >= RENAME_THRESHOLD) candidates.push({ from, to, score });
+    }
+  }
+
+  const renames = [];
+  const paired = new Set();
+  for (const candidate of candidates.sort((a, b) => b.score - a.score || a.from.localeCompare(b.from))) {
+    if (paired.has(candidate.from) || paired.has(candidate.to)) continue;
+    paired.add(candidate.from);
+    paired.add(candidate.to);
+    renames.push({ from: candidate.from, to: candidate.to, similarity: Math.round(candidate.score * 100) / 100 });
+  }
+  return renames.sort((a, b) => a.to.localeCompare(b.to));
+}
+
+// Added, removed and (for functions) re-signed symbols of one file; null when unchanged
+function diffFile(oldMetadata, newMetadata) {
+  const changes = {};
+  for (const key of DIFF_KEYS) {
+    const before = symbolMap(oldMetadata, key);
+    const after = symbolMap(newMetadata, key);
+    const entry = {
+      added: [...after.keys()].filter(name => !before.has(name)).map(name => after.get(name)),
+      removed: [...before.keys()].filter(name => !after.has(name)).map(name => before.get(name))
+    };
+    if (key === 'functions') {
+      entry.changed = [...after.keys()]
+        .filter(name => before.has(name) && before.get(name) !== after.get(name))
+        .map(name => ({ from: before.get(name), to: after.get(name) }));
+    }
+    if (Object.values(entry).some(list => list.length > 0)) {
+      changes[key] = entry;
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// "from -> to" import edges, internal and external, with old paths mapped through renames
+function importEdges(index, renamed = new Map()) {
+  const edges = new Map();
+  const graph = index.dependencyGraph || { internal: {}, external: {} };
+  const rename = filePath => renamed.get(filePath) || filePath;
+  for (const [from, targets] of Object.entries(graph.internal)) {
+    for (const to of targets) {
+      edges.set(`${rename(from)}\n${rename(to)}`, { from: rename(from), to: rename(to) });
+    }
+  }
+  for (const [name, importers] of Object.entries(graph.external)) {
+    for (const from of importers) {
+      edges.set(`${rename(from)}\n${name}`, { from: rename(from), to: name, external: true });
+    }
+  }
+  return edges;
+}
+
+function summaryDelta(oldIndex, newIndex) {
+  const delta = {};
+  const record = (key, before, after) => {
+    delta[key] = { old: before || 0, new: after || 0, delta: (after || 0) - (before || 0) };
+  };
+  record('totalFiles', oldIndex.totalFiles, newIndex.totalFiles);
+  const oldSummary = oldIndex.summary || {};
+  const newSummary = newIndex.summary || {};
+  for (const key of SUMMARY_TOTALS) {
+    record(key, oldSummary[key], newSummary[key]);
+  }
+
+  const oldExtensions = oldSummary.filesByExtension || {};
+  const newExtensions = newSummary.filesByExtension || {};
+  delta.filesByExtension = {};
+  for (const ext of new Set([...Object.keys(oldExtensions), ...Object.keys(newExtensions)])) {
+    const change = (newExtensions[ext] || 0) - (oldExtensions[ext] || 0);
+    if (change !== 0) delta.filesByExtension[ext] = change;
+  }
+  return delta;
+}
+
+// Structural differences between two indexes: files added, removed and renamed, symbol
+// changes per file, import edges and summary deltas
+function diffIndexes(oldIndex, newIndex) {
+  const oldFiles = oldIndex.files || {};
+  const newFiles = newIndex.files || {};
+  const removedPaths = Object.keys(oldFiles).filter(filePath => !newFiles[filePath]).sort();
+  const addedPaths = Object.keys(newFiles).filter(filePath => !oldFiles[filePath]).sort();
+
+  const renamed = detectRenames(oldFiles, newFiles, removedPaths, addedPaths);
+  const renamedFrom = new Map(renamed.map(({ from, to }) => [from, to]));
+  const renamedTo = new Set(renamed.map(({ to }) => to));
+
+  const changed = {};
+  const pairs = [
+    ...Object.keys(newFiles).filter(filePath => oldFiles[filePath]).map(filePath => [filePath, filePath]),
+    ...renamed.map(({ from, to }) => [from, to])
+  ];
+  for (const [from, to] of pairs.sort((a, b) => a[1].localeCompare(b[1]))) {
+    const changes = diffFile(oldFiles[from], newFiles[to]);
+    if (changes) changed[to] = changes;
+  }
+
+  const oldEdges = importEdges(oldIndex, renamedFrom);
+  const newEdges = importEdges(newIndex);
+  const byEdge = (a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to);
+
+  return {
+    files: {
+      added: addedPaths.filter(filePath => !renamedTo.has(filePath)),
+      removed: removedPaths.filter(filePath => !renamedFrom.has(filePath)),
+      renamed
+    },
+    changed,
+    imports: {
+      added: [...newEdges.keys()].filter(key => !oldEdges.has(key)).map(key => newEdges.get(key)).sort(byEdge),
+      removed: [...oldEdges.keys()].filter(key => !newEdges.has(key)).map(key => oldEdges.get(key)).sort(byEdge)
+    },
+    summary: summaryDelta(oldIndex, newIndex)
+  };
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+function formatDiff(diff) {
+  const lines = [];
+  const totals = Object.entries(diff.summary)
+    .filter(([key]) => key !== 'filesByExtension')
+    .map(([key, { old, new: current, delta }]) => {
+      const label = key.replace(/^total/, '').toLowerCase();
+      return delta === 0 ? `${label} ${current}` : `${label} ${old} → ${current} (${signed(delta)})`;
+    });
+  lines.push(`📊 ${totals.join(', ')}`);
+  const extensions = Object.entries(diff.summary.filesByExtension).map(([ext, delta]) => `${ext} ${signed(delta)}`);
+  if (extensions.length > 0) {
+    lines.push(`   by extension: ${extensions.join(', ')}`);
+  }
+
+  const { added, removed, renamed } = diff.files;
+  if (added.length + removed.length + renamed.length > 0) {
+    lines.push('', `📁 Files: ${added.length} added, ${removed.length} removed, ${renamed.length} renamed`);
+    for (const filePath of added) lines.push(`  + ${filePath}`);
+    for (const filePath of removed) lines.push(`  - ${filePath}`);
+    for (const { from, to } of renamed) lines.push(`  → ${from} → ${to}`);
+  }
+
+  const changedPaths = Object.keys(diff.changed);
+  if (changedPaths.length > 0) {
+    lines.push('', `✏️  Symbols changed in ${changedPaths.length} file${changedPaths.length === 1 ? '' : 's'}`);
+    for (const filePath of changedPaths) {
+      lines.push(`  ${filePath}`);
+      for (const key of DIFF_KEYS) {
+        const entry = diff.changed[filePath][key];
+        if (!entry) continue;
+        const label = key === 'exports' ? 'export' : key.replace(/es$|s$/, '');
+        for (const name of entry.added) lines.push(`    + ${label} ${name}`);
+        for (const name of entry.removed) lines.push(`    - ${label} ${name}`);
+        for (const change of entry.changed || []) lines.push(`    ~ ${label} ${change.from} → ${change.to}`);
+      }
+    }
+  }
+
+  const edges = [...diff.imports.added.map(edge => ['+', edge]), ...diff.imports.removed.map(edge => ['-', edge])];
+  if (edges.length > 0) {
+    lines.push('', `🔗 Imports: ${diff.imports.added.length} new, ${diff.imports.removed.length} dropped`);
+    for (const [sign, edge] of edges) {
+      lines.push(`  ${sign} ${edge.from} → ${edge.to}${edge.external ? ' (package)' : ''}`);
+    }
+  }
+
+  if (lines.length === 1) {
+    lines.push('', 'No structural changes');
+  }
+  return lines.join('\n');
+}
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+// Indexes the project as it was at `ref`, in a temporary git worktree
+function buildIndexAtRef(ref, options) {
+  let topLevel;
+  try {
+    topLevel = git(['rev-parse', '--show-toplevel'], options.rootDir);
+    git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], topLevel);
+  } catch (error) {
+    throw new Error(topLevel ? `"${ref}" is not a commit in ${topLevel}` : `${options.rootDir} is not inside a git repository`);
+  }
+
+  const worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-index-diff-'));
+  try {
+    git(['worktree', 'add', '--detach', worktree, ref], topLevel);
+    const rootDir = path.join(worktree, path.relative(topLevel, options.rootDir));
+    if (!fs.existsSync(rootDir)) {
+      throw new Error(`${path.relative(topLevel, options.rootDir)} does not exist at ${ref}`);
+    }
+    // The configuration as it was at that ref; the cache and output are never touched
+    const { options: resolved } = resolveOptions({ rootDir });
+    return new ProjectIndexer({ ...resolved, useCache: false }).buildIndex();
+  } finally {
+    try {
+      git(['worktree', 'remove', '--force', worktree], topLevel);
+    } catch (error) {
+      console.warn(`⚠️  Could not remove the temporary worktree ${worktree}: ${error.message}`);
+    }
+  }
+}
+
+const DIFF_HELP = `
+Compare two project indexes
+
+Usage: claude-index diff <old.json> [new.json] [options]
+       claude-index diff --ref <git-ref> [options]
+
+With one file, it is compared with the current index file. With --ref, the project as it
+was at <git-ref> is indexed in a temporary worktree and compared with the working tree.
+
+Options:
+  --ref <git-ref>   Compare against the project at this commit, branch or tag
+  --root <path>     Project root directory (default: current directory)
+  --config <file>   Config file (default: .claudeindexrc.json, claude-index.config.js
+                    or the "claudeIndex" key in package.json)
+  --json            Print JSON instead of text
+`;
+
+// Entry point for `claude-index diff ...`; returns the process exit code
+function runDiffCommand(args) {
+  const files = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (['--ref', '--root', '--config'].includes(arg) && i + 1 < args.length) {
+      options[arg.slice(2)] = args[++i];
+    } else files.push(arg);
+  }
+
+  if (options.help || (files.length === 0 && !options.ref) || files.length > (options.ref ? 0 : 2)) {
+    console.log(DIFF_HELP);
+    return options.help ? 0 : 1;
+  }
+
+  // Indexing progress goes to stderr so --json output stays parseable
+  const log = console.log;
+  console.log = console.error;
+  try {
+    const { options: resolved } = resolveOptions({ rootDir: options.root, configFile: options.config });
+    let oldIndex;
+    let newIndex;
+    if (options.ref) {
+      oldIndex = buildIndexAtRef(options.ref, resolved);
+      newIndex = new ProjectIndexer({ ...resolved, useCache: false }).buildIndex();
+    } else {
+      oldIndex = IndexQuery.load(path.resolve(files[0])).index;
+      newIndex = IndexQuery.load(files[1] ? path.resolve(files[1]) : path.resolve(resolved.rootDir, resolved.outputFile || 'PROJECT_INDEX.json')).index;
+    }
+
+    const diff = diffIndexes(oldIndex, newIndex);
+    log(options.json ? JSON.stringify(diff, null, 2) : formatDiff(diff));
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  } finally {
+    console.log = log;
+  }
+}
+
+module.exports = {
+  diffIndexes,
+  formatDiff,
+  runDiffCommand
+};
@@ -0,0 +1,358 @@
+// Doc comment summaries: the comment (or Python docstring) documenting a symbol is reduced
+// to its first sentence plus any parameter and return descriptions.
+
+const DEFAULT_MAX_LENGTH = 160;
+
+// Line comment prefixes that document the declaration below them, per doc style (the
+// extractor's lexer family). `/** ... */` blocks count for every C-like style.
+const LINE_DOC_PREFIXES = {
+  go: ['//'],
+  ruby: ['#'],
+  rust: ['///'],
+  csharp: ['///'],
+  swift: ['///'],
+  c: ['///', '//!'],
+  kotlin: [],
+  java: [],
+  php: [],
+  javascript: []
+};
+
+// Tool directives that sit in comment position without documenting anything
+const DIRECTIVE = /^(?:go:|nolint|\+build|frozen_string_literal|rubocop:|typed:|(?:-\*-\s*)?(?:en)?coding[:=]|eslint|prettier-|@ts-|istanbul |c8 |jshint|global )/;
+
+// Header comments that are boilerplate rather than a description of the file
+const LICENSE_HEADER = /\b(?:copyright|licen[cs]ed?|spdx-license-identifier|all rights reserved)\b/i;
+
+// Statements that open a file rather than declare something
+const FILE_PREAMBLE = /^(?:import\b|from\s|require\b|use\s|using\s|package\s|namespace\s|#include|['"]use strict|(?:const|let|var)\s+\w+\s*=\s*require\()/;
+
+// Lines between a doc comment and its declaration: decorators, annotations, attributes
+const ATTRIBUTE_LINE = /^\s*(?:@[\w.]+(?:\s*\(.*\))?|#\[.*\]|\[[\w.]+(?:\s*\(.*\))?\])\s*$/;
+
+// Commented-out code in a header comment: `def old(): pass`, `import { x } from './x';`, `fn f() {}`
+const CODE_LINE = /[;{}]\s*$|^(?:pass|end|break|continue)$|^(?:def|class|fn|func|fun|function|import|from|export|package|#include|using|require)\b[^.!?]*[(={;:'"]/;
+
+// Where the description ends and tags or sections begin
+const TAG_LINE = /^(?:@\w+|:(?:param|parameter|arg|argument|key|type|returns?|rtype|raises?|yields?)\b|(?:Args|Arguments|Parameters|Params|Returns|Return|Yields|Raises|Throws|Examples?|Notes?|Attributes|See Also|Warning|Todo):\s*$|-\s+(?:Parameters?|Returns?|Throws)\b|#{1,3}\s+\w)/;
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+// Inline markup down to plain text: {@link Foo} -> Foo, `code` -> code, <see cref="Foo"/> -> Foo
+function plainText(text) {
+  return text
+    .replace(/\{@\w+\s+([^}]*)\}/g, '$1')
+    .replace(/<(?:see|seealso|paramref|typeparamref)\s+(?:cref|name|langword)="([^"]*)"\s*\/>/g, '$1')
+    .replace(/<\/?(?:c|code|b|i|em|strong|para)>/g, '')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function firstParagraph(text) {
+  return plainText(text.trim().split(/\n\s*\n/)[0] || '');
+}
+
+function firstSentence(text) {
+  const paragraph = firstParagraph(text);
+  // Common abbreviations (e.g., i.e.) don't end a sentence
+  const match = paragraph.match(/^(.+?(?<!\b(?:e\.g|i\.e|etc|vs|cf))[.!?])(?=\s|$)/i);
+  return match ? match[1] : paragraph;
+}
+
+// Comment text with the markers removed, one entry per line
+function stripBlock(comment) {
+  return comment
+    .replace(/^\/\*+!?/, '')
+    .replace(/\*+\/$/, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*\*(?!\*?\/)\s?/, '').trimEnd());
+}
+
+function stripLines(lines, prefix) {
+  return lines.map(line => line.trim().slice(prefix.length).replace(/^ /, '').trimEnd());
+}
+
+// Continuation lines are folded into the tag or list item they belong to
+function collectTags(lines) {
+  const tags = [];
+  let section = null;
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      section = null;
+      continue;
+    }
+    const header = trimmed.match(/^(Args|Arguments|Parameters|Params|Returns|Return|Yields|Raises|Throws|Examples?|Notes?|Attributes|See Also|Warning|Todo):\s*$/);
+    if (header) {
+      section = header[1];
+      continue;
+    }
+    if (/^(?:@\w+|:\w+|-\s)/.test(trimmed) || (section && /^\s/.test(line) && /^[\w*]+\s*(?:\([^)]*\))?\s*:/.test(trimmed))) {
+      tags.push({ section, text: trimmed });
+    } else if (tags.length > 0 && tags[tags.length - 1].section === section) {
+      tags[tags.length - 1].text += ` ${trimmed}`;
+    } else if (section) {
+      tags.push({ section, text: trimmed });
+    }
+  }
+  return tags;
+}
+
+// @param / :param / Google "Args:" / Swift "- Parameter" entries -> { name: description }
+// and the return description
+function parseTags(lines, maxLength) {
+  const params = {};
+  let returns;
+  const addParam = (name, text) => {
+    // YARD puts the type after the name: `@param name [String] description`
+    const description = plainText(text.replace(/^[-–:]\s*/, '').replace(/^\[[^\]]*\]\s*/, ''));
+    if (name && description) params[name.replace(/^[*$]+/, '')] = truncate(description, maxLength);
+  };
+
+  for (const { section, text } of collectTags(lines)) {
+    let match;
+    if ((match = text.match(/^@(?:param|arg|argument)\s+(?:\{[^}]*\}\s*)?(?:([^\s$]+)\s+(?=\$))?\[?\$?([\w.$]+)(?:=[^\]]*)?\]?\s*([\s\S]*)$/))) {
+      addParam(match[2], match[3]);
+    } else if ((match = text.match(/^@returns?\s+(?:\{[^}]*\}\s*)?([\s\S]*)$/))) {
+      returns = match[1];
+    } else if ((match = text.match(/^:(?:param|parameter|arg|argument|key)\s+(?:[^:]*\s)?([\w*]+):\s*([\s\S]*)$/))) {
+      addParam(match[1], match[2]);
+    } else if ((match = text.match(/^:returns?:\s*([\s\S]*)$/))) {
+      returns = match[1];
+    } else if ((match = text.match(/^-\s+Parameter\s+(\w+):\s*([\s\S]*)$/))) {
+      addParam(match[1], match[2]);
+    } else if ((match = text.match(/^-\s+Returns:\s*([\s\S]*)$/))) {
+      returns = match[1];
+    } else if (section && /^(?:Args|Arguments|Parameters|Params)$/.test(section) && (match = text.match(/^-?\s*([\w*]+)\s*(?:\([^)]*\))?\s*:\s*([\s\S]*)$/))) {
+      addParam(match[1], match[2]);
+    } else if (section && /^Returns?$/.test(section)) {
+      returns = returns ? `${returns} ${text}` : text;
+    }
+  }
+
+  returns = returns && plainText(returns.replace(/^[\w.[\]<>|]+:\s+/, ''));
+  return { params: Object.keys(params).length > 0 ? params : undefined, returns: returns ? truncate(returns, maxLength) : undefined };
+}
+
+// C# XML documentation: <summary>, <param name="x"> and <returns>
+function parseXmlDoc(text, maxLength) {
+  const element = name => {
+    const match = text.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+    return match ? plainText(match[1]) : '';
+  };
+  const params = {};
+  const paramRegex = /<param\s+name="([^"]+)"\s*>([\s\S]*?)<\/param>/g;
+  let match;
+  while ((match = paramRegex.exec(text)) !== null) {
+    const description = plainText(match[2]);
+    if (description) params[match[1]] = truncate(description, maxLength);
+  }
+  return compactDoc({
+    summary: truncate(firstSentence(element('summary')), maxLength),
+    params: Object.keys(params).length > 0 ? params : undefined,
+    returns: element('returns') ? truncate(element('returns'), maxLength) : undefined
+  });
+}
+
+function compactDoc(doc) {
+  const result = {};
+  for (const [key, value] of Object.entries(doc)) {
+    if (value) result[key] = value;
+  }
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
+// { summary, params, returns } from comment text lines (markers already removed)
+function parseDocLines(lines, options = {}) {
+  const maxLength = options.maxLength || DEFAULT_MAX_LENGTH;
+  const text = lines.join('\n');
+  if (/<summary>/.test(text)) {
+    return parseXmlDoc(text, maxLength);
+  }
+
+  const tagStart = lines.findIndex(line => TAG_LINE.test(line.trim()));
+  const description = tagStart === -1 ? lines : lines.slice(0, tagStart);
+  const { params, returns } = parseTags(tagStart === -1 ? [] : lines.slice(tagStart), maxLength);
+  return compactDoc({ summary: truncate(firstSentence(description.join('\n')), maxLength), params, returns });
+}
+
+function lineStart(content, offset) {
+  return content.lastIndexOf('\n', offset - 1) + 1;
+}
+
+// The lines of the line-comment run ending just above `end` that all start with `prefix`
+function lineCommentRun(content, end, prefix) {
+  const lines = [];
+  let cursor = end;
+  while (cursor > 0) {
+    const start = lineStart(content, cursor - 1);
+    const line = content.slice(start, cursor - 1);
+    const trimmed = line.trim();
+    if (!trimmed.startsWith(prefix) || (prefix === '//' && trimmed.startsWith('///')) || (prefix === '#' && trimmed.startsWith('#!'))) {
+      break;
+    }
+    lines.unshift(trimmed);
+    cursor = start;
+  }
+  return lines;
+}
+
+// Doc comment directly above the declaration starting at `offset` (attribute and decorator
+// lines in between are skipped). Returns { summary, params, returns } or undefined.
+function docCommentBefore(content, offset, style, options = {}) {
+  const prefixes = LINE_DOC_PREFIXES[style] || [];
+  let end = lineStart(content, offset);
+  if (content.slice(end, offset).trim()) {
+    // Something precedes the declaration on its own line (`export`, modifiers, `/** x */ foo()`)
+    const before = content.slice(end, offset).trimEnd();
+    if (before.endsWith('*/')) {
+      const open = content.lastIndexOf('/**', end + before.length);
+      if (open !== -1 && open >= end) {
+        return parseDocLines(stripBlock(content.slice(open, end + before.length)), options);
+      }
+    }
+    if (!/^[\s\w@]*$/.test(content.slice(end, offset))) {
+      return undefined;
+    }
+  }
+
+  while (end > 0) {
+    const start = lineStart(content, end - 1);
+    const line = content.slice(start, end - 1);
+    if (ATTRIBUTE_LINE.test(line)) {
+      end = start;
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (trimmed.endsWith('*/')) {
+      const close = start + line.lastIndexOf('*/') + 2;
+      const open = content.lastIndexOf('/*', close - 3);
+      if (open === -1 || !content.startsWith('/**', open) || content.startsWith('/***', open)) {
+        // A plain block comment only documents Go declarations
+        return style === 'go' && open !== -1 ? parseDocLines(stripBlock(content.slice(open, close)), options) : undefined;
+      }
+      return parseDocLines(stripBlock(content.slice(open, close)), options);
+    }
+
+    for (const prefix of prefixes) {
+      const lines = lineCommentRun(content, end, prefix);
+      const body = stripLines(lines, prefix).filter(text => !DIRECTIVE.test(text.trim()));
+      if (body.length > 0) {
+        return parseDocLines(body, options);
+      }
+    }
+    return undefined;
+  }
+  return undefined;
+}
+
+// Lines of the string literal that is the first statement after offset, dedented
+function readDocstring(content, offset) {
+  const rest = content.slice(offset);
+  const match = rest.match(/^(?:[ \t]*(?:#[^\n]*)?\r?\n)*[ \t]*[rRuU]?("""|'''|"|')/);
+  if (!match) {
+    return undefined;
+  }
+  const quote = match[1];
+  const bodyStart = match[0].length;
+  const close = rest.indexOf(quote, bodyStart);
+  if (close === -1 || (quote.length === 1 && rest.slice(bodyStart, close).includes('\n'))) {
+    return undefined;
+  }
+  const lines = rest.slice(bodyStart, close).split('\n');
+  // Later lines carry the body's indentation
+  const indents = lines.slice(1).filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return [lines[0].trim(), ...lines.slice(1).map(line => line.slice(indent).trimEnd())];
+}
+
+// Python docstring after offset (the colon ending a def or class header)
+function docstringAfter(content, offset, options = {}) {
+  const lines = readDocstring(content, offset);
+  return lines && parseDocLines(lines, options);
+}
+
+// Comment runs at the very top of a file (after a shebang or `<?php`), in order. A comment
+// with no blank line before the code below it documents that code rather than the file,
+// except for module docs (`//!`, `/*!`) and Go's package comment.
+function headerComments(content, style) {
+  const comments = [];
+  const opener = content.match(/^(?:#![^\n]*\n|<\?php\b)?/)[0];
+  const linePrefix = style === 'ruby' || style === 'python' ? '#' : '//';
+  let cursor = opener.length;
+
+  while (cursor < content.length) {
+    const start = cursor + content.slice(cursor).match(/^\s*/)[0].length;
+    let end;
+    let lines;
+    if (content.startsWith('/*', start) && style !== 'ruby' && style !== 'python') {
+      const close = content.indexOf('*/', start + 2);
+      if (close === -1) break;
+      end = close + 2;
+      lines = stripBlock(content.slice(start, end));
+    } else if (content.startsWith(linePrefix, start)) {
+      const runLines = [];
+      let lineAt = start;
+      while (content.startsWith(linePrefix, lineAt)) {
+        const lineEnd = content.indexOf('\n', lineAt);
+        end = lineEnd === -1 ? content.length : lineEnd;
+        runLines.push(content.slice(lineAt, end).trim());
+        lineAt = end + 1 + content.slice(end + 1).match(/^[ \t]*/)[0].length;
+      }
+      const prefix = runLines.every(line => line.startsWith('//!')) ? '//!' : linePrefix;
+      lines = stripLines(runLines, prefix).filter(text => !DIRECTIVE.test(text.trim()));
+    } else {
+      break;
+    }
+
+    const gap = content.slice(end).match(/^\s*/)[0];
+    const next = content.slice(end + gap.length, end + gap.length + 40);
+    const moduleLevel = /^\/[/*]!/.test(content.slice(start, start + 3)) || (style === 'go' && next.startsWith('package'));
+    // Imports and directives right below a comment don't claim it the way a declaration does
+    const attached = next.length > 0 && !next.startsWith('/*') && !next.startsWith(linePrefix) && !FILE_PREAMBLE.test(next)
+      && (gap.match(/\n/g) || []).length < 2;
+    if (lines.some(line => line.trim()) && (moduleLevel || !attached)) {
+      comments.push(lines);
+    }
+    cursor = end;
+  }
+  return comments;
+}
+
+// What the file's header comment (or module docstring) says about it, skipping license
+// boilerplate; the first paragraph, capped at maxLength
+function fileDescription(content, style, options = {}) {
+  const maxLength = options.maxLength || DEFAULT_MAX_LENGTH;
+  const candidates = headerComments(content, style);
+  if (style === 'python') {
+    // The module docstring may follow a shebang, encoding line or license comment
+    const docstring = readDocstring(content, content.startsWith('#!') ? content.indexOf('\n') + 1 : 0);
+    if (docstring) candidates.unshift(docstring);
+  }
+
+  for (const comment of candidates) {
+    const text = comment.join('\n');
+    if (LICENSE_HEADER.test(text)) continue;
+    // Code lines break the prose around them into separate paragraphs
+    const lines = comment.map(line => (CODE_LINE.test(line.replace(/\{@[^}]*\}/g, '').trim()) ? '' : line));
+    const xml = text.match(/<summary>([\s\S]*?)<\/summary>/);
+    const tagStart = lines.findIndex(line => TAG_LINE.test(line.trim()));
+    const description = firstParagraph(xml ? xml[1] : (tagStart === -1 ? lines : lines.slice(0, tagStart)).join('\n'));
+    if (description) {
+      return truncate(description, maxLength);
+    }
+  }
+  return undefined;
+}
+
+module.exports = {
+  DEFAULT_MAX_LENGTH,
+  docCommentBefore,
+  docstringAfter,
+  fileDescription,
+  parseDocLines
+};
@@ -0,0 +1,66 @@
+const path = require('path');
+const { LEXER_FAMILIES } = require('./lexer');
+
+// Maps file extensions to metadata extractors. An extractor is
+// { name, version, extensions, extract(content, context), lexer? } where extract returns
+// the language-specific part of a file's metadata (imports, functions, ...). With a
+// lexer family set, extract receives the content with comments and strings blanked.
+class ExtractorRegistry {
+  constructor() {
+    this.byExtension = new Map();
+    this.byName = new Map();
+  }
+
+  register(extensions, extract, options = {}) {
+    const list = Array.isArray(extensions) ? extensions : [extensions];
+    if (typeof extract !== 'function') {
+      throw new Error('Extractor must be a function');
+    }
+    if (!options.name || options.version === undefined) {
+      throw new Error(`Extractor for ${list.join(', ')} must declare a name and a version`);
+    }
+    if (list.length === 0 || !list.every(ext => typeof ext === 'string' && ext.startsWith('.'))) {
+      throw new Error(`Extractor "${options.name}" needs extensions starting with a dot, e.g. ".ts"`);
+    }
+    if (options.lexer !== undefined && !LEXER_FAMILIES.includes(options.lexer)) {
+      throw new Error(`Extractor "${options.name}" has unknown lexer "${options.lexer}" (expected one of: ${LEXER_FAMILIES.join(', ')})`);
+    }
+
+    const extractor = { name: options.name, version: String(options.version), extensions: list, extract, lexer: options.lexer };
+    for (const ext of list) {
+      this.byExtension.set(ext, extractor);
+    }
+    this.byName.set(extractor.name, extractor);
+    return extractor;
+  }
+
+  get(ext) {
+    return this.byExtension.get(ext) || null;
+  }
+
+  names() {
+    return [...this.byName.keys()];
+  }
+
+  extensions() {
+    return [...this.byExtension.keys()];
+  }
+
+  // Loads a plugin by local path (relative to rootDir) or npm package name. A plugin
+  // module exports one extractor descriptor or an array of them.
+  loadPlugin(spec, rootDir) {
+    const isLocal = spec.startsWith('.') || path.isAbsolute(spec);
+    const modulePath = isLocal ? path.resolve(rootDir, spec) : require.resolve(spec, { paths: [rootDir] });
+    const exported = require(modulePath);
+    const descriptors = Array.isArray(exported) ? exported : [exported];
+
+    return descriptors.map(descriptor => {
+      if (!descriptor || typeof descriptor !== 'object') {
+        throw new Error('plugin must export an extractor object or an array of them');
+      }
+      return this.register(descriptor.extensions, descriptor.extract, descriptor);
+    });
+  }
+}
+
+module.exports = ExtractorRegistry;
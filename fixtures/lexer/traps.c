@@ -0,0 +1,21 @@
+#include <stdio.h>
+#include "real.h"
+
+/* int phantom_from_block_comment(void) { return 0; } */
+// static int phantom_from_line_comment(int x);
+
+#if 0
+int phantom_from_disabled_code(void) { return 1; }
+#endif
+
+static const char *HELP = "usage: int phantom_from_string(void);";
+
+int real_function(int value) {
+  if (value > 0) {
+    switch (value) {
+      default: return (value);
+    }
+  }
+  while (value < 0) value++;
+  return sizeof (value);
+}
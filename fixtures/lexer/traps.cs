@@ -0,0 +1,16 @@
+// public void PhantomFromComment() {}
+using System;
+
+public class RealClass
+{
+    private const string Path = @"C:\""public void PhantomFromVerbatim() {}";
+
+    private const string Raw = """
+        public void PhantomFromRawString() {}
+        """;
+
+    public string RealMethod(string text = "public void PhantomDefault() {}")
+    {
+        return $"class PhantomFromInterpolated {text}";
+    }
+}
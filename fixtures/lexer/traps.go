@@ -0,0 +1,21 @@
+package traps
+
+// import "phantom/commented"
+import "fmt"
+
+/*
+func PhantomFromBlockComment() {}
+*/
+
+const query = `
+func PhantomFromRawString() {}
+type PhantomType struct {}
+`
+
+func RealFunction(name string) string {
+	return fmt.Sprintf("func PhantomFromString() { %s }", name)
+}
+
+type RealStruct struct {
+	Tag string `json:"func,omitempty"`
+}
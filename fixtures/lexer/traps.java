@@ -0,0 +1,14 @@
+// public void phantomFromComment() {}
+public class RealClass {
+    /** {@code public static void phantomFromJavadoc(String s) {}} */
+    private static final String SQL = """
+        public void phantomFromTextBlock() {}
+        """;
+
+    public String realMethod(String text) {
+        if (text.isEmpty()) {
+            return "public void phantomFromString() {}";
+        }
+        return text;
+    }
+}
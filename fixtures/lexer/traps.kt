@@ -0,0 +1,12 @@
+// fun phantomFromComment() {}
+/* outer /* nested */ fun phantomFromNestedComment() {} */
+package traps
+
+const val TEMPLATE = """
+fun phantomFromRawString() {}
+class PhantomClass
+"""
+
+class RealClass {
+    fun realMethod(map: Map<String, String>): String = "${map["fun phantomKey()"]} fun phantomFromString()"
+}
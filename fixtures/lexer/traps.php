@@ -0,0 +1,17 @@
+<?php
+// function phantom_from_comment() {}
+# require 'phantom-hash-comment.php';
+require_once __DIR__ . '/real.php';
+
+$html = <<<HTML
+<script>function phantomFromHeredoc() {}</script>
+HTML;
+
+#[Attribute]
+class RealClass
+{
+    public function realMethod($label = 'function phantomDefault() {}'): string
+    {
+        return "class PhantomFromString {}";
+    }
+}
@@ -0,0 +1,29 @@
+# def phantom_from_comment():
+#     pass
+import os  # import phantom_module
+
+PHANTOM_DOC = """
+def phantom_from_string():
+    pass
+
+class PhantomFromString:
+    pass
+"""
+
+
+def real_function(prefix="def phantom_default():", suffix='#'):
+    """Docstring example:
+
+    >>> def phantom_doctest():
+    ...     pass
+    """
+    return f"{prefix}{suffix}"
+
+
+class RealClass:
+    query = "class PhantomFromAttribute: pass"
+
+    def method(self):
+        return '''
+import phantom_in_string
+'''
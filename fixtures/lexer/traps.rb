@@ -0,0 +1,21 @@
+# def phantom_from_comment; end
+require 'json'
+
+=begin
+class PhantomFromBlockComment
+  def phantom_method; end
+end
+=end
+
+SQL = <<~SQL
+  def phantom_from_heredoc
+  end
+SQL
+
+WORDS = %w[def phantom_from_word_list]
+
+module RealModule
+  def self.real_function(label = "def phantom_default; end")
+    "#{label} #{'class PhantomInInterpolation'}"
+  end
+end
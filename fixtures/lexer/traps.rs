@@ -0,0 +1,15 @@
+// fn phantom_from_comment() {}
+/* outer /* nested */ fn phantom_from_nested_comment() {} */
+
+const SQL: &str = r#"
+fn phantom_from_raw_string() {}
+struct PhantomStruct;
+"#;
+
+pub fn real_function<'a>(text: &'a str) -> &'a str {
+    let quote = '"';
+    let _ = "fn phantom_from_string() {}";
+    text
+}
+
+pub struct RealStruct;
@@ -0,0 +1,11 @@
+// func phantomFromComment() {}
+/* outer /* nested */ func phantomFromNestedComment() {} */
+import Foundation
+
+let raw = #"func phantomFromRawString() {} "quoted""#
+
+struct RealStruct {
+    func realMethod(_ values: [String: String]) -> String {
+        return "\(values["func phantomKey()"] ?? "") func phantomFromString()"
+    }
+}
@@ -0,0 +1,31 @@
+// import { phantom } from './commented-import';
+/*
+ * function phantomFromBlockComment() {}
+ * class PhantomClass {}
+ */
+import { real } from './real-import';
+
+/**
+ * Example:
+ *   const PHANTOM_CONST = require('./jsdoc-require');
+ *   export function phantomFromJsDoc(a, b) {}
+ */
+export function realFunction(label = 'function phantomDefault() {}', sep = "//") {
+  return `${label}${sep}`;
+}
+
+const template = `
+  function phantomFromTemplate() {}
+  import x from './template-import';
+  ${realFunction('class PhantomFromInterpolation {}')}
+`;
+
+const SQL = 'CREATE FUNCTION phantom_sql() RETURNS void';
+
+const pattern = /function phantomFromRegex\(\) \/\/ not a comment/;
+
+export class RealClass {
+  method(text = '}') {
+    return text.split('{');
+  }
+}
@@ -0,0 +1,394 @@
+const path = require('path');
+
+const OUTPUT_FORMATS = ['json', 'compact', 'markdown'];
+
+// Default index file name for each format
+const OUTPUT_FILES = {
+  json: 'PROJECT_INDEX.json',
+  compact: 'PROJECT_INDEX.txt',
+  markdown: 'PROJECT_INDEX.md'
+};
+
+// Directory names whose contents are tests; dropped last-resort when over budget
+const TEST_DIRECTORY = /^(?:tests?|__tests__|specs?|e2e|__mocks__|fixtures)$/;
+
+const KIND_ORDER = ['classes', 'interfaces', 'types', 'functions', 'constants'];
+
+// Rough token estimate for LLM context budgeting (about four characters per token)
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function formatParam(param) {
+  let text = param.rest && !param.name.startsWith('*') && !param.name.startsWith('...') ? `...${param.name}` : param.name;
+  if (param.optional) text += '?';
+  if (param.type) text += `: ${param.type}`;
+  if (param.default !== undefined) text += ` = ${param.default}`;
+  return text;
+}
+
+// `name(params): ReturnType` for functions, the bare name for everything else
+function formatSignature(symbol) {
+  if (typeof symbol === 'string') {
+    return symbol;
+  }
+  if (!symbol.params) {
+    return symbol.name;
+  }
+  const returnType = symbol.returnType ? `: ${symbol.returnType}` : '';
+  const typeParameters = symbol.typeParameters ? `<${symbol.typeParameters}>` : '';
+  return `${symbol.name}${typeParameters}(${symbol.params.map(formatParam).join(', ')})${returnType}`;
+}
+
+function symbolPrefix(symbol) {
+  if (typeof symbol === 'string') {
+    return '';
+  }
+  const flags = [];
+  if (symbol.visibility && symbol.visibility !== 'public') flags.push(symbol.visibility);
+  if (symbol.static) flags.push('static');
+  if (symbol.async) flags.push('async');
+  return [...flags, symbol.kind].join(' ');
+}
+
+// Symbols of one file in outline order: each class followed by its methods
+function outlineSymbols(metadata) {
+  const methodsByClass = new Map();
+  const emittedClasses = new Set();
+  const entries = [];
+
+  for (const symbol of metadata.functions || []) {
+    if (symbol.className) {
+      if (!methodsByClass.has(symbol.className)) methodsByClass.set(symbol.className, []);
+      methodsByClass.get(symbol.className).push(symbol);
+    }
+  }
+
+  for (const key of KIND_ORDER) {
+    for (const symbol of metadata[key] || []) {
+      if (key === 'functions' && symbol.className && methodsByClass.has(symbol.className)) continue;
+      if (key === 'constants' && symbol.className) continue;
+      entries.push({ symbol, depth: 0 });
+      if (key === 'classes') {
+        const name = symbol.className ? `${symbol.className}.${symbol.name}` : symbol.name;
+        if (emittedClasses.has(name)) continue;
+        for (const method of methodsByClass.get(name) || []) {
+          entries.push({ symbol: method, depth: 1 });
+        }
+        emittedClasses.add(name);
+      }
+    }
+  }
+
+  // Methods whose class was declared elsewhere (Go receivers, Swift extensions, ...)
+  for (const [className, methods] of methodsByClass) {
+    if (emittedClasses.has(className)) continue;
+    for (const method of methods) {
+      entries.push({ symbol: method, depth: 0 });
+    }
+  }
+
+  return entries;
+}
+
+function fileImports(metadata) {
+  return [...(metadata.resolvedImports || []), ...(metadata.externalImports || []), ...(metadata.unresolvedImports || [])];
+}
+
+function describeOmitted(omitted) {
+  const parts = [];
+  if (omitted.docs) parts.push(`${omitted.docs} doc comments`);
+  if (omitted.privateSymbols) parts.push(`${omitted.privateSymbols} private symbols`);
+  if (omitted.constants) parts.push(`${omitted.constants} constants`);
+  if (omitted.testDirectories && omitted.testDirectories.length > 0) {
+    parts.push(`${omitted.testDirectories.length} test directories (${omitted.testDirectories.join(', ')})`);
+  }
+  return parts.join(', ');
+}
+
+// [kind, commands] pairs of the project section, e.g. ['test', ['pnpm run test']]
+function projectCommands(index) {
+  return Object.entries((index.project && index.project.commands) || {});
+}
+
+function projectFrameworks(index) {
+  return (index.project && index.project.frameworks) || [];
+}
+
+// Totals of the section `claude-index analyze` adds
+function describeAnalysis(analysis) {
+  const unusedExports = analysis.unusedExports.reduce((sum, entry) => sum + entry.names.length, 0);
+  return `${analysis.cycles.length} import cycles, ${analysis.orphans.length} orphan files, ${unusedExports} unused exports`;
+}
+
+// `GET /users/:id -> src/routes/users.js:12 getUser`
+function formatRoute(route) {
+  const location = route.line ? `${route.file}:${route.line}` : route.file;
+  return `${route.method} ${route.path} -> ${location}${route.handler ? ` ${route.handler}` : ''}`;
+}
+
+// Dense line-oriented outline: one line per file, one indented line per symbol
+function renderCompact(index, meta) {
+  const lines = [
+    `# ${path.basename(index.projectRoot)} | ${index.totalFiles} files | ~${meta.tokens} tokens | generated ${index.generatedAt}`,
+    '# file [-> imports] / kind signature :line'
+  ];
+  if (projectFrameworks(index).length > 0) {
+    lines.push(`# stack: ${projectFrameworks(index).join(', ')}`);
+  }
+  if (projectCommands(index).length > 0) {
+    lines.push(`# commands: ${projectCommands(index).map(([kind, commands]) => `${kind}: ${commands.join(', ')}`).join(' | ')}`);
+  }
+  if (meta.omitted) {
+    lines.push(`# omitted to fit ${meta.maxTokens} tokens: ${describeOmitted(meta.omitted)}`);
+  }
+  if (index.summary && index.summary.untestedFiles && index.summary.untestedFiles.length > 0) {
+    lines.push(`# untested: ${index.summary.untestedFiles.join(', ')}`);
+  }
+  if (index.analysis) {
+    lines.push(`# analysis: ${describeAnalysis(index.analysis)}`);
+  }
+  if (index.routes && index.routes.length > 0) {
+    lines.push(`# routes (${index.routes.length}):`);
+    index.routes.forEach(route => lines.push(`#   ${formatRoute(route)}`));
+  }
+
+  for (const filePath of Object.keys(index.files).sort()) {
+    const metadata = index.files[filePath];
+    const imports = fileImports(metadata);
+    let header = filePath;
+    if (metadata.skipped) header += ` (skipped: ${metadata.skipped})`;
+    if (metadata.error) header += ' (error)';
+    if (imports.length > 0) header += ` -> ${imports.join(', ')}`;
+    lines.push(header);
+    if (metadata.description) lines.push(`  # ${metadata.description}`);
+    if (metadata.testsFor) lines.push(`  # tests ${metadata.testsFor.join(', ')}`);
+
+    for (const { symbol, depth } of outlineSymbols(metadata)) {
+      const location = symbol.line ? ` :${symbol.line}` : '';
+      const prefix = symbolPrefix(symbol);
+      const summary = symbol.doc && symbol.doc.summary ? ` — ${symbol.doc.summary}` : '';
+      lines.push(`${'  '.repeat(depth + 1)}${prefix ? `${prefix} ` : ''}${formatSignature(symbol)}${location}${summary}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Readable outline grouped by directory
+function renderMarkdown(index, meta) {
+  const lines = [
+    `# Project Index: ${path.basename(index.projectRoot)}`,
+    '',
+    `_Generated ${index.generatedAt} · ${index.totalFiles} files · ${index.summary.totalFunctions} functions · ${index.summary.totalClasses} classes · ~${meta.tokens} tokens_`
+  ];
+  if (meta.omitted) {
+    lines.push('', `> Omitted to fit ${meta.maxTokens} tokens: ${describeOmitted(meta.omitted)}.`);
+  }
+  if (projectFrameworks(index).length > 0) {
+    lines.push('', `**Stack:** ${projectFrameworks(index).join(', ')}`);
+  }
+  if (projectCommands(index).length > 0) {
+    lines.push('', '**Commands:**', '');
+    for (const [kind, commands] of projectCommands(index)) {
+      lines.push(`- ${kind}: ${commands.map(command => `\`${command}\``).join(', ')}`);
+    }
+  }
+  if (index.summary.untestedFiles && index.summary.untestedFiles.length > 0) {
+    lines.push('', `**Untested:** ${index.summary.untestedFiles.map(name => `\`${name}\``).join(', ')}`);
+  }
+  if (index.analysis) {
+    lines.push('', `**Analysis:** ${describeAnalysis(index.analysis)}`);
+  }
+  if (index.routes && index.routes.length > 0) {
+    lines.push('', '**Routes:**', '');
+    for (const route of index.routes) {
+      const location = route.line ? `${route.file}:${route.line}` : route.file;
+      lines.push(`- \`${route.method} ${route.path}\` — ${location}${route.handler ? ` (\`${route.handler}\`)` : ''}`);
+    }
+  }
+
+  const byDirectory = new Map();
+  for (const filePath of Object.keys(index.files).sort()) {
+    const dir = path.posix.dirname(filePath.split(path.sep).join('/'));
+    if (!byDirectory.has(dir)) byDirectory.set(dir, []);
+    byDirectory.get(dir).push(filePath);
+  }
+
+  for (const [dir, filePaths] of byDirectory) {
+    lines.push('', `## ${dir === '.' ? '(root)' : `${dir}/`}`);
+    for (const filePath of filePaths) {
+      const metadata = index.files[filePath];
+      lines.push('', `### ${path.basename(filePath)}`);
+      if (metadata.skipped) lines.push(`_Skipped: ${metadata.skipped}_`);
+      if (metadata.error) lines.push(`_Error: ${metadata.error}_`);
+      if (metadata.description) lines.push(metadata.description);
+      if (metadata.testsFor) lines.push(`Tests: ${metadata.testsFor.map(name => `\`${name}\``).join(', ')}`);
+
+      const imports = fileImports(metadata);
+      if (imports.length > 0) {
+        lines.push(`Imports: ${imports.map(name => `\`${name}\``).join(', ')}`);
+      }
+      for (const { symbol, depth } of outlineSymbols(metadata)) {
+        const location = symbol.line ? ` (line ${symbol.line})` : '';
+        const prefix = symbolPrefix(symbol);
+        const summary = symbol.doc && symbol.doc.summary ? ` — ${symbol.doc.summary}` : '';
+        lines.push(`${'  '.repeat(depth)}- ${prefix ? `${prefix} ` : ''}\`${formatSignature(symbol)}\`${location}${summary}`);
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// `meta` is { tokens, maxTokens, omitted }; JSON only carries it when a budget is set
+function render(index, format, indent, meta) {
+  if (format === 'compact') return renderCompact(index, meta);
+  if (format === 'markdown') return renderMarkdown(index, meta);
+  const output = meta.maxTokens
+    ? { ...index, budget: { maxTokens: meta.maxTokens, estimatedTokens: meta.tokens, omitted: meta.omitted } }
+    : index;
+  return JSON.stringify(output, null, indent || undefined);
+}
+
+// Copy of the index with some symbols filtered out of every file; the original is untouched
+function filterSymbols(index, keys, predicate) {
+  let removed = 0;
+  const files = {};
+  for (const [filePath, metadata] of Object.entries(index.files)) {
+    const copy = { ...metadata };
+    for (const key of keys) {
+      if (!Array.isArray(copy[key])) continue;
+      copy[key] = copy[key].filter(symbol => {
+        const keep = typeof symbol === 'string' || !predicate(symbol);
+        if (!keep) removed++;
+        return keep;
+      });
+    }
+    files[filePath] = copy;
+  }
+  return { index: { ...index, files }, removed };
+}
+
+// Copy of the index without symbol doc comments and file descriptions
+function withoutDocs(index) {
+  let removed = 0;
+  const files = {};
+  for (const [filePath, metadata] of Object.entries(index.files)) {
+    const { description, ...copy } = metadata;
+    if (description) removed++;
+    for (const key of ['functions', 'classes', 'constants']) {
+      if (!Array.isArray(copy[key])) continue;
+      copy[key] = copy[key].map(symbol => {
+        if (typeof symbol === 'string' || !symbol.doc) return symbol;
+        removed++;
+        const { doc, ...rest } = symbol;
+        return rest;
+      });
+    }
+    files[filePath] = copy;
+  }
+  return { index: { ...index, files }, removed };
+}
+
+function isPrivate(symbol) {
+  return symbol.visibility === 'private' || symbol.name.startsWith('#');
+}
+
+// Test directories, deepest first: `src/app/__tests__` before `test`
+function findTestDirectories(files) {
+  const directories = new Set();
+  for (const filePath of Object.keys(files)) {
+    const parts = filePath.split(/[\\/]/);
+    const testIndex = parts.findIndex((part, i) => i < parts.length - 1 && TEST_DIRECTORY.test(part));
+    if (testIndex !== -1) {
+      directories.add(parts.slice(0, testIndex + 1).join('/'));
+    }
+  }
+  return [...directories].sort((a, b) => b.split('/').length - a.split('/').length || a.localeCompare(b));
+}
+
+function withoutDirectory(index, directory) {
+  const prefix = `${directory}/`;
+  const inDirectory = filePath => filePath.split(path.sep).join('/').startsWith(prefix);
+  const files = {};
+  for (const [filePath, metadata] of Object.entries(index.files)) {
+    if (!inDirectory(filePath)) files[filePath] = metadata;
+  }
+
+  // Drop the directory from the tree without touching the shared original
+  const fileTree = { ...index.fileTree };
+  const parts = directory.split('/');
+  let node = fileTree;
+  for (const part of parts.slice(0, -1)) {
+    if (!node[part] || typeof node[part] !== 'object') break;
+    node[part] = { ...node[part] };
+    node = node[part];
+  }
+  delete node[parts[parts.length - 1]];
+
+  const graph = index.dependencyGraph;
+  const dependencyGraph = graph && {
+    ...graph,
+    internal: Object.fromEntries(Object.entries(graph.internal).filter(([filePath]) => !inDirectory(filePath)))
+  };
+
+  const routes = index.routes && index.routes.filter(route => !inDirectory(route.file));
+
+  return { ...index, files, fileTree, dependencyGraph, routes, totalFiles: Object.keys(files).length };
+}
+
+// Renders the index in the requested format. With maxTokens set, detail is dropped in
+// priority order until it fits: doc comments, then private symbols, then constants, then test directories
+// (deepest first). Returns { text, tokens, omitted } where omitted is null if nothing was cut.
+function formatIndex(index, options = {}) {
+  const format = options.format || 'json';
+  const maxTokens = options.maxTokens || null;
+  let reduced = index;
+  let omitted = null;
+  const size = () => estimateTokens(render(reduced, format, options.indent, { tokens: 0, maxTokens, omitted }));
+
+  if (maxTokens && size() > maxTokens) {
+    omitted = { docs: 0, privateSymbols: 0, constants: 0, testDirectories: [] };
+    const steps = [
+      () => {
+        const result = withoutDocs(reduced);
+        reduced = result.index;
+        omitted.docs = result.removed;
+      },
+      () => {
+        const result = filterSymbols(reduced, ['functions', 'classes', 'constants'], isPrivate);
+        reduced = result.index;
+        omitted.privateSymbols = result.removed;
+      },
+      () => {
+        const result = filterSymbols(reduced, ['constants'], () => true);
+        reduced = result.index;
+        omitted.constants = result.removed;
+      },
+      ...findTestDirectories(index.files).map(directory => () => {
+        reduced = withoutDirectory(reduced, directory);
+        omitted.testDirectories.push(directory);
+      })
+    ];
+
+    for (const step of steps) {
+      step();
+      if (size() <= maxTokens) break;
+    }
+  }
+
+  // Rendered again so the output can state its own size
+  const text = render(reduced, format, options.indent, { tokens: size(), maxTokens, omitted });
+  return { text, tokens: estimateTokens(text), omitted };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  OUTPUT_FILES,
+  estimateTokens,
+  describeOmitted,
+  formatSignature,
+  outlineSymbols,
+  formatIndex
+};
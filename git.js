@@ -0,0 +1,107 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Whole-history logs of large repositories are big; the default 1MB is far too small
+const MAX_BUFFER = 512 * 1024 * 1024;
+
+const RECORD = '\x1e';
+const FIELD = '\x1f';
+
+// Reads history from the local repository containing rootDir. Every method returns null
+// when git is missing or rootDir isn't in a repository, so callers can carry on without it.
+class GitHistory {
+  constructor(rootDir, options = {}) {
+    this.rootDir = rootDir;
+    this.days = options.days || 30;
+    this.authors = options.authors || 3;
+    this.available = null;
+  }
+
+  run(args) {
+    return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+      cwd: this.rootDir,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: MAX_BUFFER
+    });
+  }
+
+  isAvailable() {
+    if (this.available === null) {
+      try {
+        this.available = this.run(['rev-parse', '--is-inside-work-tree']).trim() === 'true';
+      } catch (error) {
+        this.available = false;
+      }
+    }
+    return this.available;
+  }
+
+  // Git paths are relative to rootDir already (--relative); index paths use the OS separator
+  toIndexPaths(output) {
+    return output.split('\n').filter(Boolean).map(name => name.split('/').join(path.sep));
+  }
+
+  // Map of path -> { lastCommit, lastCommitDate, recentCommits, authors } from one pass over
+  // the log. recentCommits counts the last `days` days; authors are the most frequent committers.
+  fileHistory() {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    let output;
+    try {
+      output = this.run(['log', `--format=${RECORD}%H${FIELD}%aI${FIELD}%aN`, '--name-only', '--no-renames', '--relative', '--', '.']);
+    } catch (error) {
+      // A repository without commits yet
+      return new Map();
+    }
+
+    const cutoff = Date.now() - this.days * 24 * 60 * 60 * 1000;
+    const history = new Map();
+    for (const record of output.split(RECORD).slice(1)) {
+      const [header, ...names] = record.split('\n');
+      const [hash, date, author] = header.split(FIELD);
+      const recent = Date.parse(date) >= cutoff;
+
+      for (const filePath of this.toIndexPaths(names.join('\n'))) {
+        let entry = history.get(filePath);
+        if (!entry) {
+          // The log is newest first, so the first commit seen is the latest
+          entry = { lastCommit: hash.slice(0, 12), lastCommitDate: date, recentCommits: 0, authorCounts: new Map() };
+          history.set(filePath, entry);
+        }
+        if (recent) entry.recentCommits++;
+        entry.authorCounts.set(author, (entry.authorCounts.get(author) || 0) + 1);
+      }
+    }
+
+    for (const [filePath, entry] of history) {
+      const { authorCounts, ...rest } = entry;
+      rest.authors = [...authorCounts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, this.authors)
+        .map(([name]) => name);
+      history.set(filePath, rest);
+    }
+    return history;
+  }
+
+  // Files that differ from `ref` in the working tree (committed or not), plus untracked files
+  changedSince(ref) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+    try {
+      this.run(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    } catch (error) {
+      throw new Error(`"${ref}" is not a commit in this repository`);
+    }
+
+    const changed = this.toIndexPaths(this.run(['diff', '--name-only', '--no-renames', '--relative', ref, '--', '.']));
+    const untracked = this.toIndexPaths(this.run(['ls-files', '--others', '--exclude-standard', '--', '.']));
+    return new Set([...changed, ...untracked]);
+  }
+}
+
+module.exports = GitHistory;
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+// Per-directory ignore files, in increasing order of precedence
+const IGNORE_FILES = ['.gitignore', '.claudeindexignore'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// Converts a gitignore glob (without leading `!` or trailing `/`) into a regex source
+function globToRegExp(glob) {
+  let source = '';
+  let i = 0;
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      const atSegmentStart = i === 0 || glob[i - 1] === '/';
+      const atSegmentEnd = i + 2 === glob.length || glob[i + 2] === '/';
+      if (atSegmentStart && atSegmentEnd) {
+        if (i + 2 === glob.length) {
+          // Trailing `/**` matches everything inside; a lone `**` matches everything
+          source += '.*';
+          i += 2;
+        } else {
+          // Leading or middle `**/` matches zero or more directories
+          source += '(?:.*/)?';
+          i += 3;
+        }
+        continue;
+      }
+      // `**` inside a segment behaves like `*`
+      source += '[^/]*';
+      i += 2;
+      continue;
+    }
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        let body = glob.slice(i + 1, close);
+        const negate = body.startsWith('!') || body.startsWith('^');
+        if (negate) body = body.slice(1);
+        source += `[${negate ? '^' : ''}${body.replace(/^\]/, '\\]')}]`;
+        i = close;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[i + 1]);
+      i++;
+    } else {
+      source += escapeRegExp(char);
+    }
+    i++;
+  }
+
+  return source;
+}
+
+// Parses one line of an ignore file; returns null for blanks and comments
+function compileRule(line, baseDir) {
+  let pattern = line.replace(/\r$/, '');
+  if (!pattern.trim() || pattern.startsWith('#')) {
+    return null;
+  }
+
+  // Trailing spaces are ignored unless escaped with a backslash
+  pattern = pattern.replace(/(?<!\\)\s+$/, '').replace(/\\(\s)$/, '$1');
+
+  let negated = false;
+  if (pattern.startsWith('!')) {
+    negated = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  let directoryOnly = false;
+  if (pattern.endsWith('/')) {
+    directoryOnly = true;
+    pattern = pattern.replace(/\/+$/, '');
+  }
+
+  if (!pattern) {
+    return null;
+  }
+
+  // A slash at the start or in the middle anchors the pattern to its ignore file's directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  const body = globToRegExp(pattern);
+
+  return {
+    pattern: line.trim(),
+    negated,
+    directoryOnly,
+    baseDir,
+    regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`)
+  };
+}
+
+function compileRules(lines, baseDir = '') {
+  return lines.map(line => compileRule(line, baseDir)).filter(Boolean);
+}
+
+// Matches project-relative paths against gitignore rules from the root, nested
+// ignore files, .git/info/exclude and any extra patterns supplied by the caller
+class IgnoreMatcher {
+  constructor(rootDir, options = {}) {
+    this.rootDir = rootDir;
+    this.patterns = options.patterns || [];
+    this.readIgnoreFiles = options.readIgnoreFiles !== false;
+    this.reset();
+  }
+
+  // Drops cached ignore files, e.g. after a .gitignore changed on disk
+  reset() {
+    this.directoryRules = new Map();
+    this.decisions = new Map();
+    this.baseRules = compileRules(this.patterns);
+    if (this.readIgnoreFiles) {
+      this.baseRules.push(...compileRules(this.readLines(path.join('.git', 'info', 'exclude'))));
+    }
+  }
+
+  readLines(relativePath) {
+    try {
+      return fs.readFileSync(path.join(this.rootDir, relativePath), 'utf8').split('\n');
+    } catch (error) {
+      return [];
+    }
+  }
+
+  rulesForDirectory(dir) {
+    if (!this.readIgnoreFiles) {
+      return [];
+    }
+
+    if (!this.directoryRules.has(dir)) {
+      const rules = [];
+      for (const fileName of IGNORE_FILES) {
+        rules.push(...compileRules(this.readLines(path.join(dir, fileName)), dir));
+      }
+      this.directoryRules.set(dir, rules);
+    }
+    return this.directoryRules.get(dir);
+  }
+
+  // Last matching rule wins; rules from deeper ignore files come later
+  matchPath(posixPath, isDirectory) {
+    const parts = posixPath.split('/');
+    const ruleSets = [this.baseRules, this.rulesForDirectory('')];
+    for (let i = 1; i < parts.length; i++) {
+      ruleSets.push(this.rulesForDirectory(parts.slice(0, i).join('/')));
+    }
+
+    let ignored = false;
+    for (const rules of ruleSets) {
+      for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) continue;
+        if (ignored !== rule.negated) continue;
+
+        let candidate = posixPath;
+        if (rule.baseDir) {
+          if (!posixPath.startsWith(`${rule.baseDir}/`)) continue;
+          candidate = posixPath.slice(rule.baseDir.length + 1);
+        }
+
+        if (rule.regex.test(candidate)) {
+          ignored = !rule.negated;
+        }
+      }
+    }
+
+    return ignored;
+  }
+
+  // `relativePath` is relative to the root; a path inside an ignored directory is always ignored
+  ignores(relativePath, isDirectory = false) {
+    const posixPath = relativePath.split(path.sep).join('/').replace(/^\.\//, '').replace(/\/$/, '');
+    if (!posixPath || posixPath === '.' || posixPath.startsWith('../')) {
+      return false;
+    }
+
+    const parts = posixPath.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      if (this.isIgnoredDirectory(parts.slice(0, i).join('/'))) {
+        return true;
+      }
+    }
+
+    return isDirectory ? this.isIgnoredDirectory(posixPath) : this.matchPath(posixPath, false);
+  }
+
+  isIgnoredDirectory(posixPath) {
+    if (!this.decisions.has(posixPath)) {
+      this.decisions.set(posixPath, this.matchPath(posixPath, true));
+    }
+    return this.decisions.get(posixPath);
+  }
+}
+
+module.exports = IgnoreMatcher;
+module.exports.globToRegExp = globToRegExp;
+module.exports.compileRule = compileRule;
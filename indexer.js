@@ -2,78 +2,354 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const IndexCache = require('./cache');
+const ModuleResolver = require('./resolver');
+const IgnoreMatcher = require('./gitignore');
+const ExtractorRegistry = require('./extractors');
+const { maskSource, readStringLiteral } = require('./lexer');
+const { findComponentBlocks, maskRanges, extractVueComponent, extractSvelteComponent } = require('./components');
+const { resolveOptions, ConfigError } = require('./config');
+const { OUTPUT_FORMATS, OUTPUT_FILES, formatIndex, describeOmitted } = require('./formatters');
+const { ShardWriter, writeFileAtomic } = require('./shards');
+const GitHistory = require('./git');
+const { DEFAULT_MAX_LENGTH, docCommentBefore, docstringAfter, fileDescription } = require('./docs');
+const { discoverWorkspaces, packageFor, workspaceDependencies } = require('./workspaces');
+const { describeProject } = require('./project');
+const { extractRoutes, collectRoutes } = require('./routes');
+const { isTestFile, extractTests, mapTests } = require('./tests');
+const {
+  readBalanced,
+  findBlockEnd,
+  indexOfTopLevel,
+  maskNestedBlocks,
+  skipWhitespace,
+  skipTrivia,
+  findStatementEnd,
+  findIndentedBlockEnd,
+  findDeclarationEnd,
+  findRubyBlockEnd,
+  findEnclosingRange,
+  splitTopLevel,
+  createLocator
+} = require('./source-utils');
+const {
+  compact,
+  parseJavaScriptParams,
+  parsePythonParams,
+  parseTypedParams,
+  parseGoParams,
+  parseRustParams,
+  parsePhpParams,
+  parseRubyParams,
+  parseKotlinParams,
+  parseSwiftParams
+} = require('./signatures');
+
+// Bump whenever the shared metadata shape changes so cached metadata is re-parsed;
+// changes to a single language bump that extractor's own version instead
+const EXTRACTOR_VERSION = 9;
+
+// Identifiers followed by `(` that are never function names
+const CONTROL_KEYWORDS = new Set([
+  'if', 'for', 'foreach', 'while', 'do', 'switch', 'catch', 'return', 'sizeof', 'typeof', 'nameof', 'alignof',
+  'decltype', 'static_assert', 'using', 'lock', 'fixed', 'synchronized', 'else', 'new', 'throw', 'when', 'defined'
+]);
+
+// Tokens that mark the text before `name(` as a statement rather than a declaration
+const STATEMENT_KEYWORDS = new Set([
+  'return', 'new', 'throw', 'else', 'await', 'yield', 'case', 'goto', 'delete', 'typeof', 'sizeof', 'in', 'is', 'as', 'do', 'using'
+]);
+
+const DECLARATION_MODIFIERS = new Set([
+  'public', 'private', 'protected', 'internal', 'static', 'final', 'abstract', 'synchronized', 'native', 'default',
+  'virtual', 'override', 'sealed', 'async', 'extern', 'unsafe', 'partial', 'readonly', 'inline', 'constexpr',
+  'explicit', 'friend', 'volatile', 'transient', 'strictfp'
+]);
+
+const VISIBILITY_MODIFIERS = ['public', 'private', 'protected', 'internal'];
+const SWIFT_ACCESS_LEVELS = ['open', 'public', 'internal', 'fileprivate', 'private'];
+
+// Built-in extractors; bump a version when that extractor's output changes
+const BUILTIN_EXTRACTORS = [
+  { name: 'javascript', version: 4, lexer: 'javascript', extensions: ['.js', '.jsx', '.ts', '.tsx'], method: 'extractJavaScriptMetadata' },
+  { name: 'python', version: 4, lexer: 'python', extensions: ['.py'], method: 'extractPythonMetadata' },
+  { name: 'java', version: 3, lexer: 'java', extensions: ['.java'], method: 'extractJavaMetadata' },
+  { name: 'c', version: 3, lexer: 'c', extensions: ['.c', '.cpp', '.h'], method: 'extractCMetadata' },
+  { name: 'csharp', version: 3, lexer: 'csharp', extensions: ['.cs'], method: 'extractCSharpMetadata' },
+  { name: 'go', version: 3, lexer: 'go', extensions: ['.go'], method: 'extractGoMetadata' },
+  { name: 'rust', version: 4, lexer: 'rust', extensions: ['.rs'], method: 'extractRustMetadata' },
+  { name: 'php', version: 2, lexer: 'php', extensions: ['.php'], method: 'extractPhpMetadata' },
+  { name: 'ruby', version: 2, lexer: 'ruby', extensions: ['.rb'], method: 'extractRubyMetadata' },
+  { name: 'kotlin', version: 2, lexer: 'kotlin', extensions: ['.kt'], method: 'extractKotlinMetadata' },
+  { name: 'swift', version: 3, lexer: 'swift', extensions: ['.swift'], method: 'extractSwiftMetadata' },
+  { name: 'vue', version: 2, extensions: ['.vue'], method: 'extractVueMetadata' },
+  { name: 'svelte', version: 2, extensions: ['.svelte'], method: 'extractSvelteMetadata' }
+];
+
+// Used for files without an enabled extractor
+const GENERIC_EXTRACTOR = { name: 'generic', version: '1' };
+
+// Per-file lists whose entries are located symbol objects
+const SYMBOL_LISTS = ['functions', 'classes', 'interfaces', 'constants', 'types'];
 
 class ProjectIndexer {
   constructor(options = {}) {
-    this.rootDir = options.rootDir || process.cwd();
-    this.outputFile = options.outputFile || 'PROJECT_INDEX.json';
-    this.ignorePatterns = options.ignorePatterns || this.getDefaultIgnorePatterns();
-    this.supportedExtensions = options.supportedExtensions || [
+    this.rootDir = path.resolve(options.rootDir || process.cwd());
+    this.format = options.format || 'json';
+    this.outputFile = options.outputFile || OUTPUT_FILES[this.format] || OUTPUT_FILES.json;
+    this.ignorePatterns = [
+      ...(options.ignorePatterns || this.getDefaultIgnorePatterns()),
+      ...(options.excludePatterns || [])
+    ];
+    this.includePatterns = options.includePatterns || null;
+    this.supportedExtensions = options.supportedExtensions ? [...options.supportedExtensions] : [
       '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.cpp', '.c', '.h', '.cs', '.php', '.rb', '.go', '.rs', '.kt', '.swift', '.vue', '.svelte'
     ];
+    this.languages = options.languages || {};
+    this.maxFileSize = options.maxFileSize || null;
+    this.maxFiles = options.maxFiles || null;
+    this.indent = options.indent !== undefined ? options.indent : 2;
+    this.maxTokens = options.maxTokens !== undefined ? options.maxTokens : null;
+    this.shard = Boolean(options.shard);
+    this.shardWriter = null;
+    this.legacyFunctions = Boolean(options.legacyFunctions);
+    this.docs = options.docs === false ? null : { maxLength: options.docMaxLength || DEFAULT_MAX_LENGTH };
+    this.git = options.git ? { days: options.gitDays || 30, authors: options.gitAuthors || 3 } : null;
+    this.since = options.since || null;
+    this.changedOnly = Boolean(options.changedOnly);
+    this.gitFiles = null;
+    this.changedFiles = null;
+    this.packageName = options.package || null;
+    this.packageRoot = null;
+    this.workspaces = null;
+    this.useCache = options.useCache !== false;
+    this.cacheFile = options.cacheFile || '.claude-index-cache.json';
+    this.cache = null;
+    this.ignoreMatcher = null;
+    this.includeMatcher = this.includePatterns
+      ? new IgnoreMatcher(this.rootDir, { patterns: this.includePatterns, readIgnoreFiles: false })
+      : null;
+
+    this.extractors = new ExtractorRegistry();
+    for (const builtin of BUILTIN_EXTRACTORS) {
+      this.extractors.register(builtin.extensions, (content, context) => this[builtin.method](content, context), builtin);
+    }
+    for (const plugin of options.plugins || []) {
+      this.loadPlugin(plugin);
+    }
+    this.validateLanguages();
+    this.validateOutput();
+    if (this.changedOnly && !this.since) {
+      throw new ConfigError('changedOnly needs a "since" ref to compare against', 'changedOnly');
+    }
+  }
+
+  // Adds or replaces the extractor for the given extensions; `options` needs { name, version }
+  registerExtractor(extensions, extractorFn, options = {}) {
+    const extractor = this.extractors.register(extensions, extractorFn, options);
+    this.addSupportedExtensions(extractor.extensions);
+    return extractor;
+  }
+
+  loadPlugin(spec) {
+    try {
+      for (const extractor of this.extractors.loadPlugin(spec, this.rootDir)) {
+        this.addSupportedExtensions(extractor.extensions);
+      }
+    } catch (error) {
+      throw new ConfigError(`plugin "${spec}" could not be loaded (${error.message.split('\n')[0]})`, 'plugins');
+    }
+  }
+
+  addSupportedExtensions(extensions) {
+    for (const ext of extensions) {
+      if (!this.supportedExtensions.includes(ext)) {
+        this.supportedExtensions.push(ext);
+      }
+    }
+  }
+
+  validateLanguages() {
+    const known = this.extractors.names();
+    for (const name of Object.keys(this.languages)) {
+      if (!known.includes(name)) {
+        throw new ConfigError(
+          `"languages.${name}" is not a known language (expected one of: ${known.join(', ')})`,
+          `languages.${name}`
+        );
+      }
+    }
+  }
+
+  // --format and --max-tokens bypass config validation, so they are checked here
+  validateOutput() {
+    if (!OUTPUT_FORMATS.includes(this.format)) {
+      throw new ConfigError(`"format" must be one of: ${OUTPUT_FORMATS.join(', ')} (got "${this.format}")`, 'format');
+    }
+    if (this.maxTokens !== null && !(Number.isInteger(this.maxTokens) && this.maxTokens > 0)) {
+      throw new ConfigError(`"maxTokens" must be a positive integer (got ${this.maxTokens})`, 'maxTokens');
+    }
+    if (this.shard && (this.format !== 'json' || this.maxTokens !== null)) {
+      throw new ConfigError('"shard" writes JSON shards and cannot be combined with "format" or "maxTokens"', 'shard');
+    }
+  }
+
+  // Extractors can be switched off in config; those files fall back to generic metadata
+  getExtractor(ext) {
+    const extractor = this.extractors.get(ext);
+    return extractor && this.languages[extractor.name] !== false ? extractor : GENERIC_EXTRACTOR;
+  }
+
+  getCache() {
+    if (!this.useCache) {
+      return null;
+    }
+
+    if (!this.cache) {
+      this.cache = new IndexCache({
+        cachePath: path.join(this.rootDir, this.cacheFile),
+        extractorVersion: this.getExtractorVersion()
+      });
+      this.cache.load();
+    }
+
+    return this.cache;
+  }
+
+  // Shared output shape version; each cache entry also records the extractor that produced it
+  getExtractorVersion() {
+    const variants = [];
+    if (this.legacyFunctions) variants.push('legacy');
+    if (!this.docs) variants.push('nodocs');
+    else if (this.docs.maxLength !== DEFAULT_MAX_LENGTH) variants.push(`docs${this.docs.maxLength}`);
+    return variants.length > 0 ? [EXTRACTOR_VERSION, ...variants].join('-') : EXTRACTOR_VERSION;
   }
 
+  // Built-in patterns in .gitignore syntax; .gitignore files themselves are read by the matcher
   getDefaultIgnorePatterns() {
-    const patterns = [
-      'node_modules/**',
-      '.git/**',
-      'dist/**',
-      'build/**',
+    return [
+      'node_modules/',
+      '.git/',
+      'dist/',
+      'build/',
       '*.min.js',
       '*.map',
-      '.next/**',
-      '.vercel/**',
-      'coverage/**',
-      '__pycache__/**',
+      '.next/',
+      '.vercel/',
+      'coverage/',
+      '__pycache__/',
       '*.pyc',
       '.DS_Store',
       'Thumbs.db'
     ];
+  }
 
-    // Read .gitignore if it exists
-    try {
-      const gitignorePath = path.join(this.rootDir, '.gitignore');
-      if (fs.existsSync(gitignorePath)) {
-        const gitignoreContent = fs.readFileSync(gitignorePath, 'utf8');
-        const gitignorePatterns = gitignoreContent
-          .split('\n')
-          .filter(line => line.trim() && !line.startsWith('#'))
-          .map(line => line.trim());
-        patterns.push(...gitignorePatterns);
-      }
-    } catch (error) {
-      console.warn('Could not read .gitignore:', error.message);
+  getIgnoreMatcher() {
+    if (!this.ignoreMatcher) {
+      this.ignoreMatcher = new IgnoreMatcher(this.rootDir, {
+        // Never index our own output, shards or cache
+        patterns: [...this.ignorePatterns, `/${this.outputFile}`, `/${this.outputFile.replace(/\.json$/, '')}.shards/`, `/${this.cacheFile}`]
+      });
     }
-
-    return patterns;
+    return this.ignoreMatcher;
   }
 
-  shouldIgnoreFile(filePath) {
+  shouldIgnoreFile(filePath, isDirectory = false) {
     const relativePath = path.relative(this.rootDir, filePath);
-    return this.ignorePatterns.some(pattern => {
-      if (pattern.includes('**')) {
-        const regex = new RegExp(pattern.replace(/\*\*/g, '.*').replace(/\*/g, '[^/]*'));
-        return regex.test(relativePath);
-      }
-      return relativePath.includes(pattern.replace(/\*/g, ''));
-    });
+    return this.getIgnoreMatcher().ignores(relativePath, isDirectory);
   }
 
   isSupportedFile(filePath) {
     const ext = path.extname(filePath);
-    return this.supportedExtensions.includes(ext);
+    if (!this.supportedExtensions.includes(ext)) {
+      return false;
+    }
+    
+    const relativePath = path.relative(this.rootDir, filePath);
+    if (this.packageRoot && !relativePath.split(path.sep).join('/').startsWith(`${this.packageRoot}/`)) {
+      return false;
+    }
+    
+    // Include globs use the same syntax as .gitignore; a match means "index this"
+    return !this.includeMatcher || this.includeMatcher.ignores(relativePath);
   }
 
-  extractFileMetadata(filePath) {
+  // Returns metadata for a file, reusing cached results when the file is unchanged
+  indexFile(filePath) {
+    const relativePath = path.relative(this.rootDir, filePath);
+    let stat;
     try {
-      const content = fs.readFileSync(filePath, 'utf8');
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      return this.extractFileMetadata(filePath);
+    }
+
+    if (this.maxFileSize && stat.size > this.maxFileSize) {
+      return {
+        path: relativePath,
+        extension: path.extname(filePath),
+        size: stat.size,
+        skipped: 'too-large'
+      };
+    }
+
+    const cache = this.getCache();
+    if (!cache) {
+      return this.extractFileMetadata(filePath);
+    }
+
+    const extractor = this.getExtractor(path.extname(filePath));
+    const extractorKey = `${extractor.name}@${extractor.version}`;
+    let content;
+    try {
+      const cached = cache.get(relativePath, stat, extractorKey);
+      if (cached) {
+        return cached;
+      }
+
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      return this.extractFileMetadata(filePath);
+    }
+
+    const hash = IndexCache.hashContent(content);
+    const cachedByHash = cache.getByHash(relativePath, stat, hash, extractorKey);
+    if (cachedByHash) {
+      return cachedByHash;
+    }
+
+    const metadata = this.extractFileMetadata(filePath, content);
+    if (!metadata.error) {
+      cache.set(relativePath, stat, hash, metadata, extractorKey);
+    }
+
+    return metadata;
+  }
+
+  extractFileMetadata(filePath, content) {
+    try {
+      if (content === undefined) {
+        content = fs.readFileSync(filePath, 'utf8');
+      }
       const ext = path.extname(filePath);
+      const extractor = this.getExtractor(ext);
+      // Shared by every extractor to turn match offsets into line/column locations
+      const context = {
+        content,
+        locator: createLocator(content),
+        filePath,
+        relativePath: path.relative(this.rootDir, filePath),
+        extension: ext,
+        // Which comment conventions mark doc comments
+        docStyle: extractor === GENERIC_EXTRACTOR ? null : extractor.lexer || extractor.name
+      };
+      context.symbol = (kind, name, start, end, details) => this.symbol(context, kind, name, start, end, details);
       
       let metadata = {
         path: path.relative(this.rootDir, filePath),
         extension: ext,
         size: content.length,
+        description: this.docs && context.docStyle ? fileDescription(content, context.docStyle, this.docs) : undefined,
         imports: [],
         exports: [],
         functions: [],
@@ -83,35 +359,37 @@ class ProjectIndexer {
         types: []
       };
 
-      switch (ext) {
-        case '.js':
-        case '.jsx':
-        case '.ts':
-        case '.tsx':
-          metadata = { ...metadata, ...this.extractJavaScriptMetadata(content) };
-          break;
-        case '.py':
-          metadata = { ...metadata, ...this.extractPythonMetadata(content) };
-          break;
-        case '.java':
-          metadata = { ...metadata, ...this.extractJavaMetadata(content) };
-          break;
-        case '.cpp':
-        case '.c':
-        case '.h':
-          metadata = { ...metadata, ...this.extractCMetadata(content) };
-          break;
-        case '.cs':
-          metadata = { ...metadata, ...this.extractCSharpMetadata(content) };
-          break;
-        case '.go':
-          metadata = { ...metadata, ...this.extractGoMetadata(content) };
-          break;
-        case '.rs':
-          metadata = { ...metadata, ...this.extractRustMetadata(content) };
-          break;
-        default:
-          metadata = { ...metadata, ...this.extractGenericMetadata(content) };
+      let extracted;
+      if (extractor === GENERIC_EXTRACTOR) {
+        extracted = this.extractGenericMetadata(content);
+      } else if (extractor.lexer) {
+        // Extractors with a lexer match against code with comments and strings blanked out
+        const masked = maskSource(content, extractor.lexer);
+        context.code = masked.code;
+        context.source = masked.source;
+        extracted = extractor.extract(masked.code, context);
+      } else {
+        extracted = extractor.extract(content, context);
+      }
+      metadata = { ...metadata, ...extracted };
+
+      // HTTP routes declared in this file; prefixes from where its routers are mounted come later
+      const routes = extractRoutes(extractor.name, context, metadata);
+      if (routes && routes.routes.length > 0) metadata.routes = routes.routes;
+      if (routes && routes.mounts.length > 0) metadata.routeMounts = routes.mounts;
+
+      // Test files by naming convention, with the names of the test cases they declare
+      if (isTestFile(metadata.path)) {
+        metadata.test = true;
+        const tests = extractTests(extractor.name, context, metadata);
+        if (tests.length > 0) metadata.tests = tests;
+      }
+
+      if (this.legacyFunctions) {
+        // Older consumers expect plain name arrays
+        for (const key of SYMBOL_LISTS) {
+          metadata[key] = metadata[key].map(symbol => symbol.name);
+        }
       }
 
       return metadata;
@@ -125,9 +403,10 @@ class ProjectIndexer {
     }
   }
 
-  extractJavaScriptMetadata(content) {
+  extractJavaScriptMetadata(content, context) {
     const metadata = {
       imports: [],
+      importDetails: [],
       exports: [],
       functions: [],
       classes: [],
@@ -137,292 +416,1269 @@ class ProjectIndexer {
     };
 
     // Import statements
-    const importRegex = /import\s+(?:(?:\{[^}]*\}|\*\s+as\s+\w+|\w+)(?:\s*,\s*(?:\{[^}]*\}|\*\s+as\s+\w+|\w+))*\s+from\s+)?['"`]([^'"`]+)['"`]/g;
+    const importRegex = /import\s+(?:type\s+)?(?:(?:\{[^}]*\}|\*\s+as\s+\w+|\w+)(?:\s*,\s*(?:\{[^}]*\}|\*\s+as\s+\w+|\w+))*\s+from\s+)?(?=['"`])/g;
     let match;
     while ((match = importRegex.exec(content)) !== null) {
-      metadata.imports.push(match[1]);
+      metadata.imports.push(this.stringAt(context, match.index + match[0].length));
     }
 
     // Require statements
-    const requireRegex = /require\(['"`]([^'"`]+)['"`]\)/g;
+    const requireRegex = /require\(\s*(?=['"`])/g;
     while ((match = requireRegex.exec(content)) !== null) {
-      metadata.imports.push(match[1]);
+      metadata.imports.push(this.stringAt(context, match.index + match[0].length));
     }
 
-    // Export statements
-    const exportRegex = /export\s+(?:default\s+)?(?:async\s+)?(?:function\s+(\w+)|class\s+(\w+)|const\s+(\w+)|let\s+(\w+)|var\s+(\w+)|interface\s+(\w+)|type\s+(\w+))/g;
-    while ((match = exportRegex.exec(content)) !== null) {
-      const name = match[1] || match[2] || match[3] || match[4] || match[5] || match[6] || match[7];
-      if (name) {
-        if (match[1]) metadata.functions.push(name);
-        else if (match[2]) metadata.classes.push(name);
-        else if (match[6]) metadata.interfaces.push(name);
-        else if (match[7]) metadata.types.push(name);
-        else metadata.exports.push(name);
-      }
+    // Re-exports (`export { a } from './a'`, `export * from './b'`) depend on their module too
+    const reexportRegex = /\bexport\s+(?:type\s+)?(?:\*(?:\s*as\s+[\w$]+)?|\{[^}]*\})\s*from\s*(?=['"`])/g;
+    while ((match = reexportRegex.exec(content)) !== null) {
+      metadata.imports.push(this.stringAt(context, match.index + match[0].length));
     }
 
+    this.extractJavaScriptImportDetails(content, context, metadata);
+    this.extractJavaScriptExports(content, context, metadata);
+
     // Function declarations
-    const funcRegex = /(?:export\s+)?(?:async\s+)?function\s+(\w+)\s*\([^)]*\)/g;
+    const funcRegex = /(?:export\s+)?(?:default\s+)?(async\s+)?function\s*(\*)?\s*(\w+)\s*(?:<[^>]*>\s*)?\(/g;
     while ((match = funcRegex.exec(content)) !== null) {
-      if (!metadata.functions.includes(match[1])) {
-        metadata.functions.push(match[1]);
+      const signature = this.readJavaScriptSignature(content, match.index + match[0].length - 1, context);
+      if (signature) {
+        this.addSymbol(metadata.functions, this.symbol(context, 'function', match[3], match.index, this.findJavaScriptBodyEnd(content, signature.end), {
+          params: signature.params,
+          returnType: signature.returnType,
+          async: Boolean(match[1]),
+          generator: Boolean(match[2])
+        }));
       }
     }
 
-    // Arrow functions
-    const arrowFuncRegex = /(?:export\s+)?(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s+)?\([^)]*\)\s*=>/g;
+    // Arrow functions and function expressions
+    const arrowFuncRegex = /(?:export\s+)?(?:const|let|var)\s+(\w+)\s*(?::[^=]+)?=\s*(async\s+)?(?:(function)\s*(\*)?\s*\w*\s*)?(?:<[^>]*>\s*)?(\(|\w+\s*=>)/g;
     while ((match = arrowFuncRegex.exec(content)) !== null) {
-      if (!metadata.functions.includes(match[1])) {
-        metadata.functions.push(match[1]);
+      if (match[5] !== '(') {
+        // Single bare parameter: `const double = x => x * 2`
+        const bodyStart = match.index + match[0].length;
+        this.addSymbol(metadata.functions, this.symbol(context, 'function', match[1], match.index, this.findJavaScriptBodyEnd(content, bodyStart), {
+          params: [{ name: match[5].replace(/\s*=>$/, '') }],
+          async: Boolean(match[2])
+        }));
+        continue;
       }
+
+      const signature = this.readJavaScriptSignature(content, match.index + match[0].length - 1, context);
+      if (!signature || (!match[3] && !content.startsWith('=>', skipWhitespace(content, signature.end)))) {
+        continue;
+      }
+
+      this.addSymbol(metadata.functions, this.symbol(context, 'function', match[1], match.index, this.findJavaScriptBodyEnd(content, signature.end), {
+        params: signature.params,
+        returnType: signature.returnType,
+        async: Boolean(match[2]),
+        generator: Boolean(match[4])
+      }));
     }
 
     // Class declarations
-    const classRegex = /(?:export\s+)?class\s+(\w+)/g;
+    const classRegex = /(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+(\w+)/g;
     while ((match = classRegex.exec(content)) !== null) {
-      if (!metadata.classes.includes(match[1])) {
-        metadata.classes.push(match[1]);
+      const bodyStart = content.indexOf('{', match.index + match[0].length);
+      const end = bodyStart === -1 ? match.index + match[0].length : findBlockEnd(content, bodyStart) + 1;
+      this.addSymbol(metadata.classes, this.symbol(context, 'class', match[1], match.index, end));
+
+      if (bodyStart !== -1) {
+        this.extractJavaScriptMethods(content, bodyStart, match[1], metadata.functions, context);
       }
     }
 
     // Interface declarations (TypeScript)
-    const interfaceRegex = /(?:export\s+)?interface\s+(\w+)/g;
+    const interfaceRegex = /(?:export\s+)?(?:declare\s+)?\binterface\s+(\w+)[^{;]*\{/g;
     while ((match = interfaceRegex.exec(content)) !== null) {
-      if (!metadata.interfaces.includes(match[1])) {
-        metadata.interfaces.push(match[1]);
-      }
+      const end = findBlockEnd(content, match.index + match[0].length - 1) + 1;
+      this.addSymbol(metadata.interfaces, this.symbol(context, 'interface', match[1], match.index, end));
     }
 
-    // Type declarations (TypeScript)
-    const typeRegex = /(?:export\s+)?type\s+(\w+)/g;
+    // Type aliases and enums (TypeScript)
+    const typeRegex = /(?:export\s+)?(?:declare\s+)?\btype\s+(\w+)\s*(?:<[^>]*>)?\s*=/g;
     while ((match = typeRegex.exec(content)) !== null) {
-      if (!metadata.types.includes(match[1])) {
-        metadata.types.push(match[1]);
-      }
+      const end = findStatementEnd(content, match.index + match[0].length);
+      this.addSymbol(metadata.types, this.symbol(context, 'type', match[1], match.index, end));
+    }
+
+    const enumRegex = /(?:export\s+)?(?:declare\s+)?(?:const\s+)?\benum\s+(\w+)\s*\{/g;
+    while ((match = enumRegex.exec(content)) !== null) {
+      const end = findBlockEnd(content, match.index + match[0].length - 1) + 1;
+      this.addSymbol(metadata.types, this.symbol(context, 'enum', match[1], match.index, end));
     }
 
     // Constants
     const constRegex = /(?:export\s+)?const\s+([A-Z_][A-Z0-9_]*)\s*=/g;
     while ((match = constRegex.exec(content)) !== null) {
-      if (!metadata.constants.includes(match[1])) {
-        metadata.constants.push(match[1]);
+      const end = findStatementEnd(content, match.index + match[0].length);
+      this.addSymbol(metadata.constants, this.symbol(context, 'constant', match[1], match.index, end));
+    }
+
+    return metadata;
+  }
+
+  // What each import, re-export and require takes from its module: named imports, 'default',
+  // or '*' for the whole module (namespace imports, `const x = require(...)`, `export *`)
+  extractJavaScriptImportDetails(content, context, metadata) {
+    const addDetail = (start, quoteIndex, names) => {
+      metadata.importDetails.push({ module: this.stringAt(context, quoteIndex), names, line: context.locator.position(start).line });
+    };
+    const clauseNames = clause => {
+      const names = [];
+      const braces = clause.match(/\{([^}]*)\}/);
+      const outside = clause.replace(/\{[^}]*\}/, '').replace(/^type\b/, '').trim();
+      if (outside.includes('*')) names.push('*');
+      else if (/^[\w$]+/.test(outside)) names.push('default');
+      if (braces) {
+        for (const entry of splitTopLevel(braces[1])) {
+          names.push(entry.replace(/^type\s+/, '').split(/\s+as\s+/)[0].trim());
+        }
+      }
+      return names;
+    };
+
+    const statementRegex = /\b(import|export)\s+((?:type\s+)?(?:[\w$]+\s*,?\s*)?(?:\*\s*(?:as\s+[\w$]+)?|\{[^}]*\})?)\s*(from\s*)?(?=['"`])/g;
+    let match;
+    while ((match = statementRegex.exec(content)) !== null) {
+      if (match[1] === 'export' && !match[3]) continue;
+      addDetail(match.index, match.index + match[0].length, match[3] ? clauseNames(match[2]) : []);
+    }
+
+    // `const { a, b: c } = require('x')`, `const x = require('x')`, `require('x').member`
+    const requireRegex = /(?:\b(?:const|let|var)\s+([\w$]+|\{[^}]*\})\s*=\s*)?\brequire\(\s*(?=['"`])/g;
+    while ((match = requireRegex.exec(content)) !== null) {
+      const quoteIndex = match.index + match[0].length;
+      const afterString = quoteIndex + this.stringAt(context, quoteIndex).length + 2;
+      const member = content.slice(afterString).match(/^\s*\)\s*\.\s*([\w$]+)/);
+      let names = ['*'];
+      if (member) {
+        names = [member[1]];
+      } else if (match[1] && match[1].startsWith('{') && !match[1].includes('...')) {
+        names = splitTopLevel(match[1].slice(1, -1)).map(entry => entry.split(/\s*[:=]/)[0].trim());
+      }
+      addDetail(match.index, quoteIndex, names);
+    }
+  }
+
+  // Every name the module exports: declarations, `export { ... }` lists, `export default`
+  // ('default') and CommonJS `module.exports`/`exports.name` assignments
+  extractJavaScriptExports(content, context, metadata) {
+    const addExport = name => {
+      if (!metadata.exports.includes(name)) metadata.exports.push(name);
+    };
+
+    const declarationRegex = /\bexport\s+(default\s+)?(?:declare\s+)?(?:(?:const|let|var)\s+([\w$]+)|(?:async\s+)?(?:abstract\s+)?(?:function\s*\*?|class|interface|type|enum|const\s+enum|namespace)\s+([\w$]+))?/g;
+    let match;
+    while ((match = declarationRegex.exec(content)) !== null) {
+      if (match[1]) addExport('default');
+      else if (match[2] || match[3]) addExport(match[2] || match[3]);
+    }
+
+    const listRegex = /\bexport\s+(?:type\s+)?(?:\{([^}]*)\}|\*\s*as\s+([\w$]+))/g;
+    while ((match = listRegex.exec(content)) !== null) {
+      if (match[2]) {
+        addExport(match[2]);
+        continue;
+      }
+      for (const entry of splitTopLevel(match[1])) {
+        addExport(entry.replace(/^type\s+/, '').split(/\s+as\s+/).pop().trim());
+      }
+    }
+
+    const commonJsRegex = /\bmodule\.exports\s*=\s*|\b(?:module\.)?exports\.([\w$]+)\s*=(?!=)/g;
+    while ((match = commonJsRegex.exec(content)) !== null) {
+      if (match[1]) {
+        addExport(match[1]);
+        continue;
+      }
+      const valueStart = match.index + match[0].length;
+      if (content[valueStart] !== '{') {
+        addExport('default');
+        continue;
+      }
+      const group = readBalanced(content, valueStart);
+      for (const entry of group ? splitTopLevel(group.text) : []) {
+        const name = entry.match(/^(?:async\s+)?\*?\s*([\w$]+)/);
+        if (name && !entry.startsWith('...')) addExport(name[1]);
+      }
+    }
+  }
+
+  // Reads `(params): ReturnType` starting at the opening parenthesis
+  readJavaScriptSignature(content, parenIndex, context) {
+    const group = this.readGroup(content, context, parenIndex);
+    if (!group) {
+      return null;
+    }
+
+    const signature = { params: parseJavaScriptParams(group.text), end: group.end };
+    const colon = skipWhitespace(content, group.end);
+    if (content[colon] === ':') {
+      const start = skipWhitespace(content, colon + 1);
+      let i = start;
+      let depth = 0;
+      while (i < content.length) {
+        const char = content[i];
+        if (depth === 0 && ((char === '{' && i > start) || char === ';' || content.startsWith('=>', i))) {
+          break;
+        }
+        if ('([{<'.includes(char)) depth++;
+        else if (')]}>'.includes(char)) depth--;
+        i++;
+      }
+      signature.returnType = this.sourceText(context, start, i).trim();
+      signature.end = i;
+    }
+
+    return signature;
+  }
+
+  // End of a function body that follows a signature: a block, an arrow expression, or a bare `;`
+  findJavaScriptBodyEnd(content, signatureEnd) {
+    let i = skipWhitespace(content, signatureEnd);
+    if (content.startsWith('=>', i)) {
+      i = skipWhitespace(content, i + 2);
+    }
+    if (content[i] === '{') {
+      return findBlockEnd(content, i) + 1;
+    }
+    return findStatementEnd(content, i);
+  }
+
+  extractJavaScriptMethods(content, bodyStart, className, functions, context) {
+    const bodyEnd = findBlockEnd(content, bodyStart);
+    const body = maskNestedBlocks(content.slice(bodyStart + 1, bodyEnd));
+    const offset = bodyStart + 1;
+
+    // Methods, accessors and arrow-function class fields at the top level of the class body; a
+    // member starts a line or follows the `}` or `;` ending the previous one (`{ a() {} b() {} }`)
+    const methodRegex = /(?<=^|[;}])([ \t]*)(?:@[\w.]+(?:\([^)]*\))?\s*)*((?:(?:public|private|protected|static|readonly|abstract|override|async|declare)\s+)*)(\*\s*)?(?:(?:get|set)\s+)?(#?[\w$]+)\s*(?:<[^>]*>\s*)?(\(|(?:\??:[^=\n]+)?=\s*(async\s+)?\()/gm;
+    let match;
+    while ((match = methodRegex.exec(body)) !== null) {
+      const name = match[4];
+      if (['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'super', 'new'].includes(name)) {
+        continue;
+      }
+
+      const signature = this.readJavaScriptSignature(content, offset + match.index + match[0].length - 1, context);
+      if (!signature) continue;
+
+      const modifiers = match[2].trim().split(/\s+/);
+      const isField = match[5] !== '(';
+      const start = offset + match.index + match[1].length;
+      this.addSymbol(functions, this.symbol(context, 'method', name, start, this.findJavaScriptBodyEnd(content, signature.end), {
+        className,
+        params: signature.params,
+        returnType: signature.returnType,
+        async: modifiers.includes('async') || Boolean(isField && match[6]),
+        generator: Boolean(match[3]),
+        static: modifiers.includes('static'),
+        visibility: name.startsWith('#') ? 'private' : modifiers.find(m => ['public', 'private', 'protected'].includes(m))
+      }));
+    }
+  }
+
+  // Builds a symbol entry with its normalized kind, source location and doc comment summary
+  symbol(context, kind, name, start, end, details = {}) {
+    const begin = skipWhitespace(context.content, start);
+    const { doc, ...rest } = details;
+    return compact({
+      name,
+      kind,
+      ...rest,
+      ...context.locator.span(begin, Math.max(begin + 1, end)),
+      doc: doc !== undefined ? doc : this.docCommentFor(context, begin)
+    });
+  }
+
+  // Python passes its docstrings in explicitly; everything else is documented by the comment above
+  docCommentFor(context, begin) {
+    if (!this.docs || !context.docStyle || context.docStyle === 'python') {
+      return undefined;
+    }
+    return docCommentBefore(context.content, begin, context.docStyle, this.docs);
+  }
+
+  // Adds a symbol unless one with the same name (and owner) was already recorded
+  addSymbol(symbols, entry) {
+    const exists = symbols.some(symbol => symbol.name === entry.name && symbol.className === entry.className);
+    if (!exists) {
+      symbols.push(entry);
+    }
+  }
+
+  // Text between two offsets as written (minus comments); the content extractors
+  // match against has string contents blanked
+  sourceText(context, start, end) {
+    return (context.source || context.content).slice(start, end);
+  }
+
+  // Finds a bracketed group in the masked code and returns its text from the source,
+  // so string defaults and literal types survive
+  readGroup(content, context, openIndex) {
+    const group = readBalanced(content, openIndex);
+    return group && { text: this.sourceText(context, openIndex + 1, group.end - 1), end: group.end };
+  }
+
+  // Contents of the string literal whose opening quote is at quoteIndex
+  stringAt(context, quoteIndex) {
+    return readStringLiteral(context.source || context.content, quoteIndex);
+  }
+
+  extractPythonMetadata(code, context) {
+    const metadata = {
+      imports: [],
+      importDetails: [],
+      exports: [],
+      functions: [],
+      classes: [],
+      constants: []
+    };
+
+    // Structure is matched on `code`; decorators, parameters and __all__ are read from the source
+    const content = context.source || code;
+    const addImport = specifier => {
+      if (!metadata.imports.includes(specifier)) metadata.imports.push(specifier);
+    };
+
+    // `import a.b as c, d` and `from ..pkg import (x, y as z)`, including continuation lines
+    const importRegex = /^[ \t]*(?:from[ \t]+(\.*[\w.]*)[ \t]+)?import\b[ \t]*/gm;
+    let match;
+    while ((match = importRegex.exec(code)) !== null) {
+      const clauseStart = match.index + match[0].length;
+      let clause;
+      if (code[clauseStart] === '(') {
+        const group = readBalanced(code, clauseStart);
+        if (!group) continue;
+        clause = group.text;
+      } else {
+        clause = code.slice(clauseStart).match(/^(?:[^\n;\\]|\\\r?\n)*/)[0].replace(/\\\r?\n/g, ' ');
+      }
+
+      const entries = splitTopLevel(clause).map(entry => entry.split(/\s+as\s+/).map(part => part.trim()));
+      const line = context.locator.position(match.index + match[0].search(/\S/)).line;
+
+      if (match[1] === undefined) {
+        for (const [module, alias] of entries) {
+          addImport(module);
+          metadata.importDetails.push(compact({ module, alias, level: 0, line }));
+        }
+        continue;
+      }
+
+      const module = match[1];
+      const level = module.match(/^\.*/)[0].length;
+      const names = entries.map(([name]) => name);
+      // `from . import views` most likely names sibling modules; the resolver falls back to the package
+      if (level > 0 && module.length === level) {
+        names.filter(name => name !== '*').forEach(name => addImport(`${module}${name}`));
+      } else {
+        addImport(module);
+      }
+      metadata.importDetails.push({ module, names, level, line });
+    }
+
+    // Decorators, attached below to the def/class that directly follows them
+    const decorators = [];
+    const decoratorRegex = /^[ \t]*@[ \t]*([\w.]+)[ \t]*/gm;
+    while ((match = decoratorRegex.exec(code)) !== null) {
+      const start = match.index + match[0].indexOf('@');
+      let end = match.index + match[0].length;
+      if (content[end] === '(') {
+        const group = readBalanced(content, end);
+        if (group) end = group.end;
+      }
+      const text = content.slice(start + 1, end).replace(/\s+/g, ' ').replace(/\(\s/g, '(').replace(/,?\s\)$/, ')');
+      decorators.push({ start, end, text: text.trim() });
+    }
+    const decoratorsBefore = start => {
+      const attached = [];
+      let cursor = start;
+      for (let i = decorators.length - 1; i >= 0; i--) {
+        if (decorators[i].end <= cursor && !code.slice(decorators[i].end, cursor).trim()) {
+          attached.unshift(decorators[i].text);
+          cursor = decorators[i].start;
+        } else if (decorators[i].end <= cursor) {
+          break;
+        }
+      }
+      return attached;
+    };
+
+    // Classes and functions, nested by indentation. Functions local to another
+    // function are skipped; methods and nested classes record their owning class.
+    const scopes = [];
+    const defRegex = /^([ \t]*)(?:(async)[ \t]+)?(def|class)[ \t]+(\w+)[ \t]*/gm;
+    while ((match = defRegex.exec(code)) !== null) {
+      const indent = match[1].length;
+      const start = match.index + indent;
+      while (scopes.length > 0 && (scopes[scopes.length - 1].indent >= indent || scopes[scopes.length - 1].end <= start)) {
+        scopes.pop();
+      }
+      const parent = scopes[scopes.length - 1];
+
+      let cursor = match.index + match[0].length;
+      if (content[cursor] === '[') {
+        const typeParams = readBalanced(content, cursor);
+        if (!typeParams) continue;
+        cursor = skipWhitespace(content, typeParams.end);
+      }
+      const group = content[cursor] === '(' ? readBalanced(content, cursor) : null;
+      if (match[3] === 'def' && !group) continue;
+
+      const headerEnd = group ? group.end : cursor;
+      const colon = headerEnd + indexOfTopLevel(code.slice(headerEnd), ':');
+      const end = findIndentedBlockEnd(code, colon, indent);
+      const name = match[4];
+      const qualifiedName = parent ? `${parent.qualifiedName}.${name}` : name;
+      scopes.push({ kind: match[3], indent, end, qualifiedName, local: Boolean(parent && (parent.kind === 'def' || parent.local)) });
+
+      if (parent && (parent.kind === 'def' || parent.local)) {
+        continue;
+      }
+
+      const decoratorList = decoratorsBefore(match.index);
+      const visibility = /^_(?!_.*__$)/.test(name) ? 'private' : 'public';
+      const doc = this.docs ? docstringAfter(context.content, colon + 1, this.docs) : undefined;
+
+      if (match[3] === 'class') {
+        const bases = group ? splitTopLevel(group.text).filter(base => !/^\w+\s*=/.test(base) && !base.startsWith('**')) : [];
+        const symbol = this.symbol(context, 'class', name, start, end, {
+          className: parent ? parent.qualifiedName : undefined,
+          bases: bases.length > 0 ? bases : undefined,
+          decorators: decoratorList.length > 0 ? decoratorList : undefined,
+          methods: [],
+          doc
+        });
+        scopes[scopes.length - 1].symbol = symbol;
+        metadata.classes.push(symbol);
+        continue;
+      }
+
+      let returnType;
+      const arrow = skipWhitespace(content, group.end);
+      if (content.startsWith('->', arrow)) {
+        returnType = content.slice(arrow + 2, colon).trim();
+      }
+
+      if (parent) {
+        parent.symbol.methods.push(name);
+      }
+
+      metadata.functions.push(this.symbol(context, parent ? 'method' : 'function', name, start, end, {
+        className: parent ? parent.qualifiedName : undefined,
+        params: parsePythonParams(group.text),
+        returnType,
+        async: Boolean(match[2]),
+        static: decoratorList.includes('staticmethod') || decoratorList.includes('classmethod'),
+        visibility,
+        decorators: decoratorList.length > 0 ? decoratorList : undefined,
+        doc
+      }));
+    }
+
+    for (const symbol of metadata.classes) {
+      if (symbol.methods.length === 0) delete symbol.methods;
+    }
+
+    // Module-level constants (uppercase names, optionally annotated)
+    const constRegex = /^([A-Z_][A-Z0-9_]*)[ \t]*(?::[^=\n]+)?=(?!=)/gm;
+    while ((match = constRegex.exec(code)) !== null) {
+      const end = findStatementEnd(code, match.index + match[0].length);
+      this.addSymbol(metadata.constants, this.symbol(context, 'constant', match[1], match.index, end));
+    }
+
+    // `__all__` (assigned, extended or appended to) is the module's export list
+    const allRegex = /^__all__[ \t]*(?::[^=\n]*)?(?:\+?=[ \t]*|\.(?:extend|append)[ \t]*(?=\())/gm;
+    while ((match = allRegex.exec(code)) !== null) {
+      const valueStart = match.index + match[0].length;
+      const group = '([{'.includes(content[valueStart]) ? readBalanced(content, valueStart) : null;
+      if (!group) continue;
+      const stringRegex = /(['"])((?:\\.|(?!\1).)*)\1/g;
+      let entry;
+      while ((entry = stringRegex.exec(group.text)) !== null) {
+        if (!metadata.exports.includes(entry[2])) metadata.exports.push(entry[2]);
       }
     }
 
     return metadata;
   }
 
-  extractPythonMetadata(content) {
+  // Collects type declarations that own a `{ ... }` body, sorted into the metadata lists by kind
+  extractTypeDeclarations(content, context, regex, metadata) {
+    const declarations = [];
+    let match;
+
+    while ((match = regex.exec(content)) !== null) {
+      const kind = match[1] === '@interface' ? 'interface' : match[1];
+      const bodyStart = match.index + match[0].length - 1;
+      const end = findBlockEnd(content, bodyStart) + 1;
+      const list = ['interface', 'trait', 'protocol'].includes(kind) ? metadata.interfaces
+        : kind === 'enum' ? metadata.types
+          : metadata.classes;
+
+      list.push(this.symbol(context, kind, match[2], match.index, end));
+      declarations.push({ name: match[2], start: bodyStart, end });
+    }
+
+    return declarations;
+  }
+
+  extractJavaMetadata(content, context) {
+    const metadata = {
+      imports: [],
+      classes: [],
+      interfaces: [],
+      types: [],
+      functions: []
+    };
+
+    // Import statements
+    const importRegex = /import\s+(?:static\s+)?([^;]+);/g;
+    let match;
+    while ((match = importRegex.exec(content)) !== null) {
+      metadata.imports.push(match[1].trim());
+    }
+
+    // Class, interface, enum and record definitions
+    const typeRanges = this.extractTypeDeclarations(content, context,
+      /(?:(?:public|private|protected|static|final|abstract|sealed|non-sealed|strictfp)\s+)*(class|interface|@interface|enum|record)\s+(\w+)[^{;]*\{/g,
+      metadata);
+
+    // Method definitions
+    metadata.functions = this.extractCStyleFunctions(content, context, typeRanges, {
+      trailerRegex: /^\s*(?:throws\s+[\w.,\s<>]+)?(\{|;)/
+    });
+
+    return metadata;
+  }
+
+  extractCMetadata(content, context) {
+    const metadata = {
+      imports: [],
+      classes: [],
+      types: [],
+      functions: [],
+      constants: []
+    };
+
+    // Include statements
+    const includeRegex = /#include\s*(?:<([^>\n]+)>|(?="))/g;
+    let match;
+    while ((match = includeRegex.exec(content)) !== null) {
+      metadata.imports.push(match[1] || this.stringAt(context, match.index + match[0].length));
+    }
+
+    // Classes, structs and enums (typedef'd anonymous structs take their alias name)
+    const typeRanges = [];
+    const typeRegex = /(typedef\s+)?\b(class|struct|union|enum)\s+(?:class\s+)?(\w+)?[^{;()=]*\{/g;
+    while ((match = typeRegex.exec(content)) !== null) {
+      const bodyStart = match.index + match[0].length - 1;
+      let end = findBlockEnd(content, bodyStart) + 1;
+      let name = match[3];
+
+      if (match[1]) {
+        const alias = content.slice(end).match(/^\s*(\w+)\s*;/);
+        if (alias) {
+          name = alias[1];
+          end += alias[0].length;
+        }
+      }
+      if (!name) continue;
+
+      const kind = match[2] === 'enum' ? 'enum' : match[2] === 'class' ? 'class' : 'struct';
+      (kind === 'enum' ? metadata.types : metadata.classes).push(this.symbol(context, kind, name, match.index, end));
+      typeRanges.push({ name, start: bodyStart, end });
+    }
+
+    // Plain typedefs
+    const typedefRegex = /\btypedef\s+[^;{}]*?\b(\w+)\s*(?:\[[^\]]*\])?\s*;/g;
+    while ((match = typedefRegex.exec(content)) !== null) {
+      metadata.types.push(this.symbol(context, 'type', match[1], match.index, match.index + match[0].length));
+    }
+
+    // Function declarations/definitions
+    metadata.functions = this.extractCStyleFunctions(content, context, typeRanges, {
+      trailerRegex: /^\s*(?:const\s*)?(?:noexcept\s*)?(?:override\s*)?(?:->\s*[\w:<>*&\s]+?)?(\{|;)/
+    });
+
+    // Constants/defines
+    const defineRegex = /#define\s+([A-Z_][A-Z0-9_]*)[^\n]*(?:\\\n[^\n]*)*/g;
+    while ((match = defineRegex.exec(content)) !== null) {
+      metadata.constants.push(this.symbol(context, 'constant', match[1], match.index, match.index + match[0].length));
+    }
+
+    return metadata;
+  }
+
+  extractCSharpMetadata(content, context) {
+    const metadata = {
+      imports: [],
+      classes: [],
+      interfaces: [],
+      types: [],
+      functions: []
+    };
+
+    // Using statements
+    const usingRegex = /using\s+([^;]+);/g;
+    let match;
+    while ((match = usingRegex.exec(content)) !== null) {
+      metadata.imports.push(match[1].trim());
+    }
+
+    // Class, interface, struct, record and enum definitions
+    const typeRanges = this.extractTypeDeclarations(content, context,
+      /(?:(?:public|private|protected|internal|static|abstract|sealed|partial|readonly|ref|unsafe|file)\s+)*(class|interface|struct|record|enum)\s+(?:class\s+|struct\s+)?(\w+)[^{;]*\{/g,
+      metadata);
+
+    // Method definitions
+    metadata.functions = this.extractCStyleFunctions(content, context, typeRanges, {
+      trailerRegex: /^\s*(?:where\s+[^{;=]+?)?(?::\s*(?:base|this)\s*\([^)]*\)\s*)?(\{|;|=>)/
+    });
+
+    return metadata;
+  }
+
+  // Finds `name(...)` headers in Java, C#, C and C++ and keeps those that look like definitions
+  extractCStyleFunctions(content, context, typeRanges, options) {
+    const functions = [];
+    const typeNames = new Set(typeRanges.map(range => range.name));
+    let match;
+
+    const headerRegex = /(~?\w+)\s*(?:<[^<>()]*>\s*)?\(/g;
+    while ((match = headerRegex.exec(content)) !== null) {
+      const name = match[1];
+      if (CONTROL_KEYWORDS.has(name)) continue;
+
+      const before = content.slice(Math.max(0, match.index - 2), match.index);
+      if (before.endsWith('.') || before === '->') continue;
+
+      const group = this.readGroup(content, context, match.index + match[0].length - 1);
+      if (!group) continue;
+
+      const trailer = content.slice(group.end, group.end + 200).match(options.trailerRegex);
+      if (!trailer) continue;
+
+      const header = this.parseCStyleHeader(content, match.index);
+      if (!header) continue;
+
+      const isConstructor = typeNames.has(name.replace(/^~/, '')) || /^\w+::~?\w+$/.test(header.qualifiedName || '');
+      if (!header.returnType && !isConstructor) continue;
+      // A bare `Type name(args);` with no modifiers outside a type body is a call or a variable
+      if (trailer[1] === ';' && !header.returnType) continue;
+
+      const owner = typeRanges
+        .filter(range => range.start < match.index && match.index < range.end)
+        .sort((a, b) => b.start - a.start)[0];
+
+      const trailerEnd = group.end + trailer[0].length;
+      let end = trailerEnd;
+      if (trailer[1] === '{') end = findBlockEnd(content, trailerEnd - 1) + 1;
+      else if (trailer[1] === '=>') end = findStatementEnd(content, trailerEnd);
+
+      functions.push(this.symbol(context, owner ? 'method' : 'function', name, header.start, end, {
+        className: owner ? owner.name : undefined,
+        typeParameters: header.typeParameters,
+        params: parseTypedParams(group.text),
+        returnType: header.returnType,
+        async: header.modifiers.includes('async'),
+        static: header.modifiers.includes('static'),
+        visibility: header.modifiers.filter(m => VISIBILITY_MODIFIERS.includes(m)).join(' ')
+      }));
+
+      headerRegex.lastIndex = group.end;
+    }
+
+    return functions;
+  }
+
+  // Splits the text before a function name into modifiers and a return type
+  parseCStyleHeader(content, nameIndex) {
+    // Walk back to the end of the previous statement, stepping over string literals
+    let start = nameIndex;
+    while (start > 0 && !';{}'.includes(content[start - 1])) {
+      if (content[start - 1] === '"') {
+        const open = content.lastIndexOf('"', start - 2);
+        if (open === -1) break;
+        start = open;
+      } else {
+        start--;
+      }
+    }
+
+    const lineStart = content.lastIndexOf('\n', nameIndex - 1) + 1;
+    if (/^\s*#/.test(content.slice(lineStart, nameIndex))) {
+      return null;
+    }
+
+    start = skipTrivia(content, start, nameIndex);
+    let prefix = content.slice(start, nameIndex)
+      .replace(/\/\*[\s\S]*?\*\//g, ' ')
+      .replace(/\/\/[^\n]*/g, ' ')
+      .replace(/^\s*#[^\n]*$/gm, ' ')
+      .replace(/"(?:[^"\\\n]|\\.)*"/g, '""')
+      .replace(/@[\w.]+(?:\s*\((?:[^()]|\([^()]*\))*\))?/g, ' ')
+      .replace(/\[(?!\s*\])[^\]]*\]/g, ' ')
+      .replace(/\b(?:public|private|protected)\s*:/g, ' ')
+      .trim();
+
+    let qualifiedName = null;
+    const qualifier = prefix.match(/([\w:<>]+::)$/);
+    if (qualifier) {
+      qualifiedName = `${qualifier[1]}${content.slice(nameIndex).match(/^~?\w+/)[0]}`;
+      prefix = prefix.slice(0, -qualifier[1].length).trim();
+    }
+
+    if (/[=()"'?:]/.test(prefix.replace(/<[^<>]*>/g, '').replace(/::/g, '')) || /[,]\s*$/.test(prefix)) {
+      return null;
+    }
+
+    const tokens = prefix.split(/\s+/).filter(Boolean);
+    if (tokens.some(token => STATEMENT_KEYWORDS.has(token))) {
+      return null;
+    }
+
+    const modifiers = [];
+    while (tokens.length > 0 && DECLARATION_MODIFIERS.has(tokens[0])) {
+      modifiers.push(tokens.shift());
+    }
+
+    // Java generic methods declare their type parameters before the return type: `<R> List<R> map(...)`
+    let returnType = tokens.join(' ');
+    let typeParameters;
+    const typeParams = returnType.startsWith('<') ? readBalanced(returnType, 0) : null;
+    if (typeParams) {
+      typeParameters = typeParams.text.trim();
+      returnType = returnType.slice(typeParams.end);
+    }
+
+    return { start, modifiers, typeParameters, returnType: returnType.replace(/\s*([*&])\s*/g, '$1 ').trim() || undefined, qualifiedName };
+  }
+
+  extractGoMetadata(content, context) {
     const metadata = {
       imports: [],
       functions: [],
       classes: [],
+      interfaces: [],
+      types: [],
       constants: []
     };
 
     // Import statements
-    const importRegex = /(?:from\s+(\S+)\s+)?import\s+([^\n]+)/g;
+    // Only the quoted path counts: aliases (`u "…"`, `_ "…"`, `. "…"`) and comments are dropped
+    const importRegex = /import\s+(?:\(\s*([^)]+)\s*\)|(?:[\w.]+\s+)?(?=["`]))/g;
+    const specRegex = /^[ \t]*(?:[\w.]+[ \t]+)?(?=["`])/gm;
     let match;
     while ((match = importRegex.exec(content)) !== null) {
       if (match[1]) {
-        metadata.imports.push(match[1]);
+        const groupStart = match.index + match[0].indexOf(match[1]);
+        let spec;
+        specRegex.lastIndex = 0;
+        while ((spec = specRegex.exec(match[1])) !== null) {
+          metadata.imports.push(this.stringAt(context, groupStart + spec.index + spec[0].length));
+          specRegex.lastIndex = spec.index + spec[0].length + 1;
+        }
+      } else {
+        metadata.imports.push(this.stringAt(context, match.index + match[0].length));
       }
-      const imports = match[2].split(',').map(i => i.trim());
-      metadata.imports.push(...imports);
     }
 
     // Function definitions
-    const funcRegex = /def\s+(\w+)\s*\(/g;
+    const funcRegex = /func\s+(?:\(([^)]*)\)\s+)?(\w+)\s*(?:\[[^\]]*\]\s*)?\(/g;
     while ((match = funcRegex.exec(content)) !== null) {
-      metadata.functions.push(match[1]);
+      const group = this.readGroup(content, context, match.index + match[0].length - 1);
+      if (!group) continue;
+
+      const resultEnd = content.slice(group.end).search(/\{|\n/);
+      const bodyStart = resultEnd === -1 ? content.length : group.end + resultEnd;
+      const returnType = this.sourceText(context, group.end, bodyStart).trim();
+      const receiver = match[1] ? match[1].trim().split(/\s+/).pop() : undefined;
+      const end = content[bodyStart] === '{' ? findBlockEnd(content, bodyStart) + 1 : bodyStart;
+
+      metadata.functions.push(this.symbol(context, receiver ? 'method' : 'function', match[2], match.index, end, {
+        receiver,
+        params: parseGoParams(group.text),
+        returnType
+      }));
     }
 
-    // Class definitions
-    const classRegex = /class\s+(\w+)/g;
-    while ((match = classRegex.exec(content)) !== null) {
-      metadata.classes.push(match[1]);
+    // Type definitions
+    const typeRegex = /^type\s+(\w+)\s*(?:\[[^\]]*\]\s*)?(=\s*)?(struct\s*\{|interface\s*\{)?/gm;
+    while ((match = typeRegex.exec(content)) !== null) {
+      const body = match[3];
+      if (body) {
+        const end = findBlockEnd(content, match.index + match[0].length - 1) + 1;
+        const isInterface = body.startsWith('interface');
+        (isInterface ? metadata.interfaces : metadata.classes).push(
+          this.symbol(context, isInterface ? 'interface' : 'struct', match[1], match.index, end));
+      } else {
+        const end = findStatementEnd(content, match.index + match[0].length);
+        metadata.types.push(this.symbol(context, 'type', match[1], match.index, end));
+      }
     }
 
-    // Constants (uppercase variables)
-    const constRegex = /^([A-Z_][A-Z0-9_]*)\s*=/gm;
+    // Constants, including grouped `const ( ... )` blocks
+    const constRegex = /^const\s+(?:(\w+)|\()/gm;
     while ((match = constRegex.exec(content)) !== null) {
-      metadata.constants.push(match[1]);
+      if (match[1]) {
+        const end = findStatementEnd(content, match.index + match[0].length);
+        metadata.constants.push(this.symbol(context, 'constant', match[1], match.index, end));
+        continue;
+      }
+
+      const group = readBalanced(content, match.index + match[0].length - 1);
+      if (!group) continue;
+      const groupStart = match.index + match[0].length;
+      const entryRegex = /^[ \t]*(\w+)[^\n]*/gm;
+      let entry;
+      while ((entry = entryRegex.exec(group.text)) !== null) {
+        const start = groupStart + entry.index;
+        metadata.constants.push(this.symbol(context, 'constant', entry[1], start, start + entry[0].length));
+      }
     }
 
     return metadata;
   }
 
-  extractJavaMetadata(content) {
+  extractRustMetadata(content, context) {
     const metadata = {
       imports: [],
+      functions: [],
       classes: [],
       interfaces: [],
-      functions: []
+      types: [],
+      constants: []
     };
 
-    // Import statements
-    const importRegex = /import\s+(?:static\s+)?([^;]+);/g;
+    // Use statements
+    const useRegex = /use\s+([^;]+);/g;
     let match;
-    while ((match = importRegex.exec(content)) !== null) {
+    while ((match = useRegex.exec(content)) !== null) {
       metadata.imports.push(match[1].trim());
     }
 
-    // Class definitions
-    const classRegex = /(?:public|private|protected)?\s*class\s+(\w+)/g;
-    while ((match = classRegex.exec(content)) !== null) {
-      metadata.classes.push(match[1]);
+    // Structs, enums, traits and type aliases
+    const typeRegex = /(?:pub(?:\s*\([^)]*\))?\s+)?\b(struct|enum|trait|type|union)\s+(\w+)/g;
+    while ((match = typeRegex.exec(content)) !== null) {
+      const kind = match[1] === 'union' ? 'struct' : match[1];
+      const end = findStatementEnd(content, match.index + match[0].length);
+      const list = kind === 'trait' ? metadata.interfaces : kind === 'struct' ? metadata.classes : metadata.types;
+      list.push(this.symbol(context, kind, match[2], match.index, end));
     }
 
-    // Interface definitions
-    const interfaceRegex = /(?:public|private|protected)?\s*interface\s+(\w+)/g;
-    while ((match = interfaceRegex.exec(content)) !== null) {
-      metadata.interfaces.push(match[1]);
+    // impl/trait blocks, so associated functions can be attributed to their type
+    const implRanges = [];
+    const implRegex = /\b(?:(pub(?:\s*\([^)]*\))?)\s+)?(?:(?:unsafe|auto)\s+)*(impl|trait)\b([^{;]*)\{/g;
+    while ((match = implRegex.exec(content)) !== null) {
+      const target = match[3].replace(/<[^<>]*>/g, '').split(/\bfor\b/).pop().trim().split(/\s+/)[0];
+      const bodyStart = match.index + match[0].length - 1;
+      // Items of a trait share the trait's visibility
+      const visibility = match[2] === 'trait' ? (match[1] ? match[1].replace(/\s+/g, '') : 'private') : undefined;
+      implRanges.push({ name: target, start: bodyStart, end: findBlockEnd(content, bodyStart), visibility });
     }
 
-    // Method definitions
-    const methodRegex = /(?:public|private|protected)?\s*(?:static\s+)?(?:\w+\s+)*(\w+)\s*\([^)]*\)\s*\{/g;
-    while ((match = methodRegex.exec(content)) !== null) {
-      if (match[1] !== 'class' && match[1] !== 'interface') {
-        metadata.functions.push(match[1]);
+    // Function definitions
+    const funcRegex = /(?:(pub(?:\s*\([^)]*\))?)\s+)?((?:(?:const|async|unsafe|default|extern\s+"[^"]*")\s+)*)fn\s+(\w+)\s*/g;
+    while ((match = funcRegex.exec(content)) !== null) {
+      let parenIndex = match.index + match[0].length;
+      if (content[parenIndex] === '<') {
+        const generics = readBalanced(content, parenIndex);
+        if (!generics) continue;
+        parenIndex = skipWhitespace(content, generics.end);
+      }
+      const group = content[parenIndex] === '(' ? this.readGroup(content, context, parenIndex) : null;
+      if (!group) continue;
+
+      let returnType;
+      const arrow = skipWhitespace(content, group.end);
+      const rest = content.slice(group.end);
+      const bodyOffset = rest.search(/\{|;/);
+      if (content.startsWith('->', arrow)) {
+        const afterArrow = content.slice(arrow + 2);
+        const typeEnd = afterArrow.search(/\{|;|\bwhere\b/);
+        returnType = this.sourceText(context, arrow + 2, typeEnd === -1 ? content.length : arrow + 2 + typeEnd).trim();
+      }
+
+      let end = content.length;
+      if (bodyOffset !== -1) {
+        const bodyStart = group.end + bodyOffset;
+        end = content[bodyStart] === '{' ? findBlockEnd(content, bodyStart) + 1 : bodyStart + 1;
       }
+
+      const params = parseRustParams(group.text);
+      const owner = implRanges.find(range => range.start < match.index && match.index < range.end);
+      const qualifiers = match[2].trim().split(/\s+/);
+
+      metadata.functions.push(this.symbol(context, owner ? 'method' : 'function', match[3], match.index, end, {
+        className: owner ? owner.name : undefined,
+        params,
+        returnType,
+        async: qualifiers.includes('async'),
+        static: Boolean(owner) && !params.some(param => /\bself$/.test(param.name)),
+        visibility: match[1] ? match[1].replace(/\s+/g, '') : (owner && owner.visibility) || 'private'
+      }));
+    }
+
+    // Constants
+    const constRegex = /(?:pub\s+)?\b(?:const|static)\s+(?:mut\s+)?(\w+)\s*:/g;
+    while ((match = constRegex.exec(content)) !== null) {
+      const end = findStatementEnd(content, match.index + match[0].length);
+      metadata.constants.push(this.symbol(context, 'constant', match[1], match.index, end));
     }
 
     return metadata;
   }
 
-  extractCMetadata(content) {
+  extractPhpMetadata(content, context) {
     const metadata = {
       imports: [],
+      classes: [],
+      interfaces: [],
+      types: [],
       functions: [],
       constants: []
     };
 
-    // Include statements
-    const includeRegex = /#include\s*[<"]([^>"]+)[>"]/g;
+    // Classes, interfaces, traits and enums
+    const typeRanges = this.extractTypeDeclarations(content, context,
+      /(?<![:$\w])(?:(?:abstract|final|readonly)\s+)*\b(class|interface|trait|enum)\s+(\w+)[^{;]*\{/g,
+      metadata);
+
+    // Use statements; inside a class body `use` pulls in traits instead
+    const useRegex = /^[ \t]*use\s+(?:function\s+|const\s+)?([^;]+);/gm;
     let match;
-    while ((match = includeRegex.exec(content)) !== null) {
-      metadata.imports.push(match[1]);
+    while ((match = useRegex.exec(content)) !== null) {
+      if (findEnclosingRange(typeRanges, match.index)) continue;
+
+      const grouped = match[1].trim().match(/^([\w\\]+?)\\?\{([^}]*)\}$/);
+      const names = grouped
+        ? splitTopLevel(grouped[2]).map(name => `${grouped[1]}\\${name}`)
+        : splitTopLevel(match[1]);
+      metadata.imports.push(...names.map(name => name.replace(/\s+as\s+\w+$/i, '').replace(/^\\/, '').trim()));
     }
 
-    // Function declarations/definitions
-    const funcRegex = /(?:static\s+)?(?:\w+\s+\*?\s*)+(\w+)\s*\([^)]*\)\s*(?:\{|;)/g;
+    // require/include, including the common `__DIR__ . '/file.php'` form
+    const requireRegex = /\b(?:require|include)(?:_once)?\s*\(?\s*(__DIR__\s*\.\s*)?(?=['"])/g;
+    while ((match = requireRegex.exec(content)) !== null) {
+      const spec = this.stringAt(context, match.index + match[0].length);
+      metadata.imports.push(match[1] ? `.${spec}` : spec);
+    }
+
+    // Functions and methods
+    const funcRegex = /((?:\b(?:abstract|final|public|private|protected|static)\s+)*)\bfunction\s+&?\s*(\w+)\s*\(/g;
     while ((match = funcRegex.exec(content)) !== null) {
-      if (match[1] !== 'if' && match[1] !== 'while' && match[1] !== 'for') {
-        metadata.functions.push(match[1]);
-      }
+      const group = this.readGroup(content, context, match.index + match[0].length - 1);
+      if (!group) continue;
+
+      const trailer = content.slice(group.end).match(/^\s*(?::\s*([^{;]+?))?\s*(\{|;)/);
+      if (!trailer) continue;
+
+      const bodyStart = group.end + trailer[0].length - 1;
+      const end = trailer[2] === '{' ? findBlockEnd(content, bodyStart) + 1 : bodyStart + 1;
+      const owner = findEnclosingRange(typeRanges, match.index);
+      const modifiers = match[1].trim().split(/\s+/);
+
+      metadata.functions.push(this.symbol(context, owner ? 'method' : 'function', match[2], match.index, end, {
+        className: owner ? owner.name : undefined,
+        params: parsePhpParams(group.text),
+        returnType: trailer[1] ? trailer[1].trim() : undefined,
+        static: modifiers.includes('static'),
+        visibility: owner ? modifiers.find(modifier => VISIBILITY_MODIFIERS.includes(modifier)) || 'public' : undefined
+      }));
     }
 
-    // Constants/defines
-    const defineRegex = /#define\s+([A-Z_][A-Z0-9_]*)/g;
-    while ((match = defineRegex.exec(content)) !== null) {
-      metadata.constants.push(match[1]);
+    // Class constants and define()
+    const constRegex = /\bconst\s+(?:\w+\s+)?(\w+)\s*=|\bdefine\s*\(\s*(?=['"])/g;
+    while ((match = constRegex.exec(content)) !== null) {
+      const name = match[1] || this.stringAt(context, match.index + match[0].length);
+      if (!/^\w+$/.test(name)) continue;
+      const owner = findEnclosingRange(typeRanges, match.index);
+      const end = findStatementEnd(content, match.index + match[0].length);
+      this.addSymbol(metadata.constants, this.symbol(context, 'constant', name, match.index, end, {
+        className: owner ? owner.name : undefined
+      }));
     }
 
     return metadata;
   }
 
-  extractCSharpMetadata(content) {
+  extractRubyMetadata(content, context) {
     const metadata = {
       imports: [],
       classes: [],
-      interfaces: [],
-      functions: []
+      functions: [],
+      constants: []
     };
 
-    // Using statements
-    const usingRegex = /using\s+([^;]+);/g;
+    // require / require_relative; relative requires are recorded as ./paths
+    const requireRegex = /^[ \t]*(require|require_relative|load)\s*\(?\s*(?=['"])/gm;
     let match;
-    while ((match = usingRegex.exec(content)) !== null) {
-      metadata.imports.push(match[1].trim());
+    while ((match = requireRegex.exec(content)) !== null) {
+      const spec = this.stringAt(context, match.index + match[0].length);
+      metadata.imports.push(match[1] === 'require_relative' && !spec.startsWith('.') ? `./${spec}` : spec);
     }
 
-    // Class definitions
-    const classRegex = /(?:public|private|internal)?\s*(?:abstract\s+|static\s+)?class\s+(\w+)/g;
-    while ((match = classRegex.exec(content)) !== null) {
-      metadata.classes.push(match[1]);
+    // Classes and modules
+    const typeRanges = [];
+    const typeRegex = /^[ \t]*(class|module)\s+([A-Z][\w:]*)/gm;
+    while ((match = typeRegex.exec(content)) !== null) {
+      const start = match.index + match[0].search(/\S/);
+      const end = findRubyBlockEnd(content, start);
+      metadata.classes.push(this.symbol(context, match[1], match[2], start, end));
+      typeRanges.push({ name: match[2], start, end });
     }
 
-    // Interface definitions
-    const interfaceRegex = /(?:public|private|internal)?\s*interface\s+(\w+)/g;
-    while ((match = interfaceRegex.exec(content)) !== null) {
-      metadata.interfaces.push(match[1]);
+    // `class << self` blocks hold singleton (static) methods
+    const singletonRanges = [];
+    const singletonRegex = /^[ \t]*class\s*<<\s*self\b/gm;
+    while ((match = singletonRegex.exec(content)) !== null) {
+      const start = match.index + match[0].search(/\S/);
+      singletonRanges.push({ start, end: findRubyBlockEnd(content, start) });
     }
 
-    // Method definitions
-    const methodRegex = /(?:public|private|protected|internal)?\s*(?:static\s+)?(?:virtual\s+)?(?:override\s+)?(?:\w+\s+)*(\w+)\s*\([^)]*\)\s*\{/g;
-    while ((match = methodRegex.exec(content)) !== null) {
-      if (match[1] !== 'class' && match[1] !== 'interface') {
-        metadata.functions.push(match[1]);
+    // Bare `private` / `protected` / `public` lines change the visibility of the defs that follow
+    const visibilityMarkers = [];
+    const visibilityRegex = /^([ \t]*)(private|protected|public)[ \t]*(?:#.*)?$/gm;
+    while ((match = visibilityRegex.exec(content)) !== null) {
+      visibilityMarkers.push({ index: match.index, indent: match[1].length, visibility: match[2] });
+    }
+
+    // Methods
+    const defRegex = /^([ \t]*)((?:private|protected|public|module_function)\s+)?def\s+(self\.)?(\w+[?!=]?|[-+*/%<>=!~^&|[\]@]+)/gm;
+    while ((match = defRegex.exec(content)) !== null) {
+      const start = match.index + match[1].length;
+      const nameEnd = match.index + match[0].length;
+      let params = [];
+      if (content[nameEnd] === '(') {
+        const group = this.readGroup(content, context, nameEnd);
+        if (group) params = parseRubyParams(group.text);
+      } else {
+        const lineEnd = content.slice(nameEnd).search(/[;\n]|$/);
+        const text = this.sourceText(context, nameEnd, nameEnd + lineEnd).trim();
+        if (text && !text.startsWith('=')) params = parseRubyParams(text);
+      }
+
+      const owner = findEnclosingRange(typeRanges, start);
+      let visibility = match[2] ? match[2].trim() : undefined;
+      if (owner && !visibility) {
+        const marker = visibilityMarkers
+          .filter(m => m.index > owner.start && m.index < start && m.indent === match[1].length)
+          .filter(m => findEnclosingRange(typeRanges, m.index) === owner)
+          .pop();
+        visibility = marker ? marker.visibility : 'public';
       }
+
+      metadata.functions.push(this.symbol(context, owner ? 'method' : 'function', match[4], start, findRubyBlockEnd(content, start), {
+        className: owner ? owner.name : undefined,
+        params,
+        static: Boolean(match[3]) || singletonRanges.some(range => range.start < start && start < range.end),
+        visibility: visibility === 'module_function' ? 'public' : visibility
+      }));
+    }
+
+    // Constants
+    const constRegex = /^[ \t]*([A-Z]\w*)\s*=(?![=~])/gm;
+    while ((match = constRegex.exec(content)) !== null) {
+      const start = match.index + match[0].search(/\S/);
+      const owner = findEnclosingRange(typeRanges, start);
+      const end = findStatementEnd(content, match.index + match[0].length);
+      metadata.constants.push(this.symbol(context, 'constant', match[1], start, end, {
+        className: owner ? owner.name : undefined
+      }));
     }
 
     return metadata;
   }
 
-  extractGoMetadata(content) {
+  extractKotlinMetadata(content, context) {
     const metadata = {
       imports: [],
+      classes: [],
+      interfaces: [],
+      types: [],
       functions: [],
       constants: []
     };
 
     // Import statements
-    const importRegex = /import\s+(?:\(\s*([^)]+)\s*\)|"([^"]+)")/g;
+    const importRegex = /^[ \t]*import\s+([\w.*`]+)/gm;
     let match;
     while ((match = importRegex.exec(content)) !== null) {
-      if (match[1]) {
-        const imports = match[1].split('\n').map(i => i.trim().replace(/"/g, '')).filter(i => i);
-        metadata.imports.push(...imports);
-      } else if (match[2]) {
-        metadata.imports.push(match[2]);
+      metadata.imports.push(match[1]);
+    }
+
+    // Classes, interfaces, objects and enums; bodies and primary constructors are optional
+    const typeRanges = [];
+    const typeRegex = /((?:@[\w.]+(?:\([^)]*\))?\s+)*(?:\b(?:public|private|protected|internal|open|abstract|sealed|data|enum|annotation|inner|value|inline|companion|fun|expect|actual|final)\s+)*)\b(class|interface|object)\b[ \t]*(\w+)?/g;
+    while ((match = typeRegex.exec(content)) !== null) {
+      if (/[.:]\s*$/.test(content.slice(Math.max(0, match.index - 2), match.index))) continue;
+
+      const modifiers = match[1].replace(/@[\w.]+(?:\([^)]*\))?/g, '').trim().split(/\s+/);
+      const end = findDeclarationEnd(content, match.index + match[0].length);
+
+      // Companion objects attach static members to the enclosing class
+      if (modifiers.includes('companion')) {
+        const outer = findEnclosingRange(typeRanges, match.index);
+        typeRanges.push({ name: outer ? outer.name : match[3] || 'Companion', start: match.index, end, static: true });
+        continue;
       }
+      if (!match[3]) continue;
+
+      const kind = modifiers.includes('enum') ? 'enum' : match[2];
+      const list = kind === 'interface' ? metadata.interfaces : kind === 'enum' ? metadata.types : metadata.classes;
+      list.push(this.symbol(context, kind, match[3], match.index, end));
+      typeRanges.push({ name: match[3], start: match.index, end, static: kind === 'object' });
     }
 
-    // Function definitions
-    const funcRegex = /func\s+(?:\([^)]*\)\s+)?(\w+)\s*\(/g;
+    // Type aliases
+    const aliasRegex = /\btypealias\s+(\w+)/g;
+    while ((match = aliasRegex.exec(content)) !== null) {
+      const end = findStatementEnd(content, match.index + match[0].length);
+      metadata.types.push(this.symbol(context, 'type', match[1], match.index, end));
+    }
+
+    // Functions, methods and extension functions
+    const funcRegex = /((?:@[\w.]+(?:\([^)]*\))?\s+)*(?:\b(?:public|private|protected|internal|override|open|abstract|final|suspend|inline|operator|infix|tailrec|external|actual|expect)\s+)*)\bfun\s+(?:<[^>]*>\s*)?(?:([\w.<>?, ]+?)\.)?(`[^`]+`|\w+)\s*\(/g;
     while ((match = funcRegex.exec(content)) !== null) {
-      metadata.functions.push(match[1]);
+      const group = this.readGroup(content, context, match.index + match[0].length - 1);
+      if (!group) continue;
+
+      const returnMatch = content.slice(group.end).match(/^\s*:\s*([^{=\n]+)/);
+      const owner = findEnclosingRange(typeRanges, match.index);
+      const modifiers = match[1].replace(/@[\w.]+(?:\([^)]*\))?/g, '').trim().split(/\s+/);
+
+      metadata.functions.push(this.symbol(context, owner ? 'method' : 'function', match[3], match.index, findDeclarationEnd(content, group.end), {
+        className: owner ? owner.name : undefined,
+        receiver: match[2],
+        params: parseKotlinParams(group.text),
+        returnType: returnMatch ? returnMatch[1].replace(/\bwhere\b.*$/, '').trim() : undefined,
+        async: modifiers.includes('suspend'),
+        static: Boolean(owner && owner.static),
+        visibility: modifiers.find(modifier => VISIBILITY_MODIFIERS.includes(modifier)) || 'public'
+      }));
     }
 
-    // Constants
-    const constRegex = /const\s+(\w+)/g;
+    // `const val` and top-level SCREAMING_CASE vals
+    const constRegex = /\bconst\s+val\s+(\w+)|^(?:(?:public|private|internal)\s+)?val\s+([A-Z][A-Z0-9_]*)\b/gm;
     while ((match = constRegex.exec(content)) !== null) {
-      metadata.constants.push(match[1]);
+      const owner = findEnclosingRange(typeRanges, match.index);
+      const end = findStatementEnd(content, match.index + match[0].length);
+      this.addSymbol(metadata.constants, this.symbol(context, 'constant', match[1] || match[2], match.index, end, {
+        className: owner ? owner.name : undefined
+      }));
     }
 
     return metadata;
   }
 
-  extractRustMetadata(content) {
+  extractSwiftMetadata(content, context) {
     const metadata = {
       imports: [],
+      classes: [],
+      interfaces: [],
+      types: [],
       functions: [],
       constants: []
     };
 
-    // Use statements
-    const useRegex = /use\s+([^;]+);/g;
+    // Import statements, including `@testable import` and `import struct Module.Type`
+    const importRegex = /^[ \t]*(?:@\w+\s+)*import\s+(?:(?:typealias|struct|class|enum|protocol|let|var|func)\s+)?([\w.]+)/gm;
     let match;
-    while ((match = useRegex.exec(content)) !== null) {
-      metadata.imports.push(match[1].trim());
+    while ((match = importRegex.exec(content)) !== null) {
+      metadata.imports.push(match[1]);
     }
 
-    // Function definitions
-    const funcRegex = /(?:pub\s+)?fn\s+(\w+)\s*\(/g;
+    // Classes, structs, enums, protocols, actors and extensions
+    const typeRanges = [];
+    const typeRegex = /((?:@\w+(?:\([^)]*\))?\s+)*(?:\b(?:public|private|fileprivate|internal|open|final|indirect)\s+)*)\b(class|struct|enum|protocol|actor|extension)\s+(\w+(?:\.\w+)*)/g;
+    while ((match = typeRegex.exec(content)) !== null) {
+      // `class func` / `class var` declare type members, and `import struct X` is an import
+      if (['func', 'var', 'let', 'subscript', 'init'].includes(match[3])) continue;
+      if (/\bimport\s+$/.test(content.slice(content.lastIndexOf('\n', match.index) + 1, match.index + match[1].length))) continue;
+
+      const end = findDeclarationEnd(content, match.index + match[0].length);
+      typeRanges.push({ name: match[3], start: match.index, end });
+      // Extensions only contribute their members to an existing type
+      if (match[2] === 'extension') continue;
+
+      const kind = match[2];
+      const list = kind === 'protocol' ? metadata.interfaces : kind === 'enum' ? metadata.types : metadata.classes;
+      list.push(this.symbol(context, kind, match[3], match.index, end));
+    }
+
+    // Type aliases
+    const aliasRegex = /\btypealias\s+(\w+)/g;
+    while ((match = aliasRegex.exec(content)) !== null) {
+      const end = findStatementEnd(content, match.index + match[0].length);
+      metadata.types.push(this.symbol(context, 'type', match[1], match.index, end));
+    }
+
+    // Functions, methods and initializers
+    const funcRegex = /((?:@\w+(?:\([^)]*\))?\s+)*(?:\b(?:public|private|fileprivate|internal|open|final|override|static|class|mutating|nonmutating|convenience|required|dynamic|optional|nonisolated|prefix|postfix|infix)\s+)*)\b(?:func\s+(\w+|[^\s(<\w]+)|(?<!\.)(init)[?!]?)\s*(?:<[^>]*>\s*)?\(/g;
     while ((match = funcRegex.exec(content)) !== null) {
-      metadata.functions.push(match[1]);
+      const group = this.readGroup(content, context, match.index + match[0].length - 1);
+      if (!group) continue;
+
+      // The header ends at the body, the line end, or the brace closing a one-line protocol
+      const headerEnd = content.slice(group.end).search(/[{}\n;]/);
+      const header = content.slice(group.end, headerEnd === -1 ? content.length : group.end + headerEnd)
+        .replace(/\bwhere\b.*$/, '');
+      const arrow = header.indexOf('->');
+      const effects = arrow === -1 ? header : header.slice(0, arrow);
+      const owner = findEnclosingRange(typeRanges, match.index);
+      const modifiers = match[1].replace(/@\w+(?:\([^)]*\))?/g, '').trim().split(/\s+/);
+
+      metadata.functions.push(this.symbol(context, owner ? 'method' : 'function', match[2] || match[3], match.index, findDeclarationEnd(content, group.end), {
+        className: owner ? owner.name : undefined,
+        params: parseSwiftParams(group.text),
+        returnType: arrow === -1 ? undefined : header.slice(arrow + 2).trim(),
+        async: /\basync\b/.test(effects),
+        static: modifiers.includes('static') || modifiers.includes('class'),
+        visibility: modifiers.find(modifier => SWIFT_ACCESS_LEVELS.includes(modifier)) || 'internal'
+      }));
     }
 
-    // Constants
-    const constRegex = /(?:pub\s+)?const\s+(\w+)/g;
+    // Top-level and static `let` constants
+    const constRegex = /^(?:(?:public|private|fileprivate|internal)\s+)?let\s+(\w+)|\bstatic\s+let\s+(\w+)/gm;
     while ((match = constRegex.exec(content)) !== null) {
-      metadata.constants.push(match[1]);
+      const owner = findEnclosingRange(typeRanges, match.index);
+      const end = findStatementEnd(content, match.index + match[0].length);
+      metadata.constants.push(this.symbol(context, 'constant', match[1] || match[2], match.index, end, {
+        className: owner ? owner.name : undefined
+      }));
     }
 
     return metadata;
   }
 
+  // Runs the JS/TS extractor over a component's <script> blocks. Everything else is blanked
+  // out rather than cut, so symbol locations still point into the original file.
+  extractComponentScripts(content, context, blocks) {
+    const scripts = maskRanges(content, blocks.filter(block => block.tag === 'script'));
+    const { code, source } = maskSource(scripts, 'javascript');
+    return this.extractJavaScriptMetadata(code, { ...context, content: scripts, code, source });
+  }
+
+  extractVueMetadata(content, context) {
+    const blocks = findComponentBlocks(content);
+    return {
+      ...this.extractComponentScripts(content, context, blocks),
+      component: extractVueComponent(content, blocks, path.basename(context.filePath, context.extension))
+    };
+  }
+
+  extractSvelteMetadata(content, context) {
+    const blocks = findComponentBlocks(content);
+    return {
+      ...this.extractComponentScripts(content, context, blocks),
+      component: extractSvelteComponent(content, blocks, path.basename(context.filePath, context.extension))
+    };
+  }
+
   extractGenericMetadata(content) {
     return {
       lineCount: content.split('\n').length,
@@ -439,7 +1695,7 @@ class ProjectIndexer {
       for (const entry of entries) {
         const fullPath = path.join(dir, entry.name);
         
-        if (this.shouldIgnoreFile(fullPath)) {
+        if (this.shouldIgnoreFile(fullPath, entry.isDirectory())) {
           continue;
         }
         
@@ -460,40 +1716,91 @@ class ProjectIndexer {
     const tree = {};
     
     for (const file of files) {
-      const relativePath = path.relative(this.rootDir, file);
-      const parts = relativePath.split(path.sep);
-      let current = tree;
-      
-      for (let i = 0; i < parts.length; i++) {
-        const part = parts[i];
-        if (i === parts.length - 1) {
-          // It's a file
-          current[part] = 'file';
-        } else {
-          // It's a directory
-          if (!current[part]) {
-            current[part] = {};
-          }
-          current = current[part];
+      this.addToFileTree(tree, path.relative(this.rootDir, file));
+    }
+    
+    return tree;
+  }
+
+  addToFileTree(tree, relativePath) {
+    const parts = relativePath.split(path.sep);
+    let current = tree;
+    
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      if (i === parts.length - 1) {
+        // It's a file
+        current[part] = 'file';
+      } else {
+        // It's a directory
+        if (!current[part] || current[part] === 'file') {
+          current[part] = {};
         }
+        current = current[part];
       }
     }
+  }
+
+  removeFromFileTree(tree, relativePath) {
+    const parts = relativePath.split(path.sep);
+    const parents = [];
+    let current = tree;
     
-    return tree;
+    for (let i = 0; i < parts.length - 1; i++) {
+      if (!current[parts[i]] || current[parts[i]] === 'file') {
+        return;
+      }
+      parents.push(current);
+      current = current[parts[i]];
+    }
+    
+    delete current[parts[parts.length - 1]];
+    
+    // Prune directories left empty by the removal
+    for (let i = parents.length - 1; i >= 0; i--) {
+      const dir = parents[i][parts[i]];
+      if (Object.keys(dir).length > 0) {
+        break;
+      }
+      delete parents[i][parts[i]];
+    }
   }
 
-  generateIndex() {
+  // Scans and parses the project without writing anything to disk
+  buildIndex() {
     console.log('🔍 Scanning project files...');
-    const files = this.scanDirectory();
+    // Pick up edits to .gitignore files since the last build
+    this.getIgnoreMatcher().reset();
+    this.loadWorkspaces();
+    let files = this.scanDirectory(path.join(this.rootDir, this.packageRoot || ''));
+    // Files skipped by --changed-only or limits.maxFiles keep their cache entries
+    const scannedPaths = files.map(file => path.relative(this.rootDir, file));
+    this.loadGitData();
+    
+    if (this.changedFiles) {
+      console.log(`🔀 ${this.changedFiles.size} files changed since ${this.since}`);
+      if (this.changedOnly) {
+        files = files.filter(file => this.changedFiles.has(path.relative(this.rootDir, file)));
+      }
+    }
+    
+    if (this.maxFiles && files.length > this.maxFiles) {
+      console.warn(`⚠️  Found ${files.length} files, indexing only the first ${this.maxFiles} (limits.maxFiles)`);
+      files.length = this.maxFiles;
+    }
     
     console.log(`📁 Found ${files.length} files to process`);
     
     const fileTree = this.buildFileTree(files);
     const fileMetadata = {};
+    const cache = this.getCache();
+    if (cache) {
+      cache.resetStats();
+    }
     
     let processed = 0;
     for (const file of files) {
-      const metadata = this.extractFileMetadata(file);
+      const metadata = this.applyGitData(this.indexFile(file));
       fileMetadata[metadata.path] = metadata;
       processed++;
       
@@ -501,21 +1808,316 @@ class ProjectIndexer {
         console.log(`⚡ Processed ${processed}/${files.length} files`);
       }
     }
+
+    if (cache) {
+      // A --package run only scanned one package; the other packages' entries stay valid
+      if (!this.packageRoot) {
+        cache.prune(scannedPaths);
+      }
+      cache.save();
+    }
     
     const index = {
       generatedAt: new Date().toISOString(),
       projectRoot: this.rootDir,
       totalFiles: files.length,
+      project: describeProject(this.rootDir, this.workspaces),
       fileTree,
-      files: fileMetadata,
-      summary: this.generateSummary(fileMetadata)
+      files: fileMetadata
+    };
+    
+    return this.finalizeIndex(index);
+  }
+
+  // Workspace packages, refreshed on every full build; --package narrows the index to one
+  loadWorkspaces() {
+    this.workspaces = discoverWorkspaces(this.rootDir);
+    this.packageRoot = null;
+    if (!this.packageName) {
+      return;
+    }
+
+    const wanted = this.packageName.split(path.sep).join('/').replace(/^\.\//, '').replace(/\/+$/, '');
+    const selected = this.workspaces.find(workspace => workspace.name === this.packageName || workspace.root === wanted);
+    if (!selected) {
+      const known = this.workspaces.map(workspace => workspace.name).join(', ');
+      throw new ConfigError(`no workspace package named "${this.packageName}" (${known ? `found: ${known}` : 'no workspaces found'})`, 'package');
+    }
+    this.packageRoot = selected.root;
+    console.log(`📦 Indexing package ${selected.name} (${selected.root || '.'})`);
+  }
+
+  // Git history and the --since change set, refreshed on every full build
+  loadGitData() {
+    this.gitFiles = null;
+    this.changedFiles = null;
+    if (!this.git && !this.since) {
+      return;
+    }
+
+    const history = new GitHistory(this.rootDir, this.git || {});
+    if (!history.isAvailable()) {
+      console.warn('⚠️  Not a git repository (or git is not installed); indexing without git data');
+      return;
+    }
+    if (this.git) {
+      this.gitFiles = history.fileHistory();
+    }
+    if (this.since) {
+      try {
+        this.changedFiles = history.changedSince(this.since);
+      } catch (error) {
+        throw new ConfigError(error.message, 'since');
+      }
+    }
+  }
+
+  // Cached metadata is a copy, so the git fields never end up in the cache
+  applyGitData(metadata) {
+    const history = this.gitFiles && this.gitFiles.get(metadata.path);
+    if (history) {
+      metadata.git = history;
+    }
+    if (this.changedFiles && this.changedFiles.has(metadata.path)) {
+      metadata.changedSince = true;
+    }
+    return metadata;
+  }
+
+  // Recomputes the sections derived from the per-file metadata
+  finalizeIndex(index) {
+    index.generatedAt = new Date().toISOString();
+    index.totalFiles = Object.keys(index.files).length;
+    index.dependencyGraph = this.buildDependencyGraph(index.files);
+    index.summary = this.generateSummary(index.files);
+    this.applyWorkspaces(index);
+    this.applyRoutes(index);
+    return index;
+  }
+
+  // Rebuilds the top-level `routes` list from the per-file routes and router mounts
+  applyRoutes(index) {
+    const resolver = new ModuleResolver(this.rootDir, Object.keys(index.files));
+    const resolve = (fromPath, specifier) => {
+      const result = resolver.resolve(fromPath, specifier, index.files[fromPath].extension);
+      return result && result.internal ? result.internal[0] : null;
+    };
+    const routes = collectRoutes(this.rootDir, index.files, resolve);
+    if (routes.length > 0) {
+      index.routes = routes;
+    } else {
+      delete index.routes;
+    }
+  }
+
+  // Tags each file with its owning package and rebuilds the `packages` section. Packages depend
+  // on each other through declared dependencies and through imports between their files.
+  applyWorkspaces(index) {
+    delete index.packages;
+    if (!this.workspaces || this.workspaces.length === 0) {
+      return;
+    }
+
+    const stats = new Map(this.workspaces.map(workspace => [workspace, {
+      files: 0,
+      symbols: Object.fromEntries(SYMBOL_LISTS.map(key => [key, 0])),
+      dependsOn: new Set(workspaceDependencies(this.workspaces, workspace))
+    }]));
+    for (const [filePath, metadata] of Object.entries(index.files)) {
+      const owner = packageFor(this.workspaces, filePath);
+      if (!owner) {
+        delete metadata.package;
+        continue;
+      }
+      metadata.package = owner.name;
+
+      const entry = stats.get(owner);
+      entry.files++;
+      for (const key of SYMBOL_LISTS) {
+        entry.symbols[key] += (metadata[key] || []).length;
+      }
+      for (const target of metadata.resolvedImports || []) {
+        const targetOwner = packageFor(this.workspaces, target);
+        if (targetOwner && targetOwner !== owner) entry.dependsOn.add(targetOwner.name);
+      }
+    }
+
+    index.packages = this.workspaces.map(workspace => ({
+      name: workspace.name,
+      root: workspace.root || '.',
+      ecosystem: workspace.ecosystem,
+      entryPoints: workspace.entryPoints,
+      dependsOn: [...stats.get(workspace).dependsOn].sort(),
+      files: stats.get(workspace).files,
+      symbols: stats.get(workspace).symbols
+    }));
+  }
+
+  // Resolves raw import specifiers to indexed files and records reverse edges
+  buildDependencyGraph(fileMetadata) {
+    const resolver = new ModuleResolver(this.rootDir, Object.keys(fileMetadata));
+    const graph = {
+      internal: {},
+      external: {},
+      unresolved: {},
+      edgeCount: 0
     };
     
+    for (const metadata of Object.values(fileMetadata)) {
+      delete metadata.resolvedImports;
+      delete metadata.externalImports;
+      delete metadata.unresolvedImports;
+      metadata.importedBy = [];
+    }
+    
+    for (const [filePath, metadata] of Object.entries(fileMetadata)) {
+      if (!metadata.imports || !resolver.supports(metadata.extension)) {
+        continue;
+      }
+      
+      const resolved = new Set();
+      const external = new Set();
+      const unresolved = [];
+      
+      for (const specifier of metadata.imports) {
+        const result = resolver.resolve(filePath, specifier, metadata.extension);
+        if (result.internal) {
+          result.internal.filter(target => target !== filePath).forEach(target => resolved.add(target));
+        } else if (result.external) {
+          external.add(result.external);
+        } else {
+          unresolved.push(specifier);
+        }
+      }
+      
+      metadata.resolvedImports = [...resolved];
+      metadata.externalImports = [...external];
+      if (unresolved.length > 0) {
+        metadata.unresolvedImports = unresolved;
+        graph.unresolved[filePath] = unresolved;
+      }
+      
+      if (resolved.size > 0) {
+        graph.internal[filePath] = metadata.resolvedImports;
+        graph.edgeCount += resolved.size;
+      }
+      for (const target of resolved) {
+        fileMetadata[target].importedBy.push(filePath);
+      }
+      for (const name of external) {
+        (graph.external[name] = graph.external[name] || []).push(filePath);
+      }
+    }
+    
+    return graph;
+  }
+
+  // Re-indexes a single file in place; returns the kind of change applied, if any
+  updateIndexFile(index, filePath) {
+    const relativePath = path.relative(this.rootDir, filePath);
+    const existed = Boolean(index.files[relativePath]);
+    
+    if (!fs.existsSync(filePath) || this.shouldIgnoreFile(filePath) || !this.isSupportedFile(filePath)) {
+      return existed ? this.removeIndexFile(index, filePath) : null;
+    }
+    
+    // Edited since the last full build, so assume it now differs from the --since ref
+    if (this.changedFiles) {
+      this.changedFiles.add(relativePath);
+    }
+    index.files[relativePath] = this.applyGitData(this.indexFile(filePath));
+    if (!existed) {
+      this.addToFileTree(index.fileTree, relativePath);
+    }
+    
+    return existed ? 'changed' : 'added';
+  }
+
+  removeIndexFile(index, filePath) {
+    const relativePath = path.relative(this.rootDir, filePath);
+    if (!index.files[relativePath]) {
+      return null;
+    }
+    
+    delete index.files[relativePath];
+    this.removeFromFileTree(index.fileTree, relativePath);
+    if (this.cache) {
+      this.cache.delete(relativePath);
+    }
+    
+    return 'removed';
+  }
+
+  removeIndexDirectory(index, dirPath) {
+    const prefix = path.relative(this.rootDir, dirPath) + path.sep;
+    let removed = 0;
+    
+    for (const relativePath of Object.keys(index.files)) {
+      if (relativePath.startsWith(prefix)) {
+        this.removeIndexFile(index, path.join(this.rootDir, relativePath));
+        removed++;
+      }
+    }
+    
+    return removed;
+  }
+
+  saveCache() {
+    if (this.cache) {
+      this.cache.save();
+    }
+  }
+
+  // Returns { outputPath, tokens, omitted } with the estimated token count of what was
+  // written; sharded output adds { shards, written } and only rewrites changed shards
+  writeIndex(index) {
+    if (this.shard) {
+      if (!this.shardWriter) {
+        // Discovered packages (pnpm, Cargo, go.work, uv) become shards too, not just npm workspaces
+        const workspaces = this.workspaces && this.workspaces.length > 0 ? this.workspaces.map(workspace => workspace.root) : undefined;
+        this.shardWriter = new ShardWriter(this.rootDir, this.outputFile, { indent: this.indent, workspaces });
+      }
+      return { ...this.shardWriter.write(index), omitted: null };
+    }
+
     const outputPath = path.join(this.rootDir, this.outputFile);
-    fs.writeFileSync(outputPath, JSON.stringify(index, null, 2));
+    const output = formatIndex(index, { format: this.format, indent: this.indent, maxTokens: this.maxTokens });
+    writeFileAtomic(outputPath, output.text);
+    
+    return { outputPath, tokens: output.tokens, omitted: output.omitted };
+  }
+
+  generateIndex() {
+    const index = this.buildIndex();
+    const { outputPath, tokens, omitted, shards, written } = this.writeIndex(index);
+    const cache = this.cache;
     
     console.log(`✅ Project index generated: ${outputPath}`);
-    console.log(`📊 Summary: ${index.summary.totalFunctions} functions, ${index.summary.totalClasses} classes across ${files.length} files`);
+    console.log(`📊 Summary: ${index.summary.totalFunctions} functions, ${index.summary.totalClasses} classes across ${index.totalFiles} files`);
+    if (index.project.frameworks.length > 0) {
+      console.log(`🧰 Stack: ${index.project.frameworks.join(', ')}`);
+    }
+    if (index.packages) {
+      console.log(`📦 Workspace packages: ${index.packages.length}`);
+    }
+    if (this.gitFiles) {
+      const histories = Object.values(index.files).filter(metadata => metadata.git).map(metadata => metadata.git);
+      const recent = histories.filter(history => history.recentCommits > 0).length;
+      console.log(`🕒 Git history for ${histories.length} files, ${recent} changed in the last ${this.git.days} days`);
+    }
+    if (shards !== undefined) {
+      console.log(`🧩 Shards: ${shards} total, ${written.length} rewritten`);
+    }
+    console.log(`🧮 Estimated size: ~${tokens} tokens${this.maxTokens ? ` (budget ${this.maxTokens})` : ''}`);
+    if (omitted) {
+      console.log(`✂️  Omitted to fit the budget: ${describeOmitted(omitted) || 'nothing'}`);
+      if (tokens > this.maxTokens) {
+        console.warn(`⚠️  Still over the ${this.maxTokens}-token budget after dropping everything optional`);
+      }
+    }
+    if (cache) {
+      console.log(`♻️  Cache: ${cache.stats.reused} reused, ${cache.stats.reparsed} re-parsed`);
+    }
     
     return index;
   }
@@ -551,34 +2153,108 @@ class ProjectIndexer {
       .slice(0, 10)
       .map(f => ({ path: f.path, size: f.size }));
     
+    if (this.gitFiles) {
+      const recent = Object.entries(fileMetadata).filter(([, metadata]) => metadata.git && metadata.git.recentCommits > 0);
+      summary.recentlyChanged = [...recent]
+        .sort((a, b) => Date.parse(b[1].git.lastCommitDate) - Date.parse(a[1].git.lastCommitDate))
+        .slice(0, 10)
+        .map(([filePath, metadata]) => ({ path: filePath, lastCommitDate: metadata.git.lastCommitDate }));
+      summary.churnHotspots = [...recent]
+        .sort((a, b) => b[1].git.recentCommits - a[1].git.recentCommits || a[0].localeCompare(b[0]))
+        .slice(0, 10)
+        .map(([filePath, metadata]) => ({ path: filePath, commits: metadata.git.recentCommits }));
+    }
+    
+    // Links test files to the sources they cover (needs the resolved imports)
+    const tests = mapTests(fileMetadata);
+    if (tests) {
+      Object.assign(summary, tests);
+    }
+    
+    if (this.changedFiles) {
+      summary.changedSince = {
+        ref: this.since,
+        files: Object.keys(fileMetadata).filter(filePath => fileMetadata[filePath].changedSince).sort()
+      };
+    }
+    
     return summary;
   }
 }
 
+// Exported before the CLI runs: the mcp subcommand loads the watcher, which requires this module
+module.exports = ProjectIndexer;
+
+// `claude-index <subcommand>`; each returns an exit code, or a promise of one
+const SUBCOMMANDS = {
+  query: () => require('./query').runQueryCommand,
+  mcp: () => require('./mcp').runMcpCommand,
+  diff: () => require('./diff').runDiffCommand,
+  analyze: () => require('./analysis').runAnalyzeCommand
+};
+
 // CLI functionality
-if (require.main === module) {
+if (require.main === module && SUBCOMMANDS[process.argv[2]]) {
+  const run = SUBCOMMANDS[process.argv[2]]();
+  Promise.resolve(run(process.argv.slice(3))).then(code => process.exit(code));
+} else if (require.main === module) {
   const args = process.argv.slice(2);
   const options = {};
   
-  for (let i = 0; i < args.length; i += 2) {
-    const key = args[i];
-    const value = args[i + 1];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
     
-    switch (key) {
-      case '--root':
-        options.rootDir = value;
-        break;
-      case '--output':
-        options.outputFile = value;
-        break;
-      case '--extensions':
-        options.supportedExtensions = value.split(',');
-        break;
+    if (arg === '--root' && i + 1 < args.length) {
+      options.rootDir = args[i + 1];
+      i++;
+    } else if (arg === '--output' && i + 1 < args.length) {
+      options.outputFile = args[i + 1];
+      i++;
+    } else if (arg === '--extensions' && i + 1 < args.length) {
+      options.supportedExtensions = args[i + 1].split(',');
+      i++;
+    } else if (arg === '--config' && i + 1 < args.length) {
+      options.configFile = args[i + 1];
+      i++;
+    } else if (arg === '--format' && i + 1 < args.length) {
+      options.format = args[i + 1];
+      i++;
+    } else if (arg === '--max-tokens' && i + 1 < args.length) {
+      options.maxTokens = Number(args[i + 1]);
+      i++;
+    } else if (arg === '--shard') {
+      options.shard = true;
+    } else if (arg === '--git') {
+      options.git = true;
+    } else if (arg === '--since' && i + 1 < args.length) {
+      options.since = args[i + 1];
+      i++;
+    } else if (arg === '--changed-only') {
+      options.changedOnly = true;
+    } else if (arg === '--package' && i + 1 < args.length) {
+      options.package = args[i + 1];
+      i++;
+    } else if (arg === '--no-cache') {
+      options.useCache = false;
+    } else if (arg === '--no-docs') {
+      options.docs = false;
+    } else if (arg === '--legacy-functions') {
+      options.legacyFunctions = true;
     }
   }
   
-  const indexer = new ProjectIndexer(options);
-  indexer.generateIndex();
+  try {
+    const { options: resolved, source } = resolveOptions(options);
+    if (source) {
+      console.log(`⚙️  Using config from ${source}`);
+    }
+    const indexer = new ProjectIndexer(resolved);
+    indexer.generateIndex();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
 }
-
-module.exports = ProjectIndexer;
\ No newline at end of file
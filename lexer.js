@@ -0,0 +1,433 @@
+// Lexical masking: finds comments and string literals so extractors can run their
+// regexes over code only. Masking blanks characters with spaces while keeping every
+// offset, newline and quote character in place, so match positions still map onto
+// the original file. maskSource() returns two copies:
+//   code   - comments and string contents blanked (for matching structure)
+//   source - only comments blanked (for reading defaults, types and import paths)
+
+// Per-family rules for the C-like scanner
+const C_LIKE_RULES = {
+  javascript: { quotes: '\'"', templates: true, regexLiterals: true },
+  c: { quotes: '"\'', digitSeparators: true, cppRawStrings: true, ifZero: true },
+  java: { quotes: '"\'', tripleQuotes: true },
+  csharp: { quotes: '"\'', tripleQuotes: true, verbatimStrings: true },
+  kotlin: { quotes: '"\'', tripleQuotes: true, nestedComments: true, interpolation: '${' },
+  swift: { quotes: '"', tripleQuotes: true, nestedComments: true, hashStrings: true, interpolation: '\\(' },
+  php: { quotes: '"\'', hashComments: true, heredocs: true },
+  go: { quotes: '"\'', backtickStrings: true },
+  rust: { quotes: '"\'', nestedComments: true, rustRawStrings: true, lifetimes: true }
+};
+
+// Keywords after which a `/` starts a regular expression rather than a division
+const REGEX_PRECEDING_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'case', 'do', 'else', 'in', 'of', 'void', 'yield', 'await', 'delete', 'throw', 'new'
+]);
+
+function isIdentifierChar(char) {
+  return char !== undefined && /[\w$]/.test(char);
+}
+
+function lineEnd(content, index) {
+  const newline = content.indexOf('\n', index);
+  return newline === -1 ? content.length : newline;
+}
+
+function isLineStart(content, index) {
+  return /^[ \t]*$/.test(content.slice(content.lastIndexOf('\n', index - 1) + 1, index));
+}
+
+function blockCommentEnd(content, index, nested) {
+  if (!nested) {
+    const close = content.indexOf('*/', index + 2);
+    return close === -1 ? content.length : close + 2;
+  }
+
+  let depth = 0;
+  for (let i = index; i < content.length - 1; i++) {
+    if (content[i] === '/' && content[i + 1] === '*') {
+      depth++;
+      i++;
+    } else if (content[i] === '*' && content[i + 1] === '/') {
+      depth--;
+      i++;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return content.length;
+}
+
+// `#if 0` ... matching `#else` / `#elif` / `#endif` is commented-out code in C and C++
+function ifZeroEnd(content, index) {
+  const directiveRegex = /^[ \t]*#[ \t]*(if|ifdef|ifndef|else|elif|endif)\b/gm;
+  directiveRegex.lastIndex = lineEnd(content, index);
+  let depth = 1;
+  let match;
+  while ((match = directiveRegex.exec(content)) !== null) {
+    if (match[1].startsWith('if')) depth++;
+    else if (match[1] === 'endif') depth--;
+    else if (depth === 1) return match.index;
+    if (depth === 0) return match.index;
+  }
+  return content.length;
+}
+
+// Runs a sticky regex at exactly `index`
+function matchAt(regex, content, index) {
+  regex.lastIndex = index;
+  return regex.exec(content);
+}
+
+function isRegexStart(content, index) {
+  let j = index - 1;
+  while (j >= 0 && /\s/.test(content[j])) j--;
+  if (j < 0) return true;
+  if ('(,=:[!&|?{};+-*%~^'.includes(content[j])) return true;
+  const word = content.slice(Math.max(0, j - 12), j + 1).match(/[\w$]+$/);
+  return Boolean(word) && REGEX_PRECEDING_KEYWORDS.has(word[0]);
+}
+
+// Skips to just past the bracket closing an interpolation opened before `from`
+function skipInterpolation(content, from, open, close, rules) {
+  let depth = 1;
+  let i = from;
+  while (i < content.length) {
+    const literal = readLiteral(content, i, rules);
+    if (literal) {
+      i = literal.end;
+      continue;
+    }
+    if (content[i] === open) depth++;
+    else if (content[i] === close && --depth === 0) return i + 1;
+    i++;
+  }
+  return content.length;
+}
+
+// Scans a quoted string from `from` (just past the opening quote) to its closing delimiter
+function readQuoted(content, from, delimiter, rules, options = {}) {
+  let i = from;
+  while (i < content.length) {
+    if (content.startsWith(delimiter, i)) {
+      return { innerStart: from, innerEnd: i, end: i + delimiter.length };
+    }
+    const char = content[i];
+    if (char === '\\' && !options.raw) {
+      if (options.interpolation === '\\(' && content[i + 1] === '(') {
+        i = skipInterpolation(content, i + 2, '(', ')', rules);
+        continue;
+      }
+      i += 2;
+      continue;
+    }
+    if (options.interpolation === '${' && content.startsWith('${', i)) {
+      i = skipInterpolation(content, i + 2, '{', '}', rules);
+      continue;
+    }
+    if (char === '\n' && !options.multiline) {
+      break;
+    }
+    i++;
+  }
+  return { innerStart: from, innerEnd: Math.min(i, content.length), end: Math.min(i, content.length) };
+}
+
+// Recognizes a string, template or regex literal starting at `index`; returns
+// { innerStart, innerEnd, end } or null when there is no literal here
+function readLiteral(content, index, rules) {
+  const char = content[index];
+  const prev = content[index - 1];
+
+  if (rules.templates && char === '`') {
+    return readQuoted(content, index + 1, '`', rules, { interpolation: '${', multiline: true });
+  }
+
+  if (rules.backtickStrings && char === '`') {
+    return readQuoted(content, index + 1, '`', rules, { raw: true, multiline: true });
+  }
+
+  if (rules.regexLiterals && char === '/' && content[index + 1] !== '/' && content[index + 1] !== '*' && isRegexStart(content, index)) {
+    let inClass = false;
+    for (let i = index + 1; i < content.length && content[i] !== '\n'; i++) {
+      if (content[i] === '\\') i++;
+      else if (content[i] === '[') inClass = true;
+      else if (content[i] === ']') inClass = false;
+      else if (content[i] === '/' && !inClass) return { innerStart: index + 1, innerEnd: i, end: i + 1 };
+    }
+    return null;
+  }
+
+  if (!isIdentifierChar(prev)) {
+    let prefix;
+    if (rules.rustRawStrings && (prefix = matchAt(/b?r(#*)"/y, content, index))) {
+      return readQuoted(content, index + prefix[0].length, `"${prefix[1]}`, rules, { raw: true, multiline: true });
+    }
+    if (rules.cppRawStrings && (prefix = matchAt(/(?:u8|[uUL])?R"([^()\\\s]{0,16})\(/y, content, index))) {
+      return readQuoted(content, index + prefix[0].length, `)${prefix[1]}"`, rules, { raw: true, multiline: true });
+    }
+    if (rules.verbatimStrings && (prefix = matchAt(/(?:\$@|@\$|@)"/y, content, index))) {
+      // `""` is an escaped quote inside a verbatim string
+      let i = index + prefix[0].length;
+      while (i < content.length && !(content[i] === '"' && content[i + 1] !== '"')) {
+        i += content[i] === '"' ? 2 : 1;
+      }
+      return { innerStart: index + prefix[0].length, innerEnd: i, end: Math.min(i + 1, content.length) };
+    }
+    if (rules.hashStrings && (prefix = matchAt(/(#+)("""|")/y, content, index))) {
+      return readQuoted(content, index + prefix[0].length, `${prefix[2]}${prefix[1]}`, rules, { raw: true, multiline: true });
+    }
+  }
+
+  if (rules.heredocs && content.startsWith('<<<', index)) {
+    const match = matchAt(/<<<[ \t]*(['"]?)(\w+)\1\r?\n/y, content, index);
+    if (match) {
+      const bodyStart = index + match[0].length;
+      const terminator = new RegExp(`^[ \\t]*${match[2]}\\b`, 'gm');
+      terminator.lastIndex = bodyStart;
+      const close = terminator.exec(content);
+      const bodyEnd = close ? close.index : content.length;
+      return { innerStart: bodyStart, innerEnd: bodyEnd, end: close ? close.index + close[0].length : content.length };
+    }
+  }
+
+  if (!rules.quotes.includes(char)) {
+    return null;
+  }
+
+  if (rules.tripleQuotes && content.startsWith(char.repeat(3), index)) {
+    let run = 3;
+    while (content[index + run] === char) run++;
+    return readQuoted(content, index + run, char.repeat(run), rules, { interpolation: rules.interpolation, multiline: true });
+  }
+
+  if (char === "'") {
+    // 1'000'000 in C++14 is a number, not a character literal
+    if (rules.digitSeparators && /^\d/.test((content.slice(Math.max(0, index - 32), index).match(/[\w']*$/) || [''])[0])) {
+      return null;
+    }
+    // Rust lifetimes ('a, 'static) look like unterminated character literals; only the
+    // apostrophe is blanked in the code so bracket matching doesn't mistake it for a quote
+    if (rules.lifetimes && content[index + 1] !== '\\' && content[index + 2] !== "'" && content[index + 3] !== "'") {
+      return { innerStart: index, innerEnd: index + 1, end: index + 1 };
+    }
+  }
+
+  return readQuoted(content, index + 1, char, rules, { interpolation: rules.interpolation });
+}
+
+function scanCLike(content, rules) {
+  const ranges = [];
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if ((char === '/' && next === '/') || (rules.hashComments && char === '#' && next !== '[')) {
+      const end = lineEnd(content, i);
+      ranges.push({ start: i, end, comment: true });
+      i = end;
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      const end = blockCommentEnd(content, i, rules.nestedComments);
+      ranges.push({ start: i, end, comment: true });
+      i = end;
+      continue;
+    }
+
+    if (rules.ifZero && char === '#' && isLineStart(content, i) && /^#[ \t]*if[ \t]+0\b/.test(content.slice(i, i + 12))) {
+      const end = ifZeroEnd(content, i);
+      ranges.push({ start: i, end, comment: true });
+      i = end;
+      continue;
+    }
+
+    const literal = readLiteral(content, i, rules);
+    if (literal) {
+      ranges.push({ start: literal.innerStart, end: literal.innerEnd });
+      i = Math.max(literal.end, i + 1);
+      continue;
+    }
+
+    i++;
+  }
+
+  return ranges;
+}
+
+// Python: `#` comments, '...' / "..." strings and triple-quoted strings (docstrings included)
+function scanPython(content) {
+  const ranges = [];
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === '#') {
+      const end = lineEnd(content, i);
+      ranges.push({ start: i, end, comment: true });
+      i = end;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const quote = content.startsWith(char.repeat(3), i) ? char.repeat(3) : char;
+      // Backslashes escape the next character even in raw strings, as far as termination goes
+      const literal = readQuoted(content, i + quote.length, quote, {}, { multiline: quote.length === 3 });
+      ranges.push({ start: literal.innerStart, end: literal.innerEnd });
+      i = Math.max(literal.end, i + 1);
+      continue;
+    }
+
+    i++;
+  }
+
+  return ranges;
+}
+
+const RUBY_PAIRS = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+// Ruby: `#` comments, =begin/=end, quoted strings with #{} interpolation,
+// %q/%w/%i-style literals and heredocs
+function scanRuby(content) {
+  const ranges = [];
+  const rules = { quotes: '"\'`' };
+  let pendingHeredocs = [];
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    // Heredoc bodies start on the line after their opener
+    if (char === '\n' && pendingHeredocs.length > 0) {
+      let position = i + 1;
+      for (const tag of pendingHeredocs) {
+        let lineStart = position;
+        let bodyEnd = content.length;
+        let resume = content.length;
+        while (lineStart < content.length) {
+          const end = lineEnd(content, lineStart);
+          if (content.slice(lineStart, end).trim() === tag) {
+            bodyEnd = lineStart;
+            resume = end;
+            break;
+          }
+          lineStart = end + 1;
+        }
+        ranges.push({ start: position, end: bodyEnd });
+        position = resume;
+      }
+      pendingHeredocs = [];
+      i = position;
+      continue;
+    }
+
+    if (char === '#') {
+      const end = lineEnd(content, i);
+      ranges.push({ start: i, end, comment: true });
+      i = end;
+      continue;
+    }
+
+    if (char === '=' && content.startsWith('=begin', i) && isLineStart(content, i)) {
+      const close = content.indexOf('\n=end', i);
+      const end = close === -1 ? content.length : lineEnd(content, close + 1);
+      ranges.push({ start: i, end, comment: true });
+      i = end;
+      continue;
+    }
+
+    if (char === '<' && content[i + 1] === '<') {
+      const match = matchAt(/<<[~-]?(?:(["'`])(\w+)\1|([A-Z_][A-Z0-9_]*))/y, content, i);
+      if (match) {
+        pendingHeredocs.push(match[2] || match[3]);
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    if (char === '%' && /[qQwWiIr]/.test(content[i + 1] || '') && /[^\w\s]/.test(content[i + 2] || '')) {
+      const open = content[i + 2];
+      const close = RUBY_PAIRS[open] || open;
+      let depth = 1;
+      let j = i + 3;
+      while (j < content.length) {
+        if (content[j] === '\\') j++;
+        else if (content[j] === close && --depth === 0) break;
+        else if (content[j] === open && close !== open) depth++;
+        j++;
+      }
+      ranges.push({ start: i + 3, end: Math.min(j, content.length) });
+      i = j + 1;
+      continue;
+    }
+
+    if (char === '"' || char === '`' || char === "'") {
+      let j = i + 1;
+      while (j < content.length && content[j] !== char) {
+        if (content[j] === '\\') j++;
+        else if (char !== "'" && content.startsWith('#{', j)) {
+          j = skipInterpolation(content, j + 2, '{', '}', rules) - 1;
+        }
+        j++;
+      }
+      ranges.push({ start: i + 1, end: Math.min(j, content.length) });
+      i = j + 1;
+      continue;
+    }
+
+    i++;
+  }
+
+  return ranges;
+}
+
+const SCANNERS = {
+  python: scanPython,
+  ruby: scanRuby
+};
+for (const family of Object.keys(C_LIKE_RULES)) {
+  SCANNERS[family] = content => scanCLike(content, C_LIKE_RULES[family]);
+}
+
+const LEXER_FAMILIES = Object.keys(SCANNERS);
+
+function blank(chars, from, to) {
+  for (let i = from; i < to; i++) {
+    if (chars[i] !== '\n') chars[i] = ' ';
+  }
+}
+
+function maskSource(content, family) {
+  const scan = SCANNERS[family];
+  if (!scan) {
+    throw new Error(`Unknown lexer "${family}" (expected one of: ${LEXER_FAMILIES.join(', ')})`);
+  }
+
+  const code = content.split('');
+  const source = content.split('');
+  for (const range of scan(content)) {
+    blank(code, range.start, range.end);
+    if (range.comment) blank(source, range.start, range.end);
+  }
+
+  return { code: code.join(''), source: source.join('') };
+}
+
+// Contents of the quoted string whose opening quote is at quoteIndex
+function readStringLiteral(source, quoteIndex) {
+  const quote = source[quoteIndex];
+  let end = quoteIndex + 1;
+  while (end < source.length && source[end] !== quote && source[end] !== '\n') {
+    if (source[end] === '\\') end++;
+    end++;
+  }
+  return source.slice(quoteIndex + 1, end);
+}
+
+module.exports = {
+  LEXER_FAMILIES,
+  maskSource,
+  readStringLiteral
+};
@@ -0,0 +1,331 @@
+const path = require('path');
+const readline = require('readline');
+const IndexQuery = require('./query');
+const ProjectWatcher = require('./watcher');
+const { formatSignature, outlineSymbols } = require('./formatters');
+const { resolveOptions, ConfigError } = require('./config');
+const { version } = require('./package.json');
+
+// Newest first; an initialize request asking for another version gets the newest
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+  }
+}
+
+// Just the fields a caller needs to jump to a symbol
+function summarizeSymbol(symbol, filePath) {
+  const entry = { kind: symbol.kind, name: symbol.className ? `${symbol.className}.${symbol.name}` : symbol.name };
+  const signature = formatSignature(symbol);
+  if (signature !== symbol.name) entry.signature = signature;
+  if (filePath) entry.path = filePath;
+  if (symbol.line) entry.line = symbol.line;
+  if (symbol.doc && symbol.doc.summary) entry.summary = symbol.doc.summary;
+  return entry;
+}
+
+function countFiles(node) {
+  return Object.values(node).reduce((sum, child) => sum + (child === 'file' ? 1 : countFiles(child)), 0);
+}
+
+// Each handler gets an IndexQuery over the current in-memory index and the call arguments
+const TOOLS = {
+  search_symbols: {
+    description: 'Find where functions, classes, interfaces, types and constants are defined. Methods can be searched as Class.method.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Symbol name or part of it' },
+        mode: { type: 'string', enum: ['exact', 'prefix', 'fuzzy'], description: 'Matching mode (default: fuzzy)' },
+        kind: { type: 'string', description: 'Only symbols of this kind, e.g. function, method, class, interface' },
+        limit: { type: 'integer', minimum: 1, description: 'Maximum results (default: 20)' }
+      },
+      required: ['query']
+    },
+    handler(query, args) {
+      return query.findSymbol(args.query, { mode: args.mode || 'fuzzy', kind: args.kind })
+        .slice(0, args.limit || 20)
+        .map(symbol => summarizeSymbol(symbol, symbol.path));
+    }
+  },
+
+  get_file_outline: {
+    description: 'Symbols defined in one file, in source order with methods under their class, plus its imports and importers, and the tests that cover it (or, for a test file, its test cases and the files it tests).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Project-relative path, or an unambiguous suffix such as user/service.ts' }
+      },
+      required: ['path']
+    },
+    handler(query, args) {
+      const { path: filePath } = query.fileSymbols(args.path);
+      const metadata = query.files[filePath];
+      const outline = {
+        path: filePath,
+        size: metadata.size,
+        description: metadata.description,
+        symbols: outlineSymbols(metadata).map(({ symbol, depth }) => ({ ...summarizeSymbol(symbol), depth })),
+        imports: [...(metadata.resolvedImports || []), ...(metadata.externalImports || [])],
+        importedBy: metadata.importedBy || []
+      };
+      if (metadata.tests) outline.tests = metadata.tests;
+      if (metadata.testsFor) outline.testsFor = metadata.testsFor;
+      if (metadata.testedBy) outline.testedBy = metadata.testedBy;
+      if (metadata.skipped) outline.skipped = metadata.skipped;
+      if (metadata.error) outline.error = metadata.error;
+      return outline;
+    }
+  },
+
+  find_importers: {
+    description: 'Files that import a project file, an external package or a raw import specifier.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        target: { type: 'string', description: 'Project-relative path (or unique suffix), package name or specifier' }
+      },
+      required: ['target']
+    },
+    handler(query, args) {
+      return query.importersOf(args.target);
+    }
+  },
+
+  list_directory: {
+    description: 'Indexed files and subdirectories of a directory, with symbol counts per file.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Project-relative directory (default: the project root)' }
+      }
+    },
+    handler(query, args) {
+      const dir = (args.path || '').split(path.sep).join('/').replace(/^\.\/?/, '').replace(/\/+$/, '');
+      let node = query.index.fileTree || {};
+      for (const part of dir ? dir.split('/') : []) {
+        if (!node[part] || node[part] === 'file') {
+          throw new Error(`"${args.path}" is not an indexed directory`);
+        }
+        node = node[part];
+      }
+
+      const entries = Object.keys(node).sort().map(name => {
+        const childPath = dir ? `${dir}/${name}` : name;
+        if (node[name] !== 'file') {
+          return { name: `${name}/`, type: 'directory', files: countFiles(node[name]) };
+        }
+        const metadata = query.files[childPath] || {};
+        return {
+          name,
+          type: 'file',
+          size: metadata.size,
+          functions: (metadata.functions || []).length,
+          classes: (metadata.classes || []).length
+        };
+      });
+      return { path: dir || '.', entries };
+    }
+  },
+
+  project_summary: {
+    description: 'Project overview: frameworks, build/test/run commands, file and symbol totals, files per extension, largest files and top-level directories.',
+    inputSchema: { type: 'object', properties: {} },
+    handler(query) {
+      const { index } = query;
+      return {
+        projectRoot: index.projectRoot,
+        generatedAt: index.generatedAt,
+        totalFiles: index.totalFiles,
+        project: index.project,
+        topLevel: Object.keys(index.fileTree || {}).sort().map(name => (index.fileTree[name] === 'file' ? name : `${name}/`)),
+        ...index.summary
+      };
+    }
+  }
+};
+
+// Model Context Protocol server over newline-delimited JSON-RPC. `getIndex` returns the
+// current index, so answers follow the watcher's updates; handle() is usable without streams.
+class McpServer {
+  constructor(getIndex) {
+    this.getIndex = getIndex;
+  }
+
+  callTool(name, args = {}) {
+    const tool = TOOLS[name];
+    if (!tool) {
+      throw new RpcError(INVALID_PARAMS, `Unknown tool "${name}"`);
+    }
+    for (const key of tool.inputSchema.required || []) {
+      if (typeof args[key] !== 'string' || args[key] === '') {
+        throw new RpcError(INVALID_PARAMS, `${name} needs a "${key}" string argument`);
+      }
+    }
+
+    // Failures inside a tool are reported to the model as a tool result, not a protocol error
+    try {
+      const index = this.getIndex();
+      if (!index) {
+        throw new Error('The index is not built yet; check the server log');
+      }
+      const result = tool.handler(new IndexQuery(index), args);
+      return { content: [{ type: 'text', text: JSON.stringify(result) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: error.message }], isError: true };
+    }
+  }
+
+  dispatch(method, params) {
+    switch (method) {
+      case 'initialize': {
+        const requested = params.protocolVersion;
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: {} },
+          serverInfo: { name: 'claude-project-indexer', version }
+        };
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return {
+          tools: Object.entries(TOOLS).map(([name, tool]) => ({ name, description: tool.description, inputSchema: tool.inputSchema }))
+        };
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments);
+      default:
+        throw new RpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  // Returns the response for one parsed message, or null for notifications
+  handle(message) {
+    const isObject = message !== null && typeof message === 'object';
+    if (!isObject || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Client responses need no reply (this server never sends requests anyway)
+      if (isObject && message.method === undefined && ('result' in message || 'error' in message)) {
+        return null;
+      }
+      const id = isObject && message.id !== undefined ? message.id : null;
+      return { jsonrpc: '2.0', id, error: { code: INVALID_REQUEST, message: 'Invalid request' } };
+    }
+
+    const isNotification = message.id === undefined;
+    try {
+      const result = this.dispatch(message.method, message.params || {});
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) {
+        return null;
+      }
+      const code = error instanceof RpcError ? error.code : INVALID_PARAMS;
+      return { jsonrpc: '2.0', id: message.id, error: { code, message: error.message } };
+    }
+  }
+
+  // Handles one line of input; returns the line to send back, or null
+  handleLine(line) {
+    if (!line.trim()) {
+      return null;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: `Parse error: ${error.message}` } });
+    }
+
+    const response = Array.isArray(message)
+      ? message.map(entry => this.handle(entry)).filter(Boolean)
+      : this.handle(message);
+    return response && (!Array.isArray(response) || response.length > 0) ? JSON.stringify(response) : null;
+  }
+
+  // Serves requests from `input` until it ends; resolves once it has
+  listen(input, output) {
+    return new Promise(resolve => {
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      lines.on('line', line => {
+        const response = this.handleLine(line);
+        if (response) {
+          output.write(`${response}\n`);
+        }
+      });
+      lines.on('close', resolve);
+    });
+  }
+}
+
+const MCP_HELP = `
+Serve the project index to MCP clients over stdio
+
+Usage: claude-index mcp [options]
+
+Options:
+  --root <path>       Project root directory (default: current directory)
+  --config <file>     Config file (default: .claudeindexrc.json, claude-index.config.js
+                      or the "claudeIndex" key in package.json)
+  --debounce <ms>     Debounce time for index updates in milliseconds (default: 1000)
+  --no-cache          Re-parse every file instead of reusing cached metadata
+
+Tools: ${Object.keys(TOOLS).join(', ')}
+`;
+
+// Entry point for `claude-index mcp`; resolves with the exit code once stdin closes
+function runMcpCommand(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--root' && i + 1 < args.length) {
+      options.rootDir = args[++i];
+    } else if (arg === '--config' && i + 1 < args.length) {
+      options.configFile = args[++i];
+    } else if (arg === '--debounce' && i + 1 < args.length) {
+      options.debounceMs = parseInt(args[++i], 10);
+    } else if (arg === '--no-cache') {
+      options.useCache = false;
+    } else if (arg === '--help' || arg === '-h') {
+      console.error(MCP_HELP);
+      return 0;
+    }
+  }
+
+  // stdout carries the protocol, so all progress output goes to stderr
+  console.log = console.error;
+
+  let watcher;
+  try {
+    const { options: resolved, source } = resolveOptions(options);
+    if (source) {
+      console.log(`⚙️  Using config from ${source}`);
+    }
+    watcher = new ProjectWatcher(resolved);
+    watcher.start();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  console.log('🔌 MCP server listening on stdio');
+  const server = new McpServer(() => watcher.index);
+  return server.listen(process.stdin, process.stdout).then(() => 0);
+}
+
+module.exports = McpServer;
+module.exports.TOOLS = TOOLS;
+module.exports.runMcpCommand = runMcpCommand;
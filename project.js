@@ -0,0 +1,436 @@
+const fs = require('fs');
+const path = require('path');
+const { readText, readJson, readToml, parseGoMod } = require('./workspaces');
+
+// A framework is detected by any of its dependencies, or a marker file in the root or a workspace package
+const FRAMEWORKS = [
+  { name: 'Next.js', node: ['next'], files: ['next.config.js', 'next.config.mjs', 'next.config.ts'] },
+  { name: 'Nuxt', node: ['nuxt'], files: ['nuxt.config.js', 'nuxt.config.ts'] },
+  { name: 'Remix', node: ['@remix-run/react', '@remix-run/node'], files: ['remix.config.js'] },
+  { name: 'SvelteKit', node: ['@sveltejs/kit'], files: ['svelte.config.js'] },
+  { name: 'Astro', node: ['astro'], files: ['astro.config.mjs', 'astro.config.ts'] },
+  { name: 'Angular', node: ['@angular/core'], files: ['angular.json'] },
+  { name: 'React', node: ['react'] },
+  { name: 'Vue', node: ['vue'] },
+  { name: 'Svelte', node: ['svelte'] },
+  { name: 'NestJS', node: ['@nestjs/core'], files: ['nest-cli.json'] },
+  { name: 'Express', node: ['express'] },
+  { name: 'Fastify', node: ['fastify'] },
+  { name: 'Koa', node: ['koa'] },
+  { name: 'Electron', node: ['electron'] },
+  { name: 'Django', python: ['django'], files: ['manage.py'] },
+  { name: 'Flask', python: ['flask'] },
+  { name: 'FastAPI', python: ['fastapi'] },
+  { name: 'Spring Boot', java: ['spring-boot'] },
+  { name: 'Spring', java: ['org.springframework'] },
+  { name: 'Gin', go: ['github.com/gin-gonic/gin'] },
+  { name: 'Echo', go: ['github.com/labstack/echo'] },
+  { name: 'Fiber', go: ['github.com/gofiber/fiber'] },
+  { name: 'Actix Web', rust: ['actix-web'] },
+  { name: 'Axum', rust: ['axum'] },
+  { name: 'Rocket', rust: ['rocket'] },
+  { name: 'Ruby on Rails', ruby: ['rails'], files: ['bin/rails'] },
+  { name: 'Laravel', php: ['laravel/framework'], files: ['artisan'] },
+  { name: 'Symfony', php: ['symfony/framework-bundle'] },
+  { name: 'ASP.NET Core', dotnet: ['Microsoft.NET.Sdk.Web', 'Microsoft.AspNetCore'] }
+];
+
+// package.json scripts that become standard commands, under the same names
+const SCRIPT_COMMANDS = ['build', 'test', 'lint', 'dev', 'start'];
+const MAKE_COMMANDS = ['build', 'test', 'lint'];
+
+const LOCKFILES = [['pnpm-lock.yaml', 'pnpm'], ['yarn.lock', 'yarn'], ['bun.lockb', 'bun'], ['bun.lock', 'bun'], ['package-lock.json', 'npm']];
+
+const TSCONFIG_OPTIONS = ['target', 'module', 'moduleResolution', 'jsx', 'strict', 'baseUrl', 'rootDir', 'outDir'];
+
+// CI config files by provider; GitHub workflows are listed from their directory
+const CI_FILES = [
+  ['.gitlab-ci.yml', 'gitlab-ci'],
+  ['.circleci/config.yml', 'circleci'],
+  ['azure-pipelines.yml', 'azure-pipelines'],
+  ['bitbucket-pipelines.yml', 'bitbucket-pipelines'],
+  ['.travis.yml', 'travis-ci'],
+  ['Jenkinsfile', 'jenkins']
+];
+const MAX_CI_COMMANDS = 20;
+
+// Top-level .gitlab-ci.yml keys that configure the pipeline rather than name a job
+const GITLAB_KEYWORDS = new Set(['stages', 'variables', 'image', 'include', 'default', 'workflow', 'services', 'cache', 'before_script', 'after_script']);
+
+const COMPOSE_FILES = ['docker-compose.yml', 'docker-compose.yaml', 'compose.yml', 'compose.yaml'];
+
+function unquote(value) {
+  return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+// Keys directly below `parent:` in a YAML document (the top level when parent is null)
+function yamlKeys(text, parent) {
+  const lines = text.split(/\r?\n/);
+  let start = 0;
+  let minIndent = 0;
+  if (parent) {
+    start = lines.findIndex(line => new RegExp(`^${parent}:\\s*(?:#.*)?$`).test(line)) + 1;
+    if (start === 0) return [];
+    minIndent = 1;
+  }
+
+  const keys = [];
+  let childIndent = null;
+  for (const line of lines.slice(start)) {
+    if (/^\s*(?:#.*)?$/.test(line)) continue;
+    const indent = indentOf(line);
+    if (indent < minIndent) break;
+    if (childIndent === null) childIndent = indent;
+    if (indent !== childIndent) continue;
+    const key = line.match(/^\s*([\w.-]+|"[^"]+"|'[^']+'):/);
+    if (key) keys.push(unquote(key[1]));
+  }
+  return keys;
+}
+
+// Shell commands from `run:`, `command:` and `script:` entries, as scalars, block scalars or lists
+function yamlCommands(text) {
+  const lines = text.split(/\r?\n/);
+  const commands = [];
+  for (let i = 0; i < lines.length; i++) {
+    const entry = lines[i].match(/^(\s*(?:-\s+)?)(?:run|command|(?:before_|after_)?script):\s*(.*?)\s*$/);
+    if (!entry) continue;
+    const value = entry[2].replace(/\s+#.*$/, '');
+    if (value && !/^[|>][-+]?$/.test(value)) {
+      commands.push(unquote(value));
+      continue;
+    }
+
+    // A block scalar or list: every following line indented deeper than the key
+    const keyIndent = entry[1].length;
+    for (i++; i < lines.length; i++) {
+      if (/^\s*$/.test(lines[i])) continue;
+      if (indentOf(lines[i]) <= keyIndent && !(value === '' && /^\s*-\s/.test(lines[i]) && indentOf(lines[i]) === keyIndent)) break;
+      const command = lines[i].trim().replace(/^-\s+/, '');
+      if (command && !command.startsWith('#')) commands.push(unquote(command));
+    }
+    i--;
+  }
+  return [...new Set(commands)].slice(0, MAX_CI_COMMANDS);
+}
+
+function ciConfig(rootDir, file, provider) {
+  const text = readText(path.join(rootDir, file));
+  if (text === null) {
+    return null;
+  }
+
+  const entry = { provider, file };
+  if (provider === 'jenkins') {
+    const stages = [...text.matchAll(/stage\s*\(\s*['"]([^'"]+)['"]/g)].map(match => match[1]);
+    if (stages.length > 0) entry.jobs = stages;
+    return entry;
+  }
+
+  const name = text.match(/^name:\s*(.+?)\s*$/m);
+  if (name) entry.name = unquote(name[1]);
+  const jobs = provider === 'gitlab-ci'
+    ? yamlKeys(text, null).filter(key => !key.startsWith('.') && !GITLAB_KEYWORDS.has(key))
+    : yamlKeys(text, 'jobs');
+  if (jobs.length > 0) entry.jobs = jobs;
+  const commands = yamlCommands(text);
+  if (commands.length > 0) entry.commands = commands;
+  return entry;
+}
+
+function describeCi(rootDir) {
+  const configs = [];
+  const workflowDir = path.join(rootDir, '.github', 'workflows');
+  let workflows = [];
+  try {
+    workflows = fs.readdirSync(workflowDir).filter(name => /\.ya?ml$/.test(name)).sort();
+  } catch (error) {
+    // No GitHub workflows
+  }
+  for (const name of workflows) {
+    configs.push(ciConfig(rootDir, `.github/workflows/${name}`, 'github-actions'));
+  }
+  for (const [file, provider] of CI_FILES) {
+    configs.push(ciConfig(rootDir, file, provider));
+  }
+  return configs.filter(Boolean);
+}
+
+function describeDocker(rootDir) {
+  const docker = {};
+  const dockerfile = readText(path.join(rootDir, 'Dockerfile'));
+  if (dockerfile !== null) {
+    // Continuation lines joined, so `RUN a \ && b` is one instruction
+    const instructions = dockerfile.replace(/\\\r?\n/g, ' ').split(/\r?\n/).map(line => line.trim());
+    const stages = new Set();
+    const images = [];
+    for (const line of instructions) {
+      const from = line.match(/^FROM\s+(?:--\S+\s+)*(\S+)(?:\s+AS\s+(\S+))?/i);
+      if (!from) continue;
+      if (!stages.has(from[1].toLowerCase())) images.push(from[1]);
+      if (from[2]) stages.add(from[2].toLowerCase());
+    }
+    docker.baseImages = [...new Set(images)];
+    const ports = instructions.flatMap(line => (line.match(/^EXPOSE\s+(.+)/i) || [null, ''])[1].split(/\s+/).filter(Boolean));
+    if (ports.length > 0) docker.ports = ports;
+    const command = instructions.filter(line => /^(?:CMD|ENTRYPOINT)\s/i.test(line)).pop();
+    if (command) docker.command = command;
+  }
+
+  const composeFile = COMPOSE_FILES.find(name => fs.existsSync(path.join(rootDir, name)));
+  if (composeFile) {
+    docker.composeFile = composeFile;
+    docker.services = yamlKeys(readText(path.join(rootDir, composeFile)) || '', 'services');
+  }
+  return Object.keys(docker).length > 0 ? docker : null;
+}
+
+function describeTypeScript(rootDir) {
+  const tsconfig = readJson(path.join(rootDir, 'tsconfig.json'));
+  if (!tsconfig) {
+    return null;
+  }
+
+  const compilerOptions = tsconfig.compilerOptions || {};
+  const typescript = {};
+  if (tsconfig.extends) typescript.extends = tsconfig.extends;
+  for (const key of TSCONFIG_OPTIONS) {
+    if (compilerOptions[key] !== undefined) typescript[key] = compilerOptions[key];
+  }
+  if (compilerOptions.paths) typescript.paths = Object.keys(compilerOptions.paths);
+  if (Array.isArray(tsconfig.references)) typescript.references = tsconfig.references.map(reference => reference.path);
+  return typescript;
+}
+
+function requirementName(requirement) {
+  const match = String(requirement).trim().match(/^[A-Za-z0-9][A-Za-z0-9._-]*/);
+  return match ? match[0].toLowerCase() : null;
+}
+
+function describePython(rootDir) {
+  const python = {};
+  const pyproject = readToml(path.join(rootDir, 'pyproject.toml'));
+  if (pyproject) {
+    const project = pyproject.project || (pyproject.tool && pyproject.tool.poetry) || {};
+    if (project.name) python.name = project.name;
+    if (project['requires-python']) python.requiresPython = project['requires-python'];
+    const dependencies = Array.isArray(project.dependencies) ? project.dependencies : Object.keys(project.dependencies || {});
+    python.dependencies = dependencies.map(requirementName).filter(name => name && name !== 'python');
+    if (project['optional-dependencies']) python.extras = Object.keys(project['optional-dependencies']);
+    if (project.scripts) python.scripts = project.scripts;
+    if (pyproject['build-system'] && pyproject['build-system']['build-backend']) {
+      python.buildBackend = pyproject['build-system']['build-backend'];
+    }
+    if (pyproject.tool) python.tools = Object.keys(pyproject.tool);
+  }
+
+  const requirements = readText(path.join(rootDir, 'requirements.txt'));
+  if (requirements !== null) {
+    const names = requirements.split(/\r?\n/)
+      .map(line => line.replace(/#.*/, '').trim())
+      .filter(line => line && !line.startsWith('-'))
+      .map(requirementName)
+      .filter(Boolean);
+    python.dependencies = [...new Set([...(python.dependencies || []), ...names])];
+  }
+  return Object.keys(python).length > 0 ? python : null;
+}
+
+function describeRust(rootDir) {
+  const cargo = readToml(path.join(rootDir, 'Cargo.toml'));
+  if (!cargo) {
+    return null;
+  }
+
+  const rust = {};
+  if (cargo.package) {
+    rust.name = cargo.package.name;
+    if (cargo.package.edition) rust.edition = cargo.package.edition;
+  }
+  rust.dependencies = Object.keys(cargo.dependencies || {});
+  if (cargo.workspace) rust.workspaceMembers = cargo.workspace.members || [];
+  return rust;
+}
+
+function describeNode(rootDir) {
+  const manifest = readJson(path.join(rootDir, 'package.json'));
+  if (!manifest) {
+    return null;
+  }
+
+  // An explicit "packageManager": "pnpm@9.1.0" beats lockfile sniffing
+  const declared = typeof manifest.packageManager === 'string' ? manifest.packageManager.split('@')[0] : null;
+  const lockfile = LOCKFILES.find(([file]) => fs.existsSync(path.join(rootDir, file)));
+  const node = { packageManager: declared || (lockfile ? lockfile[1] : 'npm') };
+  if (manifest.type) node.type = manifest.type;
+  if (manifest.scripts) node.scripts = manifest.scripts;
+  if (manifest.bin) node.bin = typeof manifest.bin === 'string' ? { [manifest.name || 'bin']: manifest.bin } : manifest.bin;
+  if (typeof manifest.main === 'string') node.main = manifest.main;
+  if (manifest.exports !== undefined) {
+    node.exports = typeof manifest.exports === 'string' || !Object.keys(manifest.exports).some(key => key.startsWith('.'))
+      ? ['.']
+      : Object.keys(manifest.exports);
+  }
+  if (manifest.engines) node.engines = manifest.engines;
+  node.dependencies = Object.keys(manifest.dependencies || {});
+  node.devDependencies = Object.keys(manifest.devDependencies || {});
+  return { node, manifest };
+}
+
+// Dependency names per ecosystem across the root manifests and every workspace package
+function collectDependencies(rootDir, sections, workspaces) {
+  const node = new Set([...(sections.node ? [...sections.node.dependencies, ...sections.node.devDependencies] : [])]);
+  const python = new Set(sections.python ? sections.python.dependencies || [] : []);
+  const go = new Set(sections.go ? sections.go.dependencies : []);
+  const rust = new Set(sections.rust ? sections.rust.dependencies : []);
+  for (const workspace of workspaces) {
+    const target = { node, python, go, cargo: rust }[workspace.ecosystem];
+    workspace.dependencies.forEach(name => target.add(workspace.ecosystem === 'python' ? name.toLowerCase() : name));
+  }
+
+  // Gemfile gems, composer.json packages, and the raw build files of Java and .NET projects
+  const gemfile = readText(path.join(rootDir, 'Gemfile')) || '';
+  const composer = readJson(path.join(rootDir, 'composer.json')) || {};
+  const javaBuild = ['pom.xml', 'build.gradle', 'build.gradle.kts'].map(file => readText(path.join(rootDir, file)) || '').join('\n');
+  let dotnetBuild = '';
+  try {
+    dotnetBuild = fs.readdirSync(rootDir).filter(name => name.endsWith('.csproj')).map(name => readText(path.join(rootDir, name)) || '').join('\n');
+  } catch (error) {
+    // Unreadable root; nothing to add
+  }
+
+  return {
+    node,
+    python,
+    go,
+    rust,
+    ruby: new Set([...gemfile.matchAll(/^\s*gem\s+['"]([^'"]+)['"]/gm)].map(match => match[1])),
+    php: new Set([...Object.keys(composer.require || {}), ...Object.keys(composer['require-dev'] || {})]),
+    java: javaBuild,
+    dotnet: dotnetBuild
+  };
+}
+
+function detectFrameworks(rootDir, dependencies, workspaces) {
+  const roots = ['', ...workspaces.map(workspace => workspace.root).filter(Boolean)];
+  const detected = [];
+  for (const framework of FRAMEWORKS) {
+    const found = ['node', 'python', 'ruby', 'php', 'rust'].some(ecosystem => (framework[ecosystem] || []).some(name => dependencies[ecosystem].has(name)))
+      || (framework.go || []).some(prefix => [...dependencies.go].some(name => name === prefix || name.startsWith(`${prefix}/`)))
+      || ['java', 'dotnet'].some(ecosystem => (framework[ecosystem] || []).some(marker => dependencies[ecosystem].includes(marker)))
+      || (framework.files || []).some(file => roots.some(root => fs.existsSync(path.join(rootDir, root, file))));
+    // Spring Boot already implies Spring
+    if (found && !(framework.name === 'Spring' && detected.includes('Spring Boot'))) {
+      detected.push(framework.name);
+    }
+  }
+  return detected;
+}
+
+function makeTargets(rootDir) {
+  const makefile = readText(path.join(rootDir, 'Makefile'));
+  return makefile ? new Set([...makefile.matchAll(/^([A-Za-z][\w-]*)\s*:(?!=)/gm)].map(match => match[1])) : new Set();
+}
+
+// The standard install/build/test/lint/dev/start commands for each detected toolchain
+function standardCommands(rootDir, sections, frameworks) {
+  const commands = {};
+  const add = (kind, command) => {
+    commands[kind] = commands[kind] || [];
+    if (!commands[kind].includes(command)) commands[kind].push(command);
+  };
+  const exists = file => fs.existsSync(path.join(rootDir, file));
+
+  if (sections.node) {
+    const { packageManager, scripts = {} } = sections.node;
+    add('install', `${packageManager} install`);
+    for (const name of SCRIPT_COMMANDS) {
+      if (scripts[name]) add(name, `${packageManager} run ${name}`);
+    }
+  }
+
+  if (sections.python) {
+    const runner = exists('uv.lock') ? 'uv run ' : exists('poetry.lock') ? 'poetry run ' : '';
+    if (exists('uv.lock')) add('install', 'uv sync');
+    else if (exists('poetry.lock')) add('install', 'poetry install');
+    else if (exists('requirements.txt')) add('install', 'pip install -r requirements.txt');
+    else if (exists('pyproject.toml')) add('install', 'pip install -e .');
+
+    const usesPytest = (sections.python.dependencies || []).includes('pytest') || (sections.python.tools || []).includes('pytest')
+      || exists('pytest.ini') || exists('conftest.py');
+    if (usesPytest) add('test', `${runner}pytest`);
+    if (frameworks.includes('Django') && exists('manage.py')) {
+      if (!usesPytest) add('test', `${runner}python manage.py test`);
+      add('dev', `${runner}python manage.py runserver`);
+    }
+  }
+
+  if (sections.go) {
+    add('build', 'go build ./...');
+    add('test', 'go test ./...');
+  }
+  if (sections.rust) {
+    add('build', 'cargo build');
+    add('test', 'cargo test');
+  }
+  if (exists('pom.xml')) {
+    add('build', exists('mvnw') ? './mvnw package' : 'mvn package');
+    add('test', exists('mvnw') ? './mvnw test' : 'mvn test');
+  } else if (exists('build.gradle') || exists('build.gradle.kts')) {
+    const gradle = exists('gradlew') ? './gradlew' : 'gradle';
+    add('build', `${gradle} build`);
+    add('test', `${gradle} test`);
+  }
+
+  // Makefile targets fill in whatever the toolchains above didn't cover
+  const targets = makeTargets(rootDir);
+  for (const name of MAKE_COMMANDS) {
+    if (targets.has(name) && !commands[name]) add(name, `make ${name}`);
+  }
+  return commands;
+}
+
+// The `project` section: what the project is built with and how to install, build, test and run
+// it, read from the manifests, build files and CI configs in rootDir. `workspaces` are the
+// discovered workspace packages, whose dependencies count towards framework detection.
+function describeProject(rootDir, workspaces = []) {
+  const manifests = ['package.json', 'tsconfig.json', 'pyproject.toml', 'requirements.txt', 'go.mod', 'Cargo.toml', 'pom.xml',
+    'build.gradle', 'build.gradle.kts', 'Gemfile', 'composer.json', 'Makefile', 'Dockerfile']
+    .filter(file => fs.existsSync(path.join(rootDir, file)));
+
+  const sections = {};
+  const nodeInfo = describeNode(rootDir);
+  if (nodeInfo) sections.node = nodeInfo.node;
+  const typescript = describeTypeScript(rootDir);
+  if (typescript) sections.typescript = typescript;
+  const python = describePython(rootDir);
+  if (python) sections.python = python;
+  const goMod = parseGoMod(readText(path.join(rootDir, 'go.mod')));
+  if (goMod) sections.go = goMod;
+  const rust = describeRust(rootDir);
+  if (rust) sections.rust = rust;
+
+  const project = {
+    name: (nodeInfo && nodeInfo.manifest.name) || (python && python.name) || (rust && rust.name) || (goMod && goMod.module) || path.basename(rootDir)
+  };
+  if (nodeInfo && nodeInfo.manifest.description) project.description = nodeInfo.manifest.description;
+  project.manifests = manifests;
+  project.frameworks = detectFrameworks(rootDir, collectDependencies(rootDir, sections, workspaces), workspaces);
+  project.commands = standardCommands(rootDir, sections, project.frameworks);
+  Object.assign(project, sections);
+
+  const docker = describeDocker(rootDir);
+  if (docker) project.docker = docker;
+  const ci = describeCi(rootDir);
+  if (ci.length > 0) project.ci = ci;
+  return project;
+}
+
+module.exports = {
+  FRAMEWORKS,
+  describeProject
+};
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const { compileRule } = require('./gitignore');
+const { formatSignature, outlineSymbols } = require('./formatters');
+const { resolveOptions } = require('./config');
+
+const SYMBOL_LISTS = ['functions', 'classes', 'interfaces', 'constants', 'types'];
+
+// Levenshtein distance, for typo-tolerant fuzzy matches
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Lower is better; null when `name` doesn't fuzzily match `query`
+function fuzzyScore(name, query) {
+  const lowerName = name.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  if (lowerName === lowerQuery) return 0;
+  if (lowerName.startsWith(lowerQuery)) return 1;
+  if (lowerName.includes(lowerQuery)) return 2;
+
+  // Characters in order, e.g. "usrsvc" matches "UserService"; tighter spans rank higher.
+  // The gap is weighed against the query, not the name, so long names don't dilute it
+  let position = -1;
+  let first = -1;
+  for (const char of lowerQuery) {
+    position = lowerName.indexOf(char, position + 1);
+    if (position === -1) break;
+    if (first === -1) first = position;
+  }
+  if (position !== -1) {
+    const gap = position - first + 1 - lowerQuery.length;
+    return 3 + gap / (gap + lowerQuery.length);
+  }
+
+  const distance = editDistance(lowerName, lowerQuery);
+  return distance <= Math.max(1, Math.floor(lowerQuery.length / 4)) ? 4 + distance : null;
+}
+
+// Read-only lookups over a generated index
+class IndexQuery {
+  constructor(index) {
+    this.index = index;
+    this.files = index.files || {};
+  }
+
+  // Loads PROJECT_INDEX.json (or the configured output), merging shards for a sharded index
+  static load(indexPath) {
+    let index;
+    try {
+      index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    } catch (error) {
+      throw new Error(fs.existsSync(indexPath)
+        ? `${indexPath} is not a JSON index (query needs --format json output): ${error.message}`
+        : `No index at ${indexPath}; run claude-index first`);
+    }
+
+    if (index.sharded) {
+      const baseDir = path.dirname(indexPath);
+      index.files = {};
+      index.dependencyGraph = { internal: {}, external: {} };
+      for (const entry of index.shards) {
+        const shard = JSON.parse(fs.readFileSync(path.join(baseDir, entry.path), 'utf8'));
+        Object.assign(index.files, shard.files);
+        Object.assign(index.dependencyGraph.internal, shard.dependencyGraph.internal);
+        for (const [name, importers] of Object.entries(shard.dependencyGraph.external)) {
+          index.dependencyGraph.external[name] = [...(index.dependencyGraph.external[name] || []), ...importers];
+        }
+      }
+    }
+
+    return new IndexQuery(index);
+  }
+
+  *symbols() {
+    for (const [filePath, metadata] of Object.entries(this.files)) {
+      for (const key of SYMBOL_LISTS) {
+        for (const symbol of metadata[key] || []) {
+          yield { symbol: typeof symbol === 'string' ? { name: symbol } : symbol, path: filePath };
+        }
+      }
+    }
+  }
+
+  // Where a symbol is defined. `mode` is exact (default), prefix or fuzzy; `Class.method`
+  // names match methods by owner too
+  findSymbol(query, options = {}) {
+    const mode = options.mode || 'exact';
+    const results = [];
+
+    for (const { symbol, path: filePath } of this.symbols()) {
+      if (options.kind && symbol.kind !== options.kind) continue;
+
+      const qualified = symbol.className ? `${symbol.className}.${symbol.name}` : symbol.name;
+      let score = null;
+      if (mode === 'exact') {
+        score = symbol.name === query || qualified === query ? 0 : null;
+      } else if (mode === 'prefix') {
+        score = symbol.name.startsWith(query) || qualified.startsWith(query) ? symbol.name.length - query.length : null;
+      } else {
+        const scores = [fuzzyScore(symbol.name, query), fuzzyScore(qualified, query)].filter(value => value !== null);
+        score = scores.length > 0 ? Math.min(...scores) : null;
+      }
+
+      if (score !== null) {
+        // Methods also match through their class name, so among equal fuzzy scores the shorter name wins
+        results.push({ ...symbol, path: filePath, score, matchLength: mode === 'fuzzy' ? qualified.length : 0 });
+      }
+    }
+
+    return results
+      .sort((a, b) => a.score - b.score || a.matchLength - b.matchLength || a.name.localeCompare(b.name) || a.path.localeCompare(b.path))
+      .map(({ score, matchLength, ...result }) => result);
+  }
+
+  // Accepts an exact indexed path or an unambiguous path suffix such as `user/service.ts`
+  resolveFile(filePath) {
+    const normalized = filePath.split(path.sep).join('/').replace(/^\.\//, '');
+    if (this.files[normalized]) {
+      return normalized;
+    }
+    const matches = Object.keys(this.files).filter(candidate => candidate.endsWith(`/${normalized}`));
+    if (matches.length > 1) {
+      throw new Error(`"${filePath}" is ambiguous: ${matches.join(', ')}`);
+    }
+    return matches[0] || null;
+  }
+
+  fileSymbols(filePath) {
+    const resolved = this.resolveFile(filePath);
+    if (!resolved) {
+      throw new Error(`"${filePath}" is not in the index`);
+    }
+    // Indexes built with --legacy-functions list plain names
+    const metadata = { ...this.files[resolved] };
+    for (const key of SYMBOL_LISTS) {
+      if (metadata[key]) metadata[key] = metadata[key].map(symbol => (typeof symbol === 'string' ? { name: symbol } : symbol));
+    }
+    return { path: resolved, symbols: outlineSymbols(metadata) };
+  }
+
+  // Files importing `target`: an indexed file (by path or suffix), an external package,
+  // or failing both, any raw import specifier equal to `target`
+  importersOf(target) {
+    const graph = this.index.dependencyGraph || { internal: {}, external: {} };
+    const resolved = this.files[target] ? target : (() => {
+      try {
+        return this.resolveFile(target);
+      } catch (error) {
+        return null;
+      }
+    })();
+
+    if (resolved) {
+      const importers = this.files[resolved].importedBy
+        || Object.keys(graph.internal).filter(filePath => graph.internal[filePath].includes(resolved));
+      return { target: resolved, type: 'file', importers: [...importers].sort() };
+    }
+    if (graph.external[target]) {
+      return { target, type: 'package', importers: [...graph.external[target]].sort() };
+    }
+
+    const importers = Object.keys(this.files).filter(filePath => (this.files[filePath].imports || []).includes(target));
+    return { target, type: 'specifier', importers: importers.sort() };
+  }
+
+  // Files matching a gitignore-style glob, optionally with at least `minFunctions` functions
+  filesMatching(glob, options = {}) {
+    const rule = compileRule(glob, '');
+    if (!rule) {
+      throw new Error(`"${glob}" is not a usable glob`);
+    }
+    const minFunctions = options.minFunctions || 0;
+
+    return Object.entries(this.files)
+      .filter(([filePath]) => rule.regex.test(filePath.split(path.sep).join('/')))
+      .map(([filePath, metadata]) => ({ path: filePath, functions: (metadata.functions || []).length, size: metadata.size || 0 }))
+      .filter(file => file.functions >= minFunctions)
+      .sort((a, b) => b.functions - a.functions || a.path.localeCompare(b.path));
+  }
+
+  // The `limit` largest files for each extension (or just `extension`)
+  largestFiles(options = {}) {
+    const limit = options.limit || 5;
+    const byExtension = {};
+
+    for (const [filePath, metadata] of Object.entries(this.files)) {
+      const ext = metadata.extension || path.extname(filePath) || 'unknown';
+      if (options.extension && ext !== options.extension) continue;
+      (byExtension[ext] = byExtension[ext] || []).push({ path: filePath, size: metadata.size || 0 });
+    }
+
+    for (const ext of Object.keys(byExtension)) {
+      byExtension[ext] = byExtension[ext].sort((a, b) => b.size - a.size).slice(0, limit);
+    }
+    return byExtension;
+  }
+}
+
+function describeSymbol(symbol) {
+  const name = symbol.className ? `${symbol.className}.${formatSignature(symbol)}` : formatSignature(symbol);
+  const location = symbol.line ? `${symbol.path}:${symbol.line}` : symbol.path;
+  return `${symbol.kind || 'symbol'} ${name}  ${location}`;
+}
+
+const QUERY_HELP = `
+Query an existing project index
+
+Usage: claude-index query <command> [arguments] [options]
+
+Commands:
+  symbol <name>          Where a symbol is defined (Class.method works too)
+    --prefix             Match names starting with <name>
+    --fuzzy              Case-insensitive, typo-tolerant matching
+    --kind <kind>        Only symbols of this kind (function, method, class, ...)
+  file <path>            Symbols defined in a file (path or unique suffix)
+  importers <target>     Files importing an indexed file, a package or a specifier
+  files <glob>           Files matching a .gitignore-style glob
+    --min-functions <n>  Only files with at least n functions
+  largest                Largest files for each extension
+    --ext <.ext>         Only this extension
+
+Options:
+  --root <path>          Project root (default: current directory)
+  --index <file>         Index file (default: the configured output or PROJECT_INDEX.json)
+  --limit <n>            Maximum results (default: 20; 5 per extension for largest)
+  --json                 Print JSON instead of text
+`;
+
+// Entry point for `claude-index query ...`; returns the process exit code
+function runQueryCommand(args) {
+  const positional = [];
+  const options = { mode: 'exact' };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--prefix') options.mode = 'prefix';
+    else if (arg === '--fuzzy') options.mode = 'fuzzy';
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (['--root', '--index', '--kind', '--limit', '--min-functions', '--ext'].includes(arg) && i + 1 < args.length) {
+      options[arg.slice(2)] = args[++i];
+    } else positional.push(arg);
+  }
+
+  const [command, argument] = positional;
+  if (options.help || !command) {
+    console.log(QUERY_HELP);
+    return options.help ? 0 : 1;
+  }
+
+  const print = (data, toText) => console.log(options.json ? JSON.stringify(data, null, 2) : toText(data));
+  const limit = options.limit ? parseInt(options.limit, 10) : null;
+
+  try {
+    const { options: resolved } = resolveOptions({ rootDir: options.root });
+    const indexPath = path.resolve(resolved.rootDir, options.index || resolved.outputFile || 'PROJECT_INDEX.json');
+    const query = IndexQuery.load(indexPath);
+
+    if (['symbol', 'file', 'importers', 'files'].includes(command) && !argument) {
+      throw new Error(`"${command}" needs an argument; see claude-index query --help`);
+    }
+
+    if (command === 'symbol') {
+      const results = query.findSymbol(argument, { mode: options.mode, kind: options.kind }).slice(0, limit || 20);
+      print(results, list => (list.length > 0 ? list.map(describeSymbol).join('\n') : `No symbol matching "${argument}"`));
+    } else if (command === 'file') {
+      const result = query.fileSymbols(argument);
+      print(result, ({ path: filePath, symbols }) => [filePath, ...symbols.map(({ symbol, depth }) =>
+        `${'  '.repeat(depth + 1)}${describeSymbol({ ...symbol, className: undefined, path: filePath })}`)].join('\n'));
+    } else if (command === 'importers') {
+      const result = query.importersOf(argument);
+      print(result, ({ target, type, importers }) => (importers.length > 0
+        ? importers.join('\n')
+        : `No files import ${type === 'file' ? target : `"${target}"`}`));
+    } else if (command === 'files') {
+      const results = query.filesMatching(argument, { minFunctions: parseInt(options['min-functions'] || '0', 10) }).slice(0, limit || 20);
+      print(results, list => (list.length > 0
+        ? list.map(file => `${file.path}  ${file.functions} functions, ${file.size} bytes`).join('\n')
+        : `No files match "${argument}"`));
+    } else if (command === 'largest') {
+      const result = query.largestFiles({ extension: options.ext, limit: limit || 5 });
+      print(result, byExtension => Object.keys(byExtension).sort().map(ext =>
+        [ext, ...byExtension[ext].map(file => `  ${file.path}  ${file.size} bytes`)].join('\n')).join('\n'));
+    } else {
+      throw new Error(`Unknown query command "${command}"; see claude-index query --help`);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+}
+
+module.exports = IndexQuery;
+module.exports.runQueryCommand = runQueryCommand;
+module.exports.fuzzyScore = fuzzyScore;
@@ -0,0 +1,543 @@
+const fs = require('fs');
+const path = require('path');
+const { toPosix } = require('./source-utils');
+
+const JS_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.vue', '.svelte'];
+const RESOLVERS_BY_EXTENSION = {
+  '.js': 'resolveJavaScript',
+  '.jsx': 'resolveJavaScript',
+  '.ts': 'resolveJavaScript',
+  '.tsx': 'resolveJavaScript',
+  '.mjs': 'resolveJavaScript',
+  '.cjs': 'resolveJavaScript',
+  '.vue': 'resolveJavaScript',
+  '.svelte': 'resolveJavaScript',
+  '.py': 'resolvePython',
+  '.go': 'resolveGo',
+  '.rs': 'resolveRust'
+};
+
+// Export conditions we follow, in order of preference
+const EXPORT_CONDITIONS = ['source', 'import', 'require', 'node', 'default', 'types'];
+
+// Parses tsconfig-style JSON, which allows comments and trailing commas
+function parseJsonWithComments(text) {
+  let result = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += next;
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && next === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else {
+      result += char;
+    }
+  }
+
+  return JSON.parse(result.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+class ModuleResolver {
+  constructor(rootDir, relativePaths) {
+    this.rootDir = rootDir;
+    // posix path -> original index key
+    this.files = new Map();
+    for (const relativePath of relativePaths) {
+      this.files.set(toPosix(relativePath), relativePath);
+    }
+    this.jsConfigs = new Map();
+    this.manifests = new Map();
+    this.localPackages = null;
+  }
+
+  supports(extension) {
+    return Object.prototype.hasOwnProperty.call(RESOLVERS_BY_EXTENSION, extension);
+  }
+
+  // Returns { internal: [paths] } | { external: name } | { unresolved: true }
+  resolve(fromPath, specifier, extension) {
+    if (!this.supports(extension)) {
+      return null;
+    }
+
+    return this[RESOLVERS_BY_EXTENSION[extension]](toPosix(fromPath), specifier);
+  }
+
+  lookup(candidate) {
+    const normalized = path.posix.normalize(candidate);
+    return this.files.has(normalized) ? this.files.get(normalized) : null;
+  }
+
+  internal(files) {
+    return { internal: Array.isArray(files) ? files : [files] };
+  }
+
+  readFile(posixPath) {
+    try {
+      return fs.readFileSync(path.join(this.rootDir, posixPath), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Walks from a file's directory up to the project root
+  ancestorDirs(from) {
+    const dirs = [];
+    let dir = path.posix.dirname(from);
+    while (true) {
+      dirs.push(dir);
+      if (dir === '.' || dir === '') break;
+      dir = path.posix.dirname(dir);
+    }
+    return dirs;
+  }
+
+  joinDir(dir, name) {
+    return dir === '.' ? name : `${dir}/${name}`;
+  }
+
+  // JavaScript / TypeScript
+
+  probeJavaScript(base) {
+    const direct = this.lookup(base);
+    if (direct) return direct;
+
+    for (const ext of JS_EXTENSIONS) {
+      const found = this.lookup(base + ext);
+      if (found) return found;
+    }
+
+    // TS ESM projects import './foo.js' while the source is './foo.ts'
+    const jsExt = base.match(/\.(m|c)?jsx?$/);
+    if (jsExt) {
+      const stem = base.slice(0, -jsExt[0].length);
+      for (const ext of ['.ts', '.tsx', '.mts', '.cts']) {
+        const found = this.lookup(stem + ext);
+        if (found) return found;
+      }
+    }
+
+    for (const ext of JS_EXTENSIONS) {
+      const found = this.lookup(`${base}/index${ext}`);
+      if (found) return found;
+    }
+
+    return null;
+  }
+
+  resolveJavaScript(from, specifier) {
+    if (specifier.startsWith('.')) {
+      const found = this.probeJavaScript(path.posix.join(path.posix.dirname(from), specifier));
+      return found ? this.internal(found) : { unresolved: true };
+    }
+
+    const config = this.findJsConfig(from);
+    if (config) {
+      const found = this.resolveWithJsConfig(config, specifier);
+      if (found) return this.internal(found);
+    }
+
+    const packageName = this.packageNameOf(specifier);
+    const localPackage = this.getLocalPackages().get(packageName);
+    if (localPackage) {
+      const found = this.resolvePackageEntry(localPackage, specifier.slice(packageName.length));
+      if (found) return this.internal(found);
+    }
+
+    return { external: packageName.replace(/^node:/, '') };
+  }
+
+  packageNameOf(specifier) {
+    const parts = specifier.split('/');
+    return specifier.startsWith('@') && parts.length > 1 ? `${parts[0]}/${parts[1]}` : parts[0];
+  }
+
+  findJsConfig(from) {
+    for (const dir of this.ancestorDirs(from)) {
+      if (this.jsConfigs.has(dir)) {
+        const cached = this.jsConfigs.get(dir);
+        if (cached) return cached;
+        continue;
+      }
+
+      let config = null;
+      for (const name of ['tsconfig.json', 'jsconfig.json']) {
+        config = this.loadJsConfig(this.joinDir(dir, name));
+        if (config) break;
+      }
+      this.jsConfigs.set(dir, config);
+      if (config) return config;
+    }
+
+    return null;
+  }
+
+  loadJsConfig(configPath, depth = 0) {
+    const text = this.readFile(configPath);
+    if (text === null || depth > 5) {
+      return null;
+    }
+
+    let raw;
+    try {
+      raw = parseJsonWithComments(text);
+    } catch (error) {
+      return null;
+    }
+
+    const configDir = path.posix.dirname(configPath);
+    let config = { baseUrl: null, paths: {}, pathsBase: configDir };
+
+    if (typeof raw.extends === 'string' && raw.extends.startsWith('.')) {
+      let parentPath = path.posix.join(configDir, raw.extends);
+      if (!parentPath.endsWith('.json')) parentPath += '.json';
+      config = this.loadJsConfig(parentPath, depth + 1) || config;
+    }
+
+    const options = raw.compilerOptions || {};
+    if (typeof options.baseUrl === 'string') {
+      config = { ...config, baseUrl: path.posix.join(configDir, options.baseUrl) };
+    }
+    if (options.paths && typeof options.paths === 'object') {
+      config = { ...config, paths: options.paths, pathsBase: config.baseUrl || configDir };
+    }
+
+    return config;
+  }
+
+  resolveWithJsConfig(config, specifier) {
+    for (const [pattern, targets] of Object.entries(config.paths)) {
+      const starIndex = pattern.indexOf('*');
+      let wildcard = null;
+
+      if (starIndex === -1) {
+        if (pattern !== specifier) continue;
+        wildcard = '';
+      } else {
+        const prefix = pattern.slice(0, starIndex);
+        const suffix = pattern.slice(starIndex + 1);
+        if (!specifier.startsWith(prefix) || !specifier.endsWith(suffix) || specifier.length < prefix.length + suffix.length) {
+          continue;
+        }
+        wildcard = specifier.slice(prefix.length, specifier.length - suffix.length);
+      }
+
+      for (const target of [].concat(targets)) {
+        const found = this.probeJavaScript(path.posix.join(config.pathsBase, target.replace('*', wildcard)));
+        if (found) return found;
+      }
+    }
+
+    if (config.baseUrl) {
+      return this.probeJavaScript(path.posix.join(config.baseUrl, specifier));
+    }
+
+    return null;
+  }
+
+  // Maps package name -> { dir, manifest } for every package.json above an indexed file
+  getLocalPackages() {
+    if (this.localPackages) {
+      return this.localPackages;
+    }
+
+    this.localPackages = new Map();
+    const seenDirs = new Set();
+
+    for (const file of this.files.keys()) {
+      for (const dir of this.ancestorDirs(file)) {
+        if (seenDirs.has(dir)) break;
+        seenDirs.add(dir);
+
+        const manifest = this.readManifest(dir);
+        if (manifest && typeof manifest.name === 'string' && !this.localPackages.has(manifest.name)) {
+          this.localPackages.set(manifest.name, { dir, manifest });
+        }
+      }
+    }
+
+    return this.localPackages;
+  }
+
+  readManifest(dir) {
+    if (!this.manifests.has(dir)) {
+      let manifest = null;
+      const text = this.readFile(this.joinDir(dir, 'package.json'));
+      if (text !== null) {
+        try {
+          manifest = JSON.parse(text);
+        } catch (error) {
+          manifest = null;
+        }
+      }
+      this.manifests.set(dir, manifest);
+    }
+
+    return this.manifests.get(dir);
+  }
+
+  resolvePackageEntry(localPackage, subpath) {
+    const { dir, manifest } = localPackage;
+    const exportKey = subpath ? `.${subpath}` : '.';
+
+    if (manifest.exports !== undefined) {
+      const target = this.matchExports(manifest.exports, exportKey);
+      if (target) {
+        return this.probeJavaScript(path.posix.join(dir, target));
+      }
+      return null;
+    }
+
+    if (subpath) {
+      return this.probeJavaScript(path.posix.join(dir, subpath));
+    }
+
+    for (const field of ['source', 'module', 'main']) {
+      if (typeof manifest[field] === 'string') {
+        const found = this.probeJavaScript(path.posix.join(dir, manifest[field]));
+        if (found) return found;
+      }
+    }
+
+    return this.probeJavaScript(path.posix.join(dir, 'index'));
+  }
+
+  matchExports(exportsField, exportKey) {
+    if (typeof exportsField === 'string' || Array.isArray(exportsField)) {
+      return exportKey === '.' ? this.pickExportTarget(exportsField) : null;
+    }
+
+    const keys = Object.keys(exportsField);
+    if (!keys.some(key => key.startsWith('.'))) {
+      // Conditions-only object describes the root export
+      return exportKey === '.' ? this.pickExportTarget(exportsField) : null;
+    }
+
+    if (exportsField[exportKey] !== undefined) {
+      return this.pickExportTarget(exportsField[exportKey]);
+    }
+
+    for (const key of keys) {
+      const starIndex = key.indexOf('*');
+      if (starIndex === -1) continue;
+      const prefix = key.slice(0, starIndex);
+      const suffix = key.slice(starIndex + 1);
+      if (exportKey.startsWith(prefix) && exportKey.endsWith(suffix)) {
+        const wildcard = exportKey.slice(prefix.length, exportKey.length - suffix.length);
+        const target = this.pickExportTarget(exportsField[key]);
+        if (target) return target.replace(/\*/g, wildcard);
+      }
+    }
+
+    return null;
+  }
+
+  pickExportTarget(target) {
+    if (typeof target === 'string') {
+      return target;
+    }
+
+    if (Array.isArray(target)) {
+      for (const entry of target) {
+        const picked = this.pickExportTarget(entry);
+        if (picked) return picked;
+      }
+      return null;
+    }
+
+    if (target && typeof target === 'object') {
+      for (const condition of EXPORT_CONDITIONS) {
+        if (target[condition] !== undefined) {
+          const picked = this.pickExportTarget(target[condition]);
+          if (picked) return picked;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Python
+
+  probePython(base) {
+    return this.lookup(`${base}.py`) || this.lookup(`${base}/__init__.py`);
+  }
+
+  resolvePython(from, specifier) {
+    const dots = specifier.match(/^\.*/)[0].length;
+    const modulePath = specifier.slice(dots).split('.').filter(Boolean).join('/');
+
+    if (dots > 0) {
+      let base = path.posix.dirname(from);
+      for (let i = 1; i < dots; i++) {
+        base = path.posix.dirname(base);
+      }
+
+      // `from .pkg import name` may name a submodule or just an attribute of the package
+      const parentPath = modulePath.split('/').slice(0, -1).join('/');
+      const found = (modulePath && this.probePython(path.posix.join(base, modulePath)))
+        || (parentPath && this.probePython(path.posix.join(base, parentPath)))
+        || this.lookup(path.posix.join(base, '__init__.py'));
+      return found ? this.internal(found) : { unresolved: true };
+    }
+
+    // Project root, a src/ layout, and the importing script's own directory
+    const roots = ['.', 'src', path.posix.dirname(from)];
+    for (const root of roots) {
+      const found = this.probePython(path.posix.join(root, modulePath));
+      if (found) return this.internal(found);
+    }
+
+    return { external: specifier.split('.')[0] };
+  }
+
+  // Go
+
+  findGoModule(from) {
+    for (const dir of this.ancestorDirs(from)) {
+      const key = `go:${dir}`;
+      if (!this.manifests.has(key)) {
+        const text = this.readFile(this.joinDir(dir, 'go.mod'));
+        const match = text && text.match(/^module\s+(\S+)/m);
+        this.manifests.set(key, match ? { dir, modulePath: match[1] } : null);
+      }
+      if (this.manifests.get(key)) return this.manifests.get(key);
+    }
+
+    return null;
+  }
+
+  resolveGo(from, specifier) {
+    const goModule = this.findGoModule(from);
+
+    if (goModule && (specifier === goModule.modulePath || specifier.startsWith(`${goModule.modulePath}/`))) {
+      const packageDir = path.posix.join(goModule.dir, specifier.slice(goModule.modulePath.length));
+      const files = [];
+      for (const [posixPath, original] of this.files) {
+        if (path.posix.dirname(posixPath) === packageDir && posixPath.endsWith('.go') && !posixPath.endsWith('_test.go')) {
+          files.push(original);
+        }
+      }
+      return files.length > 0 ? this.internal(files) : { unresolved: true };
+    }
+
+    return { external: specifier };
+  }
+
+  // Rust
+
+  findCrateRoot(from) {
+    for (const dir of this.ancestorDirs(from)) {
+      const key = `cargo:${dir}`;
+      if (!this.manifests.has(key)) {
+        this.manifests.set(key, this.readFile(this.joinDir(dir, 'Cargo.toml')) !== null);
+      }
+      if (this.manifests.get(key)) return this.joinDir(dir, 'src');
+    }
+
+    return null;
+  }
+
+  // Directory that holds the child modules of the module defined by this file
+  rustModuleDir(from) {
+    const base = path.posix.basename(from, '.rs');
+    const dir = path.posix.dirname(from);
+    return ['mod', 'lib', 'main'].includes(base) ? dir : path.posix.join(dir, base);
+  }
+
+  // Expands `a::{b, c::d}` into `a::b` and `a::c::d`
+  expandRustUse(specifier) {
+    const braceIndex = specifier.indexOf('{');
+    if (braceIndex === -1) {
+      return [specifier.replace(/\s+as\s+\w+$/, '').trim()];
+    }
+
+    const prefix = specifier.slice(0, braceIndex);
+    const inner = specifier.slice(braceIndex + 1, specifier.lastIndexOf('}'));
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of inner) {
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+      if (char === ',' && depth === 0) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+
+    return parts
+      .map(part => part.trim())
+      .filter(Boolean)
+      .flatMap(part => this.expandRustUse(part === 'self' ? prefix.replace(/::$/, '') : prefix + part));
+  }
+
+  resolveRust(from, specifier) {
+    const files = new Set();
+    let external = null;
+
+    for (const usePath of this.expandRustUse(specifier)) {
+      const segments = usePath.replace(/^::/, '').split('::').filter(Boolean);
+      let baseDir = null;
+
+      if (segments[0] === 'crate') {
+        baseDir = this.findCrateRoot(from);
+        segments.shift();
+      } else if (segments[0] === 'self') {
+        baseDir = this.rustModuleDir(from);
+        segments.shift();
+      } else if (segments[0] === 'super') {
+        baseDir = this.rustModuleDir(from);
+        while (segments[0] === 'super') {
+          baseDir = path.posix.dirname(baseDir);
+          segments.shift();
+        }
+      } else {
+        external = external || segments[0];
+        continue;
+      }
+
+      if (!baseDir) continue;
+
+      // The longest module path that exists wins; trailing segments are items
+      for (let length = segments.length; length > 0; length--) {
+        const modulePath = path.posix.join(baseDir, ...segments.slice(0, length));
+        const found = this.lookup(`${modulePath}.rs`) || this.lookup(`${modulePath}/mod.rs`);
+        if (found) {
+          files.add(found);
+          break;
+        }
+      }
+    }
+
+    if (files.size > 0) {
+      return this.internal([...files]);
+    }
+
+    return external ? { external } : { unresolved: true };
+  }
+}
+
+module.exports = ModuleResolver;
+module.exports.parseJsonWithComments = parseJsonWithComments;
@@ -0,0 +1,628 @@
+const fs = require('fs');
+const path = require('path');
+const { readBalanced, splitTopLevel, skipWhitespace, toPosix } = require('./source-utils');
+const { compact } = require('./signatures');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Packages whose import marks a JavaScript file as server code
+const JS_FRAMEWORKS = [
+  ['fastify', 'fastify'],
+  ['@koa/router', 'koa'],
+  ['koa-router', 'koa'],
+  ['koa', 'koa'],
+  ['hono', 'hono'],
+  ['express', 'express']
+];
+
+// Conventional names for app and router objects, trusted in files that import a framework
+const ROUTER_NAMES = new Set(['app', 'router', 'server', 'fastify', 'instance', 'routes', 'api']);
+
+// Calls that create an app or router: express(), express.Router(), new Router({ prefix }), Fastify(), new Hono()
+const JS_ROUTER_DECLARATION = /\b(?:const|let|var)\s+([\w$]+)\s*(?::[^=\n]+)?=\s*(?:new\s+)?(?:express\s*\.\s*Router|[\w$]+\s*\.\s*Router|Router|KoaRouter|express|fastify|Fastify|Hono)\s*\(/g;
+
+const JS_ROUTE_CALL = /\b([A-Za-z_$][\w$]*)\s*\.\s*(get|post|put|patch|delete|del|head|options|all|use|route|register)\s*\(/g;
+
+const NEXT_CONFIGS = ['next.config.js', 'next.config.mjs', 'next.config.ts', 'next.config.cjs'];
+const NEXT_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+// Prefix chains longer than this are mount cycles
+const MAX_MOUNT_DEPTH = 8;
+
+// '/api' + 'users/:id' -> '/api/users/:id'
+function joinPath(...parts) {
+  const joined = parts.filter(Boolean).join('/').replace(/\/{2,}/g, '/');
+  const normalized = `/${joined.replace(/^\/+/, '')}`;
+  return normalized.length > 1 ? normalized.replace(/\/+$/, '') : normalized;
+}
+
+// Value of a quoted string literal (no interpolation), or null
+function stringValue(text) {
+  const match = text && text.trim().match(/^(['"`])((?:\\.|(?!\1).)*)\1$/s);
+  return match && !(match[1] === '`' && match[2].includes('${')) ? match[2] : null;
+}
+
+// Strings of a literal or an array/brace list of literals
+function stringValues(text) {
+  const single = stringValue(text);
+  if (single !== null) return [single];
+  const list = text && text.trim().match(/^[[{]([\s\S]*)[\]}]$/);
+  return list ? splitTopLevel(list[1]).map(stringValue).filter(value => value !== null) : [];
+}
+
+// `key: value` (JavaScript) or `key=value` (Python, Java, C#) arguments by key
+function namedArguments(args) {
+  const named = {};
+  for (const arg of args) {
+    const match = arg.match(/^([\w$]+)\s*[:=](?!=)\s*([\s\S]+)$/);
+    if (match) named[match[1]] = match[2].trim();
+  }
+  return named;
+}
+
+function callArguments(source, openIndex) {
+  const group = readBalanced(source, openIndex);
+  return group && { args: splitTopLevel(group.text), end: group.end };
+}
+
+// A handler reference: `listUsers`, `users.list`, or the function wrapped by `asyncHandler(users.list)`
+function handlerName(arg) {
+  if (!arg) return undefined;
+  const plain = arg.match(/^([\w$]+(?:\s*\.\s*[\w$]+)*)$/);
+  if (plain) return plain[1].replace(/\s+/g, '');
+  const wrapped = arg.match(/^[\w$.]+\s*\(\s*([\w$]+(?:\.[\w$]+)*)\s*\)$/);
+  return wrapped ? wrapped[1] : undefined;
+}
+
+// A route's handler: a reference, or the name of a named function expression (`function getUser(req, res) {}`)
+function routeHandler(arg) {
+  const named = arg && arg.match(/^(?:async\s+)?function\s*\*?\s*([\w$]+)\s*\(/);
+  return named ? named[1] : handlerName(arg);
+}
+
+function routeMethod(name) {
+  const method = name.toUpperCase();
+  return method === 'DEL' ? 'DELETE' : method === 'ALL' ? 'ALL' : method;
+}
+
+// Local names bound by `import x from 'spec'`, `import { a as b }`, `const x = require('spec')` and
+// `const { a } = require('spec')`, mapped to their specifier
+function importBindings(code, source) {
+  const bindings = new Map();
+  const patterns = [
+    /\bimport\s+(?:type\s+)?([\s\S]*?)\s+from\s*(['"])/g,
+    /\b(?:const|let|var)\s+([\w$]+|\{[^}]*\})\s*=\s*(?:await\s+)?(?:require|import)\s*\(\s*(['"])/g
+  ];
+  for (const pattern of patterns) {
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      const quote = match.index + match[0].length - 1;
+      const end = source.indexOf(match[2], quote + 1);
+      if (end === -1) continue;
+      const specifier = source.slice(quote + 1, end);
+      const names = match[1].replace(/\*\s*as\s+/, '').replace(/[{}]/g, ',').split(',')
+        .map(name => name.trim().split(/\s+as\s+|\s*:\s*/).pop())
+        .filter(name => /^[\w$]+$/.test(name));
+      names.forEach(name => bindings.set(name, specifier));
+    }
+  }
+  return bindings;
+}
+
+// JavaScript: Express, Fastify, Koa and Hono calls on app/router objects
+function extractJavaScriptRoutes(context, metadata) {
+  const code = context.code || context.content;
+  const source = context.source || context.content;
+  const imports = metadata.imports || [];
+  const framework = (JS_FRAMEWORKS.find(([name]) => imports.some(spec => spec === name || spec.startsWith(`${name}/`))) || [])[1];
+  const routes = [];
+  const mounts = [];
+
+  // Router objects declared in this file, with their own prefix (new Router({ prefix: '/users' }))
+  const routers = new Map();
+  let match;
+  JS_ROUTER_DECLARATION.lastIndex = 0;
+  while ((match = JS_ROUTER_DECLARATION.exec(code)) !== null) {
+    const call = callArguments(source, match.index + match[0].length - 1);
+    const options = call && call.args[0] && call.args[0].startsWith('{') ? namedArguments(splitTopLevel(call.args[0].slice(1, -1))) : {};
+    routers.set(match[1], stringValue(options.prefix) || '');
+  }
+  const isRouter = name => routers.has(name) || name === 'fastify' || (Boolean(framework) && ROUTER_NAMES.has(name));
+  if (routers.size === 0 && !framework && !/\bfastify\s*\./.test(code)) {
+    return null;
+  }
+
+  const fileFramework = framework || 'fastify';
+  const addRoute = (router, method, routePath, handler, index) => {
+    routes.push(compact({
+      method,
+      path: joinPath(routers.get(router) || '', routePath),
+      handler,
+      line: context.locator.position(index).line,
+      router,
+      framework: fileFramework
+    }));
+  };
+  // Mount targets: a router variable (`users`, `users.routes()`), an imported binding or an inline `require('./users')`
+  const bindings = importBindings(code, source);
+  const mountTarget = arg => {
+    const required = arg && arg.match(/^(?:require|import)\s*\(\s*(['"])([^'"]+)\1\s*\)(?:\s*\.\s*default)?$/);
+    if (required) return { source: required[2] };
+    const name = handlerName((arg || '').replace(/\s*\.\s*routes\s*\(\s*\)$/, ''));
+    if (!name) return null;
+    const [target, member] = name.split('.');
+    return routers.has(target) ? { target } : { target, member, source: bindings.get(target) };
+  };
+  const addMount = (router, prefix, targetArg, index) => {
+    const target = mountTarget(targetArg);
+    if (!target) return;
+    mounts.push(compact({ router, prefix: joinPath(routers.get(router) || '', prefix), ...target, line: context.locator.position(index).line }));
+  };
+
+  JS_ROUTE_CALL.lastIndex = 0;
+  while ((match = JS_ROUTE_CALL.exec(code)) !== null) {
+    const [, receiver, name] = match;
+    if (!isRouter(receiver)) continue;
+    const call = callArguments(source, match.index + match[0].length - 1);
+    if (!call) continue;
+    const { args } = call;
+
+    if (name === 'use') {
+      const prefix = stringValue(args[0]);
+      const targets = prefix !== null ? args.slice(1) : args;
+      if (targets.length > 0) addMount(receiver, prefix || '', targets[targets.length - 1], match.index);
+    } else if (name === 'register') {
+      // fastify.register(plugin, { prefix: '/users' })
+      const options = args[1] && args[1].startsWith('{') ? namedArguments(splitTopLevel(args[1].slice(1, -1))) : {};
+      addMount(receiver, stringValue(options.prefix) || '', args[0], match.index);
+    } else if (name === 'route') {
+      if (args[0] && args[0].startsWith('{')) {
+        // fastify.route({ method: ['GET', 'HEAD'], url: '/users', handler })
+        const options = namedArguments(splitTopLevel(args[0].slice(1, -1)));
+        const routePath = stringValue(options.url || options.path);
+        if (routePath === null) continue;
+        const handler = options.handler ? routeHandler(options.handler) : handlerName(splitTopLevel(args[0].slice(1, -1)).find(arg => arg === 'handler'));
+        for (const method of stringValues(options.method)) {
+          addRoute(receiver, routeMethod(method), routePath, handler, match.index);
+        }
+        continue;
+      }
+
+      // router.route('/users').get(list).post(create)
+      const routePath = stringValue(args[0]);
+      if (routePath === null) continue;
+      let cursor = call.end;
+      const chained = /^\s*\.\s*(get|post|put|patch|delete|head|options|all)\s*\(/;
+      let link;
+      while ((link = code.slice(cursor, cursor + 40).match(chained)) !== null) {
+        const chainedCall = callArguments(source, cursor + link[0].length - 1);
+        if (!chainedCall) break;
+        addRoute(receiver, routeMethod(link[1]), routePath, routeHandler(chainedCall.args[chainedCall.args.length - 1]), match.index);
+        cursor = chainedCall.end;
+      }
+    } else if (args.length >= 2) {
+      // app.get('/users/:id', auth, getUser), also with an array of paths
+      for (const routePath of stringValues(args[0])) {
+        if (routePath.startsWith('/') || routePath === '*') {
+          addRoute(receiver, routeMethod(name), routePath, routeHandler(args[args.length - 1]), match.index);
+        }
+      }
+    }
+  }
+
+  return { routes, mounts };
+}
+
+// Python: Flask and FastAPI route decorators, blueprints/routers and their registration
+function extractPythonRoutes(context, metadata) {
+  const code = context.code || context.content;
+  const source = context.source || context.content;
+  const framework = (metadata.imports || []).some(spec => spec === 'fastapi' || spec.startsWith('fastapi.')) ? 'fastapi' : 'flask';
+  const routes = [];
+  const mounts = [];
+
+  // bp = Blueprint('users', __name__, url_prefix='/users'); router = APIRouter(prefix='/items')
+  const routers = new Map();
+  const declaration = /^[ \t]*(\w+)[ \t]*(?::[^=\n]+)?=[ \t]*(?:[\w.]+\.)?(Blueprint|APIRouter|Flask|FastAPI)[ \t]*\(/gm;
+  let match;
+  while ((match = declaration.exec(code)) !== null) {
+    const call = callArguments(source, match.index + match[0].length - 1);
+    const named = call ? namedArguments(call.args) : {};
+    routers.set(match[1], stringValue(named.url_prefix || named.prefix) || '');
+  }
+
+  for (const symbol of metadata.functions || []) {
+    for (const decorator of symbol.decorators || []) {
+      const route = decorator.match(/^([\w.]+)\.(route|get|post|put|patch|delete|head|options|api_route)\(([\s\S]*)\)$/);
+      if (!route) continue;
+      const args = splitTopLevel(route[3]);
+      const routePath = stringValue(args[0]) !== null ? stringValue(args[0]) : stringValue(namedArguments(args).path);
+      if (routePath === null || !routePath.startsWith('/')) continue;
+
+      const methods = ['route', 'api_route'].includes(route[2])
+        ? (stringValues(namedArguments(args).methods).map(method => method.toUpperCase()))
+        : [route[2].toUpperCase()];
+      const router = route[1];
+      for (const method of methods.length > 0 ? methods : ['GET']) {
+        routes.push(compact({
+          method,
+          path: joinPath(routers.get(router) || '', routePath),
+          prefix: routers.get(router),
+          handler: symbol.className ? `${symbol.className}.${symbol.name}` : symbol.name,
+          line: symbol.line,
+          router,
+          framework: route[2] === 'route' ? 'flask' : framework
+        }));
+      }
+    }
+  }
+
+  // app.register_blueprint(users.bp, url_prefix='/api'); app.include_router(items.router, prefix='/v1')
+  const registration = /\b(\w+)\s*\.\s*(register_blueprint|include_router)\s*\(/g;
+  while ((match = registration.exec(code)) !== null) {
+    const call = callArguments(source, match.index + match[0].length - 1);
+    if (!call || !call.args[0]) continue;
+    const named = namedArguments(call.args);
+    const target = call.args[0].match(/^(\w+)(?:\.(\w+))?$/);
+    if (!target) continue;
+    mounts.push(compact({
+      router: match[1],
+      prefix: joinPath(routers.get(match[1]) || '', stringValue(named.url_prefix || named.prefix) || ''),
+      // Flask's url_prefix replaces the blueprint's own; FastAPI's prefix is prepended to the router's
+      replacesPrefix: match[2] === 'register_blueprint' && named.url_prefix !== undefined,
+      target: target[1],
+      member: target[2],
+      line: context.locator.position(match.index).line
+    }));
+  }
+
+  return routes.length > 0 || mounts.length > 0 ? { routes, mounts } : null;
+}
+
+// Annotations or attributes directly before `index`, skipped; returns the index of the declaration
+function skipAnnotations(code, index, style) {
+  let i = skipWhitespace(code, index);
+  for (;;) {
+    if (style === 'annotation' && code[i] === '@') {
+      const name = code.slice(i).match(/^@[\w.]+\s*/);
+      i += name[0].length;
+      if (code[i] === '(') {
+        const group = readBalanced(code, i);
+        if (!group) return i;
+        i = group.end;
+      }
+    } else if (style === 'attribute' && code[i] === '[') {
+      const group = readBalanced(code, i);
+      if (!group) return i;
+      i = group.end;
+    } else {
+      return i;
+    }
+    i = skipWhitespace(code, i);
+  }
+}
+
+// The class or method declared at `index`: { kind, name }
+function declarationAt(code, index) {
+  const header = code.slice(index, index + 400).split(/[{;]|=>/)[0];
+  const type = header.match(/\b(?:class|interface|object|record)\s+(\w+)/);
+  if (type) return { kind: 'class', name: type[1] };
+  const method = header.match(/(?:\bfun\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?)?(\w+)\s*\(/);
+  return method ? { kind: 'method', name: method[1] } : null;
+}
+
+// The innermost class symbol containing a line
+function classAtLine(metadata, line) {
+  return (metadata.classes || [])
+    .filter(symbol => symbol.line <= line && line <= (symbol.endLine || symbol.line))
+    .sort((a, b) => b.line - a.line)[0];
+}
+
+// Java and Kotlin: Spring @RequestMapping/@GetMapping/... on controllers and their methods
+function extractSpringRoutes(context, metadata) {
+  const code = context.code || context.content;
+  const source = context.source || context.content;
+  const classPrefixes = new Map();
+  const methods = [];
+
+  const annotation = /@(Get|Post|Put|Delete|Patch|Request)Mapping\b/g;
+  let match;
+  while ((match = annotation.exec(code)) !== null) {
+    let cursor = match.index + match[0].length;
+    let args = [];
+    const open = skipWhitespace(code, cursor);
+    if (code[open] === '(') {
+      const call = callArguments(source, open);
+      if (!call) continue;
+      args = call.args;
+      cursor = call.end;
+    }
+
+    const named = namedArguments(args);
+    const positional = args.find(arg => !/^\w+\s*=/.test(arg));
+    const paths = stringValues(named.value || named.path || positional || '');
+    let verbs = [match[1].toUpperCase()];
+    if (match[1] === 'Request') {
+      verbs = (named.method || '').match(/\b(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\b/g) || ['ALL'];
+    }
+
+    const declaration = declarationAt(code, skipAnnotations(code, cursor, 'annotation'));
+    if (!declaration) continue;
+    if (declaration.kind === 'class') {
+      classPrefixes.set(declaration.name, paths.length > 0 ? paths : ['']);
+    } else {
+      methods.push({ name: declaration.name, paths: paths.length > 0 ? paths : [''], verbs, line: context.locator.position(match.index).line });
+    }
+  }
+
+  const routes = [];
+  for (const method of methods) {
+    const owner = classAtLine(metadata, method.line);
+    for (const prefix of (owner && classPrefixes.get(owner.name)) || ['']) {
+      for (const routePath of method.paths) {
+        for (const verb of method.verbs) {
+          routes.push(compact({
+            method: verb,
+            path: joinPath(prefix, routePath),
+            handler: owner ? `${owner.name}.${method.name}` : method.name,
+            line: method.line,
+            framework: 'spring'
+          }));
+        }
+      }
+    }
+  }
+  return routes.length > 0 ? { routes, mounts: [] } : null;
+}
+
+// C#: ASP.NET Core attribute routing ([Route], [HttpGet], ...) and minimal APIs (app.MapGet)
+function extractAspNetRoutes(context, metadata) {
+  const code = context.code || context.content;
+  const source = context.source || context.content;
+  const classRoutes = new Map();
+  const actions = [];
+
+  // Attribute lists start a line: `[HttpGet("{id}"), Authorize]`
+  const attributeList = /^[ \t]*\[/gm;
+  let match;
+  while ((match = attributeList.exec(code)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const group = readBalanced(code, open);
+    if (!group) continue;
+    const attributes = splitTopLevel(source.slice(open + 1, group.end - 1));
+
+    let routeTemplates = [];
+    const verbs = [];
+    for (const attribute of attributes) {
+      const parsed = attribute.match(/^(?:Microsoft\.AspNetCore\.Mvc\.)?(Http(Get|Post|Put|Patch|Delete|Head|Options)|Route)(?:Attribute)?\s*(?:\(([\s\S]*)\))?$/);
+      if (!parsed) continue;
+      const template = parsed[3] !== undefined ? stringValue(splitTopLevel(parsed[3])[0]) : null;
+      if (parsed[2]) verbs.push({ verb: parsed[2].toUpperCase(), template });
+      else if (template !== null) routeTemplates.push(template);
+    }
+    if (verbs.length === 0 && routeTemplates.length === 0) continue;
+
+    const declaration = declarationAt(code, skipAnnotations(code, group.end, 'attribute'));
+    if (!declaration) continue;
+    if (declaration.kind === 'class') {
+      classRoutes.set(declaration.name, routeTemplates);
+      continue;
+    }
+    if (verbs.length === 0) {
+      verbs.push({ verb: 'ALL', template: null });
+    }
+    if (routeTemplates.length === 0) routeTemplates = [null];
+    actions.push({ name: declaration.name, verbs, routeTemplates, line: context.locator.position(group.end).line });
+  }
+
+  const routes = [];
+  for (const action of actions) {
+    const owner = classAtLine(metadata, action.line);
+    const controller = owner ? owner.name.replace(/Controller$/, '') : '';
+    const prefixes = (owner && classRoutes.get(owner.name)) || [];
+    for (const { verb, template: verbTemplate } of action.verbs) {
+      for (const routeTemplate of action.routeTemplates) {
+        const template = verbTemplate !== null ? verbTemplate : routeTemplate;
+        // Templates starting with / or ~/ ignore the controller route
+        const absolute = template !== null && /^~?\//.test(template);
+        if (!absolute && prefixes.length === 0 && template === null) continue;
+        for (const prefix of absolute || prefixes.length === 0 ? [''] : prefixes) {
+          const routePath = joinPath(prefix, (template || '').replace(/^~/, ''))
+            .replace(/\[controller\]/gi, controller)
+            .replace(/\[action\]/gi, action.name);
+          routes.push(compact({
+            method: verb,
+            path: routePath,
+            handler: owner ? `${owner.name}.${action.name}` : action.name,
+            line: action.line,
+            framework: 'aspnet'
+          }));
+        }
+      }
+    }
+  }
+
+  // var api = app.MapGroup("/api"); api.MapGet("/users/{id}", GetUser);
+  const groups = new Map();
+  const groupRegex = /\b(?:var|[\w<>]+)\s+(\w+)\s*=\s*(\w+)\s*\.\s*MapGroup\s*\(/g;
+  while ((match = groupRegex.exec(code)) !== null) {
+    const call = callArguments(source, match.index + match[0].length - 1);
+    const prefix = call && stringValue(call.args[0]);
+    if (prefix !== null && prefix !== undefined) groups.set(match[1], joinPath(groups.get(match[2]) || '', prefix));
+  }
+  const mapRegex = /\b(\w+)\s*\.\s*Map(Get|Post|Put|Patch|Delete)\s*\(/g;
+  while ((match = mapRegex.exec(code)) !== null) {
+    const call = callArguments(source, match.index + match[0].length - 1);
+    const routePath = call && stringValue(call.args[0]);
+    if (routePath === null || routePath === undefined) continue;
+    routes.push(compact({
+      method: match[2].toUpperCase(),
+      path: joinPath(groups.get(match[1]) || '', routePath),
+      handler: handlerName(call.args[call.args.length - 1]),
+      line: context.locator.position(match.index).line,
+      framework: 'aspnet'
+    }));
+  }
+
+  return routes.length > 0 ? { routes, mounts: [] } : null;
+}
+
+const EXTRACTORS = {
+  javascript: extractJavaScriptRoutes,
+  python: extractPythonRoutes,
+  java: extractSpringRoutes,
+  kotlin: extractSpringRoutes,
+  csharp: extractAspNetRoutes
+};
+
+// Routes declared by one file, from an extractor's context and metadata: { routes, mounts } or
+// null. Paths include the file's own router prefixes but not those added where it is mounted.
+function extractRoutes(language, context, metadata) {
+  const extract = EXTRACTORS[language];
+  return extract ? extract(context, metadata) : null;
+}
+
+// Next.js file-system routes: pages/ (pages and pages/api) and app/ (page and route files)
+function nextRoutes(rootDir, files) {
+  const nextRoots = new Map();
+  const isNextRoot = dir => {
+    if (!nextRoots.has(dir)) {
+      const base = path.join(rootDir, dir);
+      let found = NEXT_CONFIGS.some(name => fs.existsSync(path.join(base, name)));
+      if (!found) {
+        try {
+          const manifest = JSON.parse(fs.readFileSync(path.join(base, 'package.json'), 'utf8'));
+          found = Boolean((manifest.dependencies || {}).next || (manifest.devDependencies || {}).next);
+        } catch (error) {
+          found = false;
+        }
+      }
+      nextRoots.set(dir, found);
+    }
+    return nextRoots.get(dir);
+  };
+
+  const routes = [];
+  for (const [filePath, metadata] of Object.entries(files)) {
+    const posixPath = toPosix(filePath);
+    const extension = path.posix.extname(posixPath);
+    if (!NEXT_EXTENSIONS.includes(extension)) continue;
+    const parts = posixPath.slice(0, -extension.length).split('/');
+    const rootIndex = parts.findIndex(part => part === 'pages' || part === 'app');
+    if (rootIndex === -1) continue;
+    const base = parts.slice(0, parts[rootIndex - 1] === 'src' ? rootIndex - 1 : rootIndex).join('/');
+    if (!isNextRoot(base)) continue;
+
+    const segments = parts.slice(rootIndex + 1);
+    if (segments.some(segment => segment.startsWith('_'))) continue;
+
+    if (parts[rootIndex] === 'pages') {
+      if (segments[segments.length - 1] === 'index') segments.pop();
+      const isApi = segments[0] === 'api';
+      routes.push({ method: isApi ? 'ALL' : 'GET', path: joinPath(...segments), handler: 'default', file: filePath, framework: 'nextjs' });
+      continue;
+    }
+
+    // app/: route groups `(marketing)` and parallel slots `@modal` don't appear in the URL
+    const leaf = segments.pop();
+    const urlSegments = segments.filter(segment => !/^\(.*\)$/.test(segment) && !segment.startsWith('@'));
+    if (leaf === 'page') {
+      routes.push({ method: 'GET', path: joinPath(...urlSegments), handler: 'default', file: filePath, framework: 'nextjs' });
+    } else if (leaf === 'route') {
+      const exported = [...(metadata.exports || []), ...(metadata.functions || []).map(symbol => symbol.name || symbol)];
+      for (const method of HTTP_METHODS.filter(verb => exported.includes(verb))) {
+        const symbol = (metadata.functions || []).find(fn => fn.name === method);
+        routes.push(compact({ method, path: joinPath(...urlSegments), handler: method, file: filePath, line: symbol && symbol.line, framework: 'nextjs' }));
+      }
+    }
+  }
+  return routes;
+}
+
+// The index-wide route list. Router prefixes are applied through the recorded mounts, following
+// imports with `resolve(fromPath, specifier)` -> file path or null.
+function collectRoutes(rootDir, files, resolve) {
+  // Router ids are `file#name`; routers that a file mounts internally aren't its exported routers
+  const routersOf = new Map();
+  const mountedLocally = new Map();
+  for (const [filePath, metadata] of Object.entries(files)) {
+    const names = new Set([...(metadata.routes || []), ...(metadata.routeMounts || [])].map(entry => entry.router).filter(Boolean));
+    routersOf.set(filePath, names);
+    mountedLocally.set(filePath, new Set((metadata.routeMounts || []).filter(mount => names.has(mount.target)).map(mount => mount.target)));
+  }
+  const exportedRouters = filePath => [...(routersOf.get(filePath) || [])]
+    .filter(name => !mountedLocally.get(filePath).has(name))
+    .map(name => `${filePath}#${name}`);
+
+  // Import bindings of a file: local name -> candidate specifiers
+  const bindingsOf = metadata => {
+    const bindings = new Map();
+    for (const detail of metadata.importDetails || []) {
+      if (detail.names) {
+        for (const name of detail.names) {
+          bindings.set(name, [detail.module, detail.module.endsWith('.') ? `${detail.module}${name}` : `${detail.module}.${name}`]);
+        }
+      } else {
+        bindings.set(detail.alias || detail.module.split('.')[0], [detail.module]);
+      }
+    }
+    return bindings;
+  };
+
+  // Incoming mounts per router id
+  const incoming = new Map();
+  for (const [filePath, metadata] of Object.entries(files)) {
+    if (!metadata.routeMounts) continue;
+    const bindings = bindingsOf(metadata);
+    for (const mount of metadata.routeMounts) {
+      let targets = [];
+      if (mount.target && routersOf.get(filePath).has(mount.target)) {
+        targets = [`${filePath}#${mount.target}`];
+      } else {
+        const specifiers = mount.source ? [mount.source] : bindings.get(mount.target) || [];
+        const targetFile = specifiers.map(specifier => resolve(filePath, specifier)).find(Boolean);
+        if (targetFile) {
+          const member = mount.member && `${targetFile}#${mount.member}`;
+          targets = member && routersOf.get(targetFile).has(mount.member) ? [member] : exportedRouters(targetFile);
+        }
+      }
+      for (const target of targets) {
+        if (!incoming.has(target)) incoming.set(target, []);
+        incoming.get(target).push({ from: `${filePath}#${mount.router}`, prefix: mount.prefix || '', replacesPrefix: mount.replacesPrefix });
+      }
+    }
+  }
+
+  const prefixesOf = (routerId, depth = 0) => {
+    const mounts = incoming.get(routerId);
+    if (!mounts || depth >= MAX_MOUNT_DEPTH) return [''];
+    return [...new Set(mounts.flatMap(mount => prefixesOf(mount.from, depth + 1).map(prefix => joinPath(prefix, mount.prefix))))];
+  };
+
+  const routes = [];
+  for (const [filePath, metadata] of Object.entries(files)) {
+    for (const route of metadata.routes || []) {
+      const { router, prefix: ownPrefix, ...rest } = route;
+      const mounts = (router && incoming.get(`${filePath}#${router}`)) || [{ from: null, prefix: '' }];
+      const paths = new Set();
+      for (const mount of mounts) {
+        const routePath = mount.replacesPrefix && ownPrefix ? route.path.slice(ownPrefix.length) : route.path;
+        for (const outer of mount.from ? prefixesOf(mount.from) : ['']) {
+          paths.add(joinPath(outer, mount.prefix, routePath));
+        }
+      }
+      for (const routePath of paths) {
+        routes.push(compact({ ...rest, path: routePath, file: filePath }));
+      }
+    }
+  }
+  routes.push(...nextRoutes(rootDir, files));
+
+  return routes.sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method) || a.file.localeCompare(b.file));
+}
+
+module.exports = {
+  extractRoutes,
+  collectRoutes,
+  joinPath
+};
@@ -0,0 +1,209 @@
+const http = require('http');
+const IndexQuery = require('./query');
+
+const HOST = '127.0.0.1';
+
+// Watcher events relayed to /events subscribers
+const STREAM_EVENTS = ['file-added', 'file-changed', 'file-removed', 'index-rebuilt'];
+
+// Comment lines keep idle connections from being closed by proxies and clients
+const KEEPALIVE_MS = 30000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Read-only JSON API over a ProjectWatcher's in-memory index, bound to localhost
+class IndexServer {
+  constructor(watcher, options = {}) {
+    this.watcher = watcher;
+    this.port = options.port || 0;
+    this.clients = new Set();
+    this.eventId = 0;
+    this.server = null;
+
+    this.routes = {
+      '/index': () => this.getIndex(),
+      '/summary': () => this.summary(),
+      '/file': params => this.file(params),
+      '/symbols': params => this.symbols(params),
+      '/dependencies': params => this.dependencies(params)
+    };
+  }
+
+  start() {
+    for (const name of STREAM_EVENTS) {
+      this.watcher.on(name, data => this.broadcast(name, data));
+    }
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.server.on('error', error => {
+      console.error(`❌ Index server error: ${error.message}`);
+    });
+    this.server.listen(this.port, HOST, () => {
+      console.log(`🌐 Serving the index at http://${HOST}:${this.server.address().port}`);
+    });
+
+    this.keepalive = setInterval(() => {
+      for (const res of this.clients) this.writeEvent(res, ': keepalive\n\n');
+    }, KEEPALIVE_MS);
+    this.keepalive.unref();
+    return this.server;
+  }
+
+  close() {
+    clearInterval(this.keepalive);
+    for (const res of this.clients) res.end();
+    this.clients.clear();
+    if (this.server) this.server.close();
+  }
+
+  handle(req, res) {
+    try {
+      // Other hosts are DNS rebinding attempts from a browser; never answer them
+      if (!/^(?:localhost|127\.0\.0\.1|\[::1\])(?::\d+)?$/.test(req.headers.host || '')) {
+        throw new HttpError(403, 'Only localhost requests are served');
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        throw new HttpError(405, 'The index API is read-only');
+      }
+
+      let url;
+      try {
+        url = new URL(req.url, `http://${HOST}`);
+      } catch (error) {
+        throw new HttpError(400, `Invalid request path ${req.url}`);
+      }
+
+      if (url.pathname === '/events') {
+        this.subscribe(req, res);
+        return;
+      }
+      const route = this.routes[url.pathname.replace(/\/+$/, '') || '/summary'];
+      if (!route) {
+        throw new HttpError(404, `No endpoint ${url.pathname}; try /index, /summary, /file, /symbols, /dependencies or /events`);
+      }
+      this.send(res, 200, route(url.searchParams));
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      this.send(res, status, { error: error.message });
+    }
+  }
+
+  send(res, status, body) {
+    const text = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(text) });
+    res.end(text);
+  }
+
+  query() {
+    if (!this.watcher.index) {
+      throw new HttpError(503, 'The index is not built yet');
+    }
+    return new IndexQuery(this.watcher.index);
+  }
+
+  required(params, name) {
+    const value = params.get(name);
+    if (!value) {
+      throw new HttpError(400, `Missing "${name}" query parameter`);
+    }
+    return value;
+  }
+
+  resolve(query, filePath) {
+    let resolved;
+    try {
+      resolved = query.resolveFile(filePath);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    if (!resolved) {
+      throw new HttpError(404, `"${filePath}" is not in the index`);
+    }
+    return resolved;
+  }
+
+  getIndex() {
+    return this.query().index;
+  }
+
+  summary() {
+    const { index } = this.query();
+    return { projectRoot: index.projectRoot, generatedAt: index.generatedAt, totalFiles: index.totalFiles, ...index.summary };
+  }
+
+  // GET /file?path=src/app.ts
+  file(params) {
+    const query = this.query();
+    const filePath = this.resolve(query, this.required(params, 'path'));
+    return { path: filePath, ...query.files[filePath] };
+  }
+
+  // GET /symbols?q=User&mode=fuzzy&kind=class&limit=20
+  symbols(params) {
+    const mode = params.get('mode') || 'fuzzy';
+    if (!['exact', 'prefix', 'fuzzy'].includes(mode)) {
+      throw new HttpError(400, `"mode" must be exact, prefix or fuzzy`);
+    }
+    const limit = parseInt(params.get('limit') || '50', 10);
+    return this.query()
+      .findSymbol(this.required(params, 'q'), { mode, kind: params.get('kind') || undefined })
+      .slice(0, limit > 0 ? limit : 50);
+  }
+
+  // GET /dependencies?path=src/app.ts: what a file imports and what imports it
+  dependencies(params) {
+    const query = this.query();
+    const filePath = this.resolve(query, this.required(params, 'path'));
+    const metadata = query.files[filePath];
+    return {
+      path: filePath,
+      imports: metadata.resolvedImports || [],
+      importedBy: query.importersOf(filePath).importers,
+      external: metadata.externalImports || [],
+      unresolved: metadata.unresolvedImports || []
+    };
+  }
+
+  // Server-Sent Events stream of watcher events
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+    res.on('error', () => this.clients.delete(res));
+  }
+
+  // Writes to one subscriber, dropping it once its socket is gone
+  writeEvent(res, text) {
+    if (res.destroyed || res.writableEnded) {
+      this.clients.delete(res);
+      return;
+    }
+    try {
+      res.write(text);
+    } catch (error) {
+      this.clients.delete(res);
+    }
+  }
+
+  broadcast(name, data) {
+    if (this.clients.size === 0) {
+      return;
+    }
+    const message = `id: ${++this.eventId}\nevent: ${name}\ndata: ${JSON.stringify({ ...data, time: new Date().toISOString() })}\n\n`;
+    for (const res of this.clients) this.writeEvent(res, message);
+  }
+}
+
+module.exports = IndexServer;
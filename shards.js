@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { globToRegExp } = require('./gitignore');
+const { estimateTokens } = require('./formatters');
+const { readWorkspacePatterns } = require('./workspaces');
+
+// Bump when the manifest or shard layout changes
+const SHARD_FORMAT_VERSION = 1;
+
+// Files directly in the project root
+const ROOT_SHARD = '(root)';
+
+const SYMBOL_COUNTS = ['functions', 'classes', 'interfaces', 'constants', 'types'];
+
+// Writes via a temp file and rename so readers never see a partial file
+function writeFileAtomic(filePath, text) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, text);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    throw error;
+  }
+}
+
+// Splits an index into one shard per workspace package or top-level directory
+class ShardLayout {
+  constructor(rootDir, options = {}) {
+    const patterns = options.workspaces || readWorkspacePatterns(rootDir);
+    this.workspaceRegexes = patterns.map(pattern => new RegExp(`^${globToRegExp(pattern.replace(/^\.\//, '').replace(/\/+$/, ''))}$`));
+  }
+
+  shardFor(relativePath) {
+    const parts = relativePath.split(/[\\/]/);
+    if (parts.length === 1) {
+      return ROOT_SHARD;
+    }
+
+    // The deepest ancestor directory that is a workspace package wins
+    for (let i = parts.length - 1; i > 0; i--) {
+      const dir = parts.slice(0, i).join('/');
+      if (this.workspaceRegexes.some(regex => regex.test(dir))) {
+        return dir;
+      }
+    }
+    return parts[0];
+  }
+
+  // Map of shard id -> { files, internal, external } built from the full index
+  split(index) {
+    const shards = new Map();
+    const shardOf = new Map();
+    const get = id => {
+      if (!shards.has(id)) shards.set(id, { id, files: {}, internal: {}, external: {} });
+      return shards.get(id);
+    };
+
+    for (const [filePath, metadata] of Object.entries(index.files)) {
+      const id = this.shardFor(filePath);
+      shardOf.set(filePath, id);
+      get(id).files[filePath] = metadata;
+    }
+
+    const graph = index.dependencyGraph || { internal: {}, external: {} };
+    for (const [filePath, targets] of Object.entries(graph.internal)) {
+      if (shardOf.has(filePath)) get(shardOf.get(filePath)).internal[filePath] = targets;
+    }
+    for (const [name, importers] of Object.entries(graph.external)) {
+      for (const filePath of importers) {
+        if (!shardOf.has(filePath)) continue;
+        const external = get(shardOf.get(filePath)).external;
+        (external[name] = external[name] || []).push(filePath);
+      }
+    }
+
+    for (const shard of shards.values()) {
+      const dependsOn = new Set();
+      for (const targets of Object.values(shard.internal)) {
+        for (const target of targets) {
+          const targetShard = shardOf.get(target);
+          if (targetShard && targetShard !== shard.id) dependsOn.add(targetShard);
+        }
+      }
+      shard.dependsOn = [...dependsOn].sort();
+    }
+
+    return shards;
+  }
+}
+
+// JSON with object keys sorted, so the hash doesn't depend on the order keys were added in
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return item;
+    }
+    const sorted = {};
+    for (const name of Object.keys(item).sort()) {
+      sorted[name] = item[name];
+    }
+    return sorted;
+  });
+}
+
+function shardFileName(id) {
+  return `${id === ROOT_SHARD ? '_root' : id.replace(/[\\/]/g, '__')}.json`;
+}
+
+// Writes a manifest at outputPath plus one file per shard in a sibling `<name>.shards/`
+// directory. Shards whose content hash matches the previous manifest are left alone.
+class ShardWriter {
+  constructor(rootDir, outputFile, options = {}) {
+    this.rootDir = rootDir;
+    this.manifestPath = path.join(rootDir, outputFile);
+    this.shardDir = `${this.manifestPath.replace(/\.json$/, '')}.shards`;
+    this.indent = options.indent;
+    this.layout = new ShardLayout(rootDir, options);
+    this.previousHashes = null;
+  }
+
+  // Hashes recorded by the manifest already on disk, so a restart doesn't rewrite everything
+  loadPreviousHashes() {
+    const hashes = new Map();
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      if (manifest.formatVersion === SHARD_FORMAT_VERSION && Array.isArray(manifest.shards)) {
+        for (const shard of manifest.shards) {
+          if (fs.existsSync(path.join(this.rootDir, shard.path))) hashes.set(shard.id, shard.hash);
+        }
+      }
+    } catch (error) {
+      // No usable manifest yet; every shard gets written
+    }
+    return hashes;
+  }
+
+  // Returns { outputPath, tokens, written, shards } where written lists the rewritten shard ids
+  write(index) {
+    if (!this.previousHashes) {
+      this.previousHashes = this.loadPreviousHashes();
+    }
+    fs.mkdirSync(this.shardDir, { recursive: true });
+
+    const entries = [];
+    const written = [];
+    const hashes = new Map();
+    for (const shard of this.layout.split(index).values()) {
+      const content = {
+        formatVersion: SHARD_FORMAT_VERSION,
+        shard: shard.id,
+        files: shard.files,
+        dependencyGraph: { internal: shard.internal, external: shard.external }
+      };
+      const text = JSON.stringify(content, null, this.indent || undefined);
+      const hash = crypto.createHash('sha1').update(`${this.indent || 0}:${canonicalJson(content)}`).digest('hex');
+      const filePath = path.join(this.shardDir, shardFileName(shard.id));
+
+      if (this.previousHashes.get(shard.id) !== hash) {
+        writeFileAtomic(filePath, text);
+        written.push(shard.id);
+      }
+      hashes.set(shard.id, hash);
+
+      const symbols = {};
+      for (const key of SYMBOL_COUNTS) {
+        symbols[key] = Object.values(shard.files).reduce((sum, metadata) => sum + (metadata[key] ? metadata[key].length : 0), 0);
+      }
+      entries.push({
+        id: shard.id,
+        path: path.relative(this.rootDir, filePath).split(path.sep).join('/'),
+        files: Object.keys(shard.files).length,
+        hash,
+        tokens: estimateTokens(text),
+        symbols,
+        dependsOn: shard.dependsOn
+      });
+    }
+
+    // Shards that no longer have any files
+    for (const id of this.previousHashes.keys()) {
+      if (!hashes.has(id)) {
+        const filePath = path.join(this.shardDir, shardFileName(id));
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+      }
+    }
+    this.previousHashes = hashes;
+
+    const manifest = {
+      formatVersion: SHARD_FORMAT_VERSION,
+      sharded: true,
+      generatedAt: index.generatedAt,
+      projectRoot: index.projectRoot,
+      totalFiles: index.totalFiles,
+      project: index.project,
+      packages: index.packages,
+      routes: index.routes,
+      analysis: index.analysis,
+      fileTree: index.fileTree,
+      summary: index.summary,
+      shards: entries.sort((a, b) => a.id.localeCompare(b.id))
+    };
+    const text = JSON.stringify(manifest, null, this.indent || undefined);
+    writeFileAtomic(this.manifestPath, text);
+
+    return { outputPath: this.manifestPath, tokens: estimateTokens(text), written, shards: entries.length };
+  }
+}
+
+module.exports = {
+  ROOT_SHARD,
+  ShardLayout,
+  ShardWriter,
+  writeFileAtomic
+};
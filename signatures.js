@@ -0,0 +1,259 @@
+// Parameter list parsers for the language extractors. Each takes the raw text
+// between a function's parentheses and returns [{ name, type, default, ... }].
+
+const { splitTopLevel, indexOfTopLevel } = require('./source-utils');
+
+// Drops undefined, null, false and empty-string fields so the index stays small
+function compact(entry) {
+  const result = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (value !== undefined && value !== null && value !== false && value !== '') {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+// Position of a default-value `=`, skipping `=>`, `==`, `<=`, `>=` and `!=`
+function findDefaultIndex(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if ('([{<'.includes(char)) depth++;
+    else if (')]}'.includes(char) || (char === '>' && text[i - 1] !== '=')) depth = Math.max(0, depth - 1);
+    else if (char === '=' && depth === 0) {
+      const prev = text[i - 1];
+      const next = text[i + 1];
+      if (next !== '>' && next !== '=' && !'=!<>'.includes(prev)) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+function splitDefault(part) {
+  const index = findDefaultIndex(part);
+  if (index === -1) {
+    return { head: part.trim(), defaultValue: undefined };
+  }
+  return { head: part.slice(0, index).trim(), defaultValue: part.slice(index + 1).trim() };
+}
+
+function normalizeType(type) {
+  return type ? type.replace(/\s+/g, ' ').trim() : undefined;
+}
+
+// JavaScript / TypeScript: `a`, `b = 1`, `c?: string`, `...rest: T[]`, `{ x, y }: Point`
+function parseJavaScriptParams(text) {
+  return splitTopLevel(text).map(part => {
+    const { head, defaultValue } = splitDefault(part);
+    let declaration = head.replace(/^(?:(?:public|private|protected|readonly|override)\s+)+/, '');
+    const rest = declaration.startsWith('...');
+    if (rest) declaration = declaration.slice(3).trim();
+
+    const colon = indexOfTopLevel(declaration, ':');
+    let name = colon === -1 ? declaration : declaration.slice(0, colon).trim();
+    const type = colon === -1 ? undefined : declaration.slice(colon + 1);
+    const optional = name.endsWith('?');
+    if (optional) name = name.slice(0, -1);
+
+    return compact({ name: name.replace(/\s+/g, ' '), type: normalizeType(type), default: defaultValue, optional, rest });
+  });
+}
+
+// Python: `self`, `x: int = 0`, `*args`, `**kwargs`; bare `*` and `/` markers are skipped
+function parsePythonParams(text) {
+  return splitTopLevel(text)
+    .filter(part => part !== '*' && part !== '/')
+    .map(part => {
+      const { head, defaultValue } = splitDefault(part);
+      const colon = indexOfTopLevel(head, ':');
+      const name = colon === -1 ? head : head.slice(0, colon).trim();
+      const type = colon === -1 ? undefined : head.slice(colon + 1);
+      return compact({ name, type: normalizeType(type), default: defaultValue, rest: name.startsWith('*') });
+    });
+}
+
+const TYPED_PARAM_MODIFIERS = ['final', 'ref', 'out', 'in', 'params', 'this', 'scoped', 'readonly'];
+
+// Java, C#, C and C++: `final String name`, `ref int x`, `int x = 5`, `const char *s`, `String... args`
+function parseTypedParams(text) {
+  if (text.trim() === 'void') {
+    return [];
+  }
+
+  return splitTopLevel(text).map(part => {
+    const { head, defaultValue } = splitDefault(part);
+    let declaration = head.replace(/@[\w.]+(?:\([^)]*\))?\s*/g, '').replace(/\[\s*\w+\s*:\s*[^\]]*\]\s*/g, '');
+    const modifiers = [];
+    let modifierMatch;
+    while ((modifierMatch = declaration.match(/^(\w+)\s+/)) && TYPED_PARAM_MODIFIERS.includes(modifierMatch[1])) {
+      modifiers.push(modifierMatch[1]);
+      declaration = declaration.slice(modifierMatch[0].length);
+    }
+
+    // Function pointers name the parameter inside the parentheses: `int (*cb)(int)`
+    const pointer = declaration.match(/^([^()]*)\(\s*([*&^])\s*(\w+)\s*\)\s*(\([\s\S]*\))$/);
+    if (pointer) {
+      return compact({ name: pointer[3], type: normalizeType(`${pointer[1]}(${pointer[2]})${pointer[4]}`), default: defaultValue });
+    }
+
+    const nameMatch = declaration.match(/^(.*?[\s*&>\]])(\w+)((?:\s*\[\s*\w*\s*\])*)$/s);
+    if (!nameMatch) {
+      return compact({ name: '', type: normalizeType(declaration), default: defaultValue });
+    }
+
+    let type = nameMatch[1] + nameMatch[3];
+    const rest = type.includes('...') || modifiers.includes('params');
+    type = type.replace('...', '[]');
+
+    return compact({
+      name: nameMatch[2],
+      type: normalizeType(type),
+      default: defaultValue,
+      modifiers: modifiers.filter(modifier => modifier !== 'params' && modifier !== 'final').join(' '),
+      rest
+    });
+  });
+}
+
+// Go: named parameters may share a trailing type, as in `a, b int, opts ...Option`
+function parseGoParams(text) {
+  const parts = splitTopLevel(text);
+  const named = parts.some(part => /^\w+\s+\S/.test(part) && !/^(?:chan|func)\b/.test(part));
+
+  if (!named) {
+    return parts.map(type => compact({ name: '', type: normalizeType(type), rest: type.startsWith('...') }));
+  }
+
+  const params = [];
+  let sharedType;
+  for (let i = parts.length - 1; i >= 0; i--) {
+    const match = parts[i].match(/^(\w+)(?:\s+(.+))?$/s);
+    if (!match) continue;
+    if (match[2]) sharedType = match[2];
+    params.unshift(compact({ name: match[1], type: normalizeType(sharedType), rest: Boolean(sharedType && sharedType.startsWith('...')) }));
+  }
+  return params;
+}
+
+// Rust: `&self`, `&mut self`, `mut x: T`, `(a, b): (i32, i32)`
+function parseRustParams(text) {
+  return splitTopLevel(text, ',', { lifetimes: true }).map(part => {
+    if (/^(?:&\s*(?:'\w+\s+)?(?:mut\s+)?|mut\s+)?self$/.test(part)) {
+      return { name: part.replace(/\s+/g, ' ') };
+    }
+
+    const colon = indexOfTopLevel(part, ':');
+    if (colon === -1) {
+      return { name: part };
+    }
+
+    const name = part.slice(0, colon).replace(/^mut\s+/, '').trim();
+    return compact({ name, type: normalizeType(part.slice(colon + 1)) });
+  });
+}
+
+// PHP: `?int $x = 5`, `string ...$rest`, `array &$items`, `public readonly int $id`
+function parsePhpParams(text) {
+  return splitTopLevel(text.replace(/#\[[^\]]*\]/g, '')).map(part => {
+    const { head, defaultValue } = splitDefault(part);
+    const match = head.match(/^((?:(?:public|private|protected|readonly)\s+)*)(.*?)(&)?\s*(\.\.\.)?\s*\$(\w+)$/s);
+    if (!match) {
+      return compact({ name: head, default: defaultValue });
+    }
+
+    const modifiers = match[1].trim().split(/\s+/).filter(Boolean);
+    if (match[3]) modifiers.push('ref');
+
+    return compact({
+      name: match[5],
+      type: normalizeType(match[2]),
+      default: defaultValue,
+      modifiers: modifiers.join(' '),
+      rest: Boolean(match[4])
+    });
+  });
+}
+
+// Ruby: `a`, `b = 1`, `*args`, `key:`, `key: 1`, `**opts`, `&block`
+function parseRubyParams(text) {
+  return splitTopLevel(text).map(part => {
+    const keyword = part.match(/^(\w+):\s*(.*)$/s);
+    if (keyword) {
+      return compact({ name: keyword[1], default: keyword[2] || undefined, optional: Boolean(keyword[2]), modifiers: 'keyword' });
+    }
+
+    const { head, defaultValue } = splitDefault(part);
+    return compact({
+      name: head,
+      default: defaultValue,
+      optional: defaultValue !== undefined,
+      rest: /^\*/.test(head),
+      modifiers: head.startsWith('&') ? 'block' : undefined
+    });
+  });
+}
+
+// Kotlin: `name: String = "x"`, `vararg items: Int`, `val id: Long` (constructor properties)
+function parseKotlinParams(text) {
+  return splitTopLevel(text).map(part => {
+    const { head, defaultValue } = splitDefault(part);
+    let declaration = head.replace(/@[\w.:]+(?:\([^)]*\))?\s*/g, '');
+    const modifiers = [];
+    let modifierMatch;
+    while ((modifierMatch = declaration.match(/^(vararg|val|var|private|protected|internal|public|override|open|crossinline|noinline)\s+/))) {
+      modifiers.push(modifierMatch[1]);
+      declaration = declaration.slice(modifierMatch[0].length);
+    }
+
+    const colon = indexOfTopLevel(declaration, ':');
+    return compact({
+      name: (colon === -1 ? declaration : declaration.slice(0, colon)).trim(),
+      type: colon === -1 ? undefined : normalizeType(declaration.slice(colon + 1)),
+      default: defaultValue,
+      modifiers: modifiers.filter(modifier => modifier !== 'vararg').join(' '),
+      rest: modifiers.includes('vararg')
+    });
+  });
+}
+
+// Swift: `_ x: Int`, `with name: String = ""`, `values: Int...`, `inout state: State`
+function parseSwiftParams(text) {
+  return splitTopLevel(text).map(part => {
+    const { head, defaultValue } = splitDefault(part);
+    const colon = indexOfTopLevel(head, ':');
+    const names = (colon === -1 ? head : head.slice(0, colon)).trim().split(/\s+/);
+    let type = colon === -1 ? '' : head.slice(colon + 1).trim();
+    const modifiers = [];
+    let modifierMatch;
+    while ((modifierMatch = type.match(/^(inout|borrowing|consuming|__owned|__shared)\s+|^(@\w+(?:\([^)]*\))?)\s*/))) {
+      if (modifierMatch[1]) modifiers.push(modifierMatch[1]);
+      type = type.slice(modifierMatch[0].length);
+    }
+
+    const rest = type.endsWith('...');
+    return compact({
+      name: names[names.length - 1],
+      label: names.length > 1 ? names[0] : undefined,
+      type: normalizeType(rest ? type.slice(0, -3) : type),
+      default: defaultValue,
+      modifiers: modifiers.join(' '),
+      rest
+    });
+  });
+}
+
+module.exports = {
+  compact,
+  parseJavaScriptParams,
+  parsePythonParams,
+  parseTypedParams,
+  parseGoParams,
+  parseRustParams,
+  parsePhpParams,
+  parseRubyParams,
+  parseKotlinParams,
+  parseSwiftParams
+};
@@ -0,0 +1,322 @@
+// Low-level scanning helpers shared by the language extractors
+
+const path = require('path');
+
+const CLOSING = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+function skipString(content, index) {
+  const quote = content[index];
+  let i = index + 1;
+  while (i < content.length && content[i] !== quote) {
+    if (content[i] === '\\') i++;
+    if (quote !== '`' && content[i] === '\n') break;
+    i++;
+  }
+  return i;
+}
+
+// Reads the group opened at openIndex, returning its inner text and the index just past the closer
+function readBalanced(content, openIndex) {
+  const open = content[openIndex];
+  const close = CLOSING[open];
+  if (!close) {
+    return null;
+  }
+
+  let depth = 0;
+  for (let i = openIndex; i < content.length; i++) {
+    const char = content[i];
+    if (open !== '<' && (char === '"' || char === "'" || char === '`')) {
+      i = skipString(content, i);
+      continue;
+    }
+    if (char === open) {
+      depth++;
+    } else if (char === close && !(close === '>' && content[i - 1] === '=')) {
+      depth--;
+      if (depth === 0) {
+        return { text: content.slice(openIndex + 1, i), end: i + 1 };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Index of the brace that closes the block opened at openIndex, or the end of content
+function findBlockEnd(content, openIndex) {
+  const group = readBalanced(content, openIndex);
+  return group ? group.end - 1 : content.length;
+}
+
+// A Rust lifetime ('a, 'static) rather than a character literal such as 'a' or '\n'
+function isLifetime(text, index) {
+  return text[index] === "'" && /\w/.test(text[index + 1] || '') && text[index + 2] !== "'" && text[index + 3] !== "'";
+}
+
+// Splits on a separator that is not nested inside brackets or strings; with
+// options.lifetimes, apostrophes that start a Rust lifetime are not treated as quotes
+function splitTopLevel(text, separator = ',', options = {}) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if ((char === '"' || char === "'" || char === '`') && !(options.lifetimes && isLifetime(text, i))) {
+      const end = skipString(text, i);
+      current += text.slice(i, end + 1);
+      i = end;
+      continue;
+    }
+    if ('([{<'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char) || (char === '>' && text[i - 1] !== '=' && text[i - 1] !== '-')) {
+      depth = Math.max(0, depth - 1);
+    }
+
+    if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) {
+    parts.push(current);
+  }
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Index of the first occurrence of a separator at depth 0, or -1
+function indexOfTopLevel(text, separator) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipString(text, i);
+      continue;
+    }
+    if (depth === 0 && text.startsWith(separator, i)) {
+      return i;
+    }
+    if ('([{<'.includes(char)) depth++;
+    else if (')]}>'.includes(char)) depth = Math.max(0, depth - 1);
+  }
+  return -1;
+}
+
+// Blanks out everything nested deeper than the outermost level, keeping offsets intact
+function maskNestedBlocks(text) {
+  let depth = 0;
+  let result = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '}') depth = Math.max(0, depth - 1);
+    result += depth > 0 && char !== '\n' ? ' ' : char;
+    if (char === '{') depth++;
+  }
+
+  return result;
+}
+
+function skipWhitespace(content, index) {
+  while (index < content.length && /\s/.test(content[index])) index++;
+  return index;
+}
+
+// Skips whitespace, comments and preprocessor lines, returning the first meaningful offset
+function skipTrivia(content, index, limit = content.length) {
+  while (index < limit) {
+    index = skipWhitespace(content, index);
+    if (content.startsWith('//', index) || (content[index] === '#' && (index === 0 || content[index - 1] === '\n' || /^\s*$/.test(content.slice(content.lastIndexOf('\n', index - 1) + 1, index))))) {
+      const newline = content.indexOf('\n', index);
+      index = newline === -1 ? limit : newline + 1;
+    } else if (content.startsWith('/*', index)) {
+      const close = content.indexOf('*/', index + 2);
+      index = close === -1 ? limit : close + 2;
+    } else {
+      break;
+    }
+  }
+  return Math.min(index, limit);
+}
+
+// Exclusive end offset of the statement starting at `from`. A newline ends the
+// statement unless brackets are open or an operator carries it onto the next line.
+function findStatementEnd(content, from) {
+  let depth = 0;
+  for (let i = from; i < content.length; i++) {
+    const char = content[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipString(content, i);
+      continue;
+    }
+    if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      if (depth === 0) return i;
+      depth--;
+    } else if (depth === 0 && char === ';') {
+      return i + 1;
+    } else if (depth === 0 && char === '\n') {
+      const before = content.slice(from, i).trimEnd();
+      const next = skipWhitespace(content, i);
+      if (!/[=|&,(+\-*/:?.]$/.test(before) && !/^[|&.?:+\-*/=]/.test(content[next] || '')) {
+        return before.length === 0 ? i : from + before.length;
+      }
+    }
+  }
+  return content.length;
+}
+
+// Exclusive end offset of an indentation-delimited block (Python) whose header ends at headerEnd.
+// headerIndent is the indent of the line the statement starts on, which differs from the
+// line holding headerEnd when the header spans several lines.
+function findIndentedBlockEnd(content, headerEnd, headerIndent) {
+  if (headerIndent === undefined) {
+    const headerLineStart = content.lastIndexOf('\n', headerEnd) + 1;
+    headerIndent = content.slice(headerLineStart).match(/^[ \t]*/)[0].length;
+  }
+  let lineEnd = content.indexOf('\n', headerEnd);
+  if (lineEnd === -1) return content.length;
+
+  // One-liner such as `def f(): pass`
+  if (content.slice(headerEnd + 1, lineEnd).trim() && !content.slice(headerEnd + 1, lineEnd).trim().startsWith('#')) {
+    return lineEnd;
+  }
+
+  let end = lineEnd;
+  let lineStart = lineEnd + 1;
+  while (lineStart < content.length) {
+    lineEnd = content.indexOf('\n', lineStart);
+    if (lineEnd === -1) lineEnd = content.length;
+    const line = content.slice(lineStart, lineEnd);
+    if (line.trim()) {
+      if (line.match(/^[ \t]*/)[0].length <= headerIndent) break;
+      end = lineEnd;
+    }
+    lineStart = lineEnd + 1;
+  }
+  return end;
+}
+
+// Exclusive end offset of a Kotlin or Swift declaration starting at `from` (after its name).
+// The `{ ... }` body is optional, so a newline also ends the declaration unless the
+// header continues with `:`, `,`, `=`, `where` or an opening brace on the next line.
+function findDeclarationEnd(content, from) {
+  let depth = 0;
+  for (let i = from; i < content.length; i++) {
+    const char = content[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipString(content, i);
+      continue;
+    }
+    if ('([<'.includes(char)) {
+      depth++;
+    } else if (char === ')' || char === ']' || (char === '>' && content[i - 1] !== '-')) {
+      if (depth === 0) return i;
+      depth--;
+    } else if (depth === 0 && char === '{') {
+      return findBlockEnd(content, i) + 1;
+    } else if (depth === 0 && (char === ';' || char === '}')) {
+      return char === ';' ? i + 1 : i;
+    } else if (depth === 0 && char === '\n') {
+      const before = content.slice(from, i).trimEnd();
+      const next = content.slice(skipWhitespace(content, i), skipWhitespace(content, i) + 6);
+      if (!/[:,=]$/.test(before) && !/^(?::|,|=|\{|where\b)/.test(next)) {
+        return from + before.length;
+      }
+    }
+  }
+  return content.length;
+}
+
+// Exclusive end offset of a Ruby `... end` block whose header starts at headerStart.
+// Relies on the closing `end` sharing the header's indentation, as idiomatic Ruby does.
+function findRubyBlockEnd(content, headerStart) {
+  const headerLineStart = content.lastIndexOf('\n', headerStart - 1) + 1;
+  const headerIndent = content.slice(headerLineStart).match(/^[ \t]*/)[0].length;
+  let lineEnd = content.indexOf('\n', headerStart);
+  if (lineEnd === -1) lineEnd = content.length;
+
+  // One-liners such as `def name; end`, `class Error < StandardError; end` and endless `def x = 1`
+  const header = content.slice(headerStart, lineEnd);
+  if (/[;\s]end\s*(?:#.*)?$/.test(header) || /^def\s+[\w.?!]+(?:\([^)]*\)\s*|\s+)=[^=~>]/.test(header)) {
+    return lineEnd;
+  }
+
+  let lineStart = lineEnd + 1;
+  while (lineStart < content.length) {
+    lineEnd = content.indexOf('\n', lineStart);
+    if (lineEnd === -1) lineEnd = content.length;
+    const line = content.slice(lineStart, lineEnd);
+    const indent = line.match(/^[ \t]*/)[0].length;
+    if (indent <= headerIndent && /^\s*end\b/.test(line)) {
+      return lineStart + indent + 3;
+    }
+    lineStart = lineEnd + 1;
+  }
+  return content.length;
+}
+
+// Innermost { start, end } range containing index, or undefined
+function findEnclosingRange(ranges, index) {
+  return ranges
+    .filter(range => range.start < index && index < range.end)
+    .sort((a, b) => b.start - a.start)[0];
+}
+
+// Maps character offsets to 1-based line/column positions
+function createLocator(content) {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const position = offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+
+  return {
+    position,
+    // `end` is exclusive; endLine/endColumn point at the last character of the span
+    span(start, end) {
+      const from = position(start);
+      const to = position(Math.max(start, end - 1));
+      return { line: from.line, column: from.column, endLine: to.line, endColumn: to.column };
+    }
+  };
+}
+
+// Index paths use forward slashes on every platform
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+module.exports = {
+  readBalanced,
+  findBlockEnd,
+  splitTopLevel,
+  indexOfTopLevel,
+  maskNestedBlocks,
+  skipWhitespace,
+  skipTrivia,
+  findStatementEnd,
+  findIndentedBlockEnd,
+  findDeclarationEnd,
+  findRubyBlockEnd,
+  findEnclosingRange,
+  createLocator,
+  toPosix
+};
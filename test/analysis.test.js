@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { analyzeIndex } = require('../analysis');
+const { createProject, removeProject, buildIndex } = require('./helpers');
+
+function analyze(files, options) {
+  const rootDir = createProject(files);
+  try {
+    return analyzeIndex(buildIndex(rootDir), { rootDir, ...options });
+  } finally {
+    removeProject(rootDir);
+  }
+}
+
+test('orphans exempt manifest entry points and framework conventions, not file names', () => {
+  const analysis = analyze({
+    'package.json': JSON.stringify({ name: 'app', main: 'src/main.js', bin: { app: 'bin/app.js' }, dependencies: { '@remix-run/react': '1' } }),
+    'src/main.js': "require('./used');\n",
+    'src/used.js': 'module.exports = 1;\n',
+    'bin/app.js': "require('../src/main');\n",
+    'bin/stale.js': 'module.exports = 1;\n',
+    'src/server.js': 'module.exports = 1;\n',
+    'tools/worker.js': 'module.exports = 1;\n',
+    'app/root.jsx': 'export default function Root() {}\n',
+    'app/routes/home.jsx': 'export default function Home() {}\n',
+    'src/main.test.js': "require('./main');\n",
+    'vite.config.js': 'module.exports = {};\n'
+  });
+  assert.deepStrictEqual(analysis.orphans, ['bin/stale.js', 'src/server.js', 'tools/worker.js']);
+});
+
+test('a package without main or exports loads its index.js', () => {
+  const analysis = analyze({
+    'package.json': JSON.stringify({ name: 'lib' }),
+    'index.js': 'module.exports = 1;\n',
+    'other.js': 'module.exports = 1;\n'
+  });
+  assert.deepStrictEqual(analysis.orphans, ['other.js']);
+});
+
+test('files imported only through `import type` are not orphans', () => {
+  const analysis = analyze({
+    'package.json': JSON.stringify({ name: 'app', main: 'src/index.ts' }),
+    'tsconfig.json': JSON.stringify({ compilerOptions: { baseUrl: '.', paths: { '@/*': ['src/*'] } } }),
+    'src/index.ts': "import type { User } from '@/types';\nexport const users: User[] = [];\n",
+    'src/types.ts': 'export interface User { id: string }\n'
+  });
+  assert.deepStrictEqual(analysis.orphans, []);
+  assert.deepStrictEqual(analysis.unusedExports, []);
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const IndexCache = require('../cache');
+const ProjectIndexer = require('../indexer');
+const { createProject, removeProject } = require('./helpers');
+
+const stat = (mtimeMs, size) => ({ mtimeMs, size });
+
+test('IndexCache reuses entries by mtime and size, then by content hash', () => {
+  const cache = new IndexCache({ cachePath: '/nonexistent/cache.json', extractorVersion: 3 });
+  cache.set('a.js', stat(100, 10), 'hash-a', { path: 'a.js', functions: [] }, 'javascript@2');
+
+  assert.deepStrictEqual(cache.get('a.js', stat(100, 10), 'javascript@2'), { path: 'a.js', functions: [] });
+  assert.strictEqual(cache.get('a.js', stat(200, 10), 'javascript@2'), null);
+
+  // Touched but identical: the hash matches and the entry takes the new stat
+  assert.deepStrictEqual(cache.getByHash('a.js', stat(200, 10), 'hash-a', 'javascript@2'), { path: 'a.js', functions: [] });
+  assert.ok(cache.get('a.js', stat(200, 10), 'javascript@2'));
+  assert.strictEqual(cache.getByHash('a.js', stat(300, 11), 'hash-b', 'javascript@2'), null);
+  assert.deepStrictEqual(cache.stats, { reused: 3, reparsed: 1 });
+});
+
+test('IndexCache ignores entries from another extractor or extractor version', () => {
+  const cache = new IndexCache({ cachePath: '/nonexistent/cache.json', extractorVersion: 3 });
+  cache.set('a.js', stat(100, 10), 'hash-a', { path: 'a.js' }, 'javascript@2');
+  assert.strictEqual(cache.get('a.js', stat(100, 10), 'javascript@3'), null);
+
+  const newer = new IndexCache({ cachePath: '/nonexistent/cache.json', extractorVersion: 4 });
+  newer.entries = cache.entries;
+  assert.strictEqual(newer.get('a.js', stat(100, 10), 'javascript@2'), null);
+  assert.strictEqual(newer.getByHash('a.js', stat(100, 10), 'hash-a', 'javascript@2'), null);
+});
+
+// Runs a full build with the cache on and returns the cache statistics
+function buildCached(rootDir, options = {}) {
+  const log = console.log;
+  const warn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    const indexer = new ProjectIndexer({ rootDir, ...options });
+    const index = indexer.buildIndex();
+    return { index, stats: indexer.cache ? { ...indexer.cache.stats } : null };
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+test('builds reuse cached metadata until a file or the extractor version changes', () => {
+  const rootDir = createProject({
+    'a.js': 'function a() {}\n',
+    'b.py': 'def b():\n    pass\n'
+  });
+  try {
+    assert.deepStrictEqual(buildCached(rootDir).stats, { reused: 0, reparsed: 2 });
+    assert.ok(fs.existsSync(path.join(rootDir, '.claude-index-cache.json')));
+    assert.deepStrictEqual(buildCached(rootDir).stats, { reused: 2, reparsed: 0 });
+
+    // A new mtime with the same content is caught by the hash
+    const future = new Date(Date.now() + 60000);
+    fs.utimesSync(path.join(rootDir, 'a.js'), future, future);
+    assert.deepStrictEqual(buildCached(rootDir).stats, { reused: 2, reparsed: 0 });
+
+    fs.writeFileSync(path.join(rootDir, 'a.js'), 'function a() {}\nfunction c() {}\n');
+    const changed = buildCached(rootDir);
+    assert.deepStrictEqual(changed.stats, { reused: 1, reparsed: 1 });
+    assert.deepStrictEqual(changed.index.files['a.js'].functions.map(fn => fn.name), ['a', 'c']);
+
+    // Output-shaping options are part of the version, so cached entries from other settings don't apply
+    assert.deepStrictEqual(buildCached(rootDir, { legacyFunctions: true }).stats, { reused: 0, reparsed: 2 });
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test('useCache: false neither reads nor writes the cache', () => {
+  const rootDir = createProject({ 'a.js': 'function a() {}\n' });
+  try {
+    const { stats, index } = buildCached(rootDir, { useCache: false });
+    assert.strictEqual(stats, null);
+    assert.deepStrictEqual(index.files['a.js'].functions.map(fn => fn.name), ['a']);
+    assert.ok(!fs.existsSync(path.join(rootDir, '.claude-index-cache.json')));
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test('runs limited by maxFiles keep the cache entries of files they skipped', () => {
+  const rootDir = createProject({
+    'a.js': 'function a() {}\n',
+    'b.js': 'function b() {}\n',
+    'c.js': 'function c() {}\n'
+  });
+  try {
+    assert.deepStrictEqual(buildCached(rootDir).stats, { reused: 0, reparsed: 3 });
+    const limited = buildCached(rootDir, { maxFiles: 1 });
+    assert.deepStrictEqual(limited.stats, { reused: 1, reparsed: 0 });
+    assert.strictEqual(limited.index.totalFiles, 1);
+    assert.deepStrictEqual(buildCached(rootDir).stats, { reused: 3, reparsed: 0 });
+
+    // Deleted files are still dropped
+    fs.unlinkSync(path.join(rootDir, 'c.js'));
+    buildCached(rootDir, { maxFiles: 1 });
+    const cache = JSON.parse(fs.readFileSync(path.join(rootDir, '.claude-index-cache.json'), 'utf8'));
+    assert.deepStrictEqual(Object.keys(cache.entries).sort(), ['a.js', 'b.js']);
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test('--package runs keep the cache entries of other packages', () => {
+  const rootDir = createProject({
+    'package.json': JSON.stringify({ name: 'monorepo', private: true, workspaces: ['packages/*'] }),
+    'packages/a/package.json': JSON.stringify({ name: 'a' }),
+    'packages/a/index.js': 'function a() {}\n',
+    'packages/b/package.json': JSON.stringify({ name: 'b' }),
+    'packages/b/index.js': 'function b() {}\n'
+  });
+  try {
+    assert.deepStrictEqual(buildCached(rootDir).stats, { reused: 0, reparsed: 2 });
+    assert.deepStrictEqual(buildCached(rootDir, { package: 'a' }).stats, { reused: 1, reparsed: 0 });
+    assert.deepStrictEqual(buildCached(rootDir).stats, { reused: 2, reparsed: 0 });
+  } finally {
+    removeProject(rootDir);
+  }
+});
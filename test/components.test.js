@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { indexSource } = require('./helpers');
+
+test('Vue <script setup> props, emits, slots and child components', () => {
+  const { component } = indexSource('TodoItem.vue', [
+    '<script setup lang="ts">',
+    "import Badge from './Badge.vue';",
+    "import { Icon } from '@/ui';",
+    'interface Props {',
+    '  title: string;',
+    '  done?: boolean;',
+    '}',
+    'const props = withDefaults(defineProps<Props>(), { done: false });',
+    "const emit = defineEmits<{ (e: 'toggle', id: number): void; (e: 'remove'): void }>();",
+    'function finish() {',
+    "  emit('finish');",
+    '}',
+    '</script>',
+    '',
+    '<template>',
+    '  <li>',
+    '    <Badge :done="done" />',
+    '    <icon-button @click="$emit(\'remove\')"><Icon name="x" /></icon-button>',
+    '    <slot name="actions" />',
+    '    <slot />',
+    '    <Transition><span>{{ title }}</span></Transition>',
+    '  </li>',
+    '</template>',
+    ''
+  ].join('\n'));
+
+  assert.deepStrictEqual(component, {
+    framework: 'vue',
+    name: 'TodoItem',
+    lang: 'ts',
+    setup: true,
+    props: [
+      { name: 'title', type: 'string', required: true },
+      { name: 'done', type: 'boolean', default: 'false' }
+    ],
+    emits: ['toggle', 'remove', 'finish'],
+    slots: ['actions', 'default'],
+    // Built-ins such as <Transition> are not children
+    components: [
+      { name: 'Badge', source: './Badge.vue' },
+      { name: 'IconButton' },
+      { name: 'Icon', source: '@/ui' }
+    ]
+  });
+});
+
+test('Vue Options API components take their name, props and emits from the options object', () => {
+  const { component } = indexSource('counter.vue', [
+    '<template>',
+    '  <div><CounterLabel :value="count" /><slot name="footer"></slot></div>',
+    '</template>',
+    '<script>',
+    "import CounterLabel from './CounterLabel.vue';",
+    'export default {',
+    "  name: 'ClickCounter',",
+    '  components: { CounterLabel },',
+    '  props: { start: { type: Number, default: 0 }, label: String },',
+    "  emits: ['change'],",
+    '  methods: {',
+    "    inc() { this.$emit('increment'); }",
+    '  }',
+    '};',
+    '</script>',
+    ''
+  ].join('\n'));
+
+  assert.deepStrictEqual(component, {
+    framework: 'vue',
+    name: 'ClickCounter',
+    lang: 'js',
+    props: [
+      { name: 'start', type: 'Number', default: '0' },
+      { name: 'label', type: 'String' }
+    ],
+    emits: ['change', 'increment'],
+    slots: ['footer'],
+    components: [{ name: 'CounterLabel', source: './CounterLabel.vue' }]
+  });
+});
+
+test('Svelte exported props, dispatched and forwarded events, slots and children', () => {
+  const { component } = indexSource('Modal.svelte', [
+    '<script lang="ts">',
+    "  import { createEventDispatcher } from 'svelte';",
+    "  import Button from './Button.svelte';",
+    '  export let title: string;',
+    '  export let open = false;',
+    '  const dispatch = createEventDispatcher();',
+    "  const close = () => dispatch('close');",
+    '</script>',
+    '',
+    '<div class="modal" on:keydown>',
+    '  <h2>{title}</h2>',
+    '  <slot />',
+    '  <slot name="footer" />',
+    '  <Button on:click={close}>Close</Button>',
+    '</div>',
+    ''
+  ].join('\n'));
+
+  assert.deepStrictEqual(component, {
+    framework: 'svelte',
+    name: 'Modal',
+    lang: 'ts',
+    props: [
+      { name: 'title', type: 'string', required: true },
+      { name: 'open', default: 'false' }
+    ],
+    emits: ['close', 'keydown'],
+    slots: ['default', 'footer'],
+    components: [{ name: 'Button', source: './Button.svelte' }]
+  });
+});
+
+test('Svelte 5 $props() destructuring and {@render} snippets', () => {
+  const { component } = indexSource('Card.svelte', [
+    '<script lang="ts">',
+    '  interface Props { heading: string; count?: number }',
+    '  let { heading, count = 0, ...rest }: Props = $props();',
+    '</script>',
+    '',
+    '<section>{heading} {count}{@render children?.()}{@render footer()}</section>',
+    ''
+  ].join('\n'));
+
+  assert.deepStrictEqual(component.props, [
+    { name: 'heading', type: 'string', required: true },
+    { name: 'count', type: 'number', default: '0' }
+  ]);
+  assert.deepStrictEqual(component.slots, ['default', 'footer']);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { validateConfig, resolveOptions, ConfigError } = require('../config');
+const { createProject, removeProject } = require('./helpers');
+
+// Runs validateConfig and returns the ConfigError it throws
+function configError(config, source) {
+  try {
+    validateConfig(config, source);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+test('validateConfig accepts a complete configuration', () => {
+  const config = {
+    extensions: ['.ts'],
+    exclude: ['vendor/**'],
+    format: 'compact',
+    indent: 0,
+    languages: { python: false },
+    limits: { maxFiles: 100 },
+    analysis: { failOn: ['cycles'] }
+  };
+  assert.strictEqual(validateConfig(config), config);
+});
+
+test('validateConfig errors name the offending key and its source', () => {
+  const unknown = configError({ limits: { maxFile: 10 } }, '.claudeindexrc.json');
+  assert.strictEqual(unknown.key, 'limits.maxFile');
+  assert.strictEqual(unknown.message, 'Invalid configuration in .claudeindexrc.json: unknown option "limits.maxFile"');
+
+  const badValue = configError({ indent: 12 });
+  assert.strictEqual(badValue.key, 'indent');
+  assert.strictEqual(badValue.message, 'Invalid configuration: "indent" must be an integer between 0 and 8 (got 12)');
+
+  assert.strictEqual(configError({ extensions: ['ts'] }).key, 'extensions');
+  assert.strictEqual(configError({ languages: { go: 'no' } }).key, 'languages.go');
+  assert.strictEqual(configError({ analysis: { failOn: ['typos'] } }).key, 'analysis.failOn');
+  assert.match(configError({ docs: [] }).message, /"docs" must be an object/);
+});
+
+test('resolveOptions layers CLI options over the project config', () => {
+  const rootDir = createProject({
+    '.claudeindexrc.json': JSON.stringify({ output: 'from-config.json', format: 'markdown', cache: false, limits: { maxFiles: 50 } })
+  });
+  try {
+    const { options, source } = resolveOptions({ rootDir, outputFile: 'from-cli.json' });
+    assert.strictEqual(source, '.claudeindexrc.json');
+    assert.strictEqual(options.outputFile, 'from-cli.json');
+    assert.strictEqual(options.format, 'markdown');
+    assert.strictEqual(options.useCache, false);
+    assert.strictEqual(options.maxFiles, 50);
+    assert.strictEqual(options.rootDir, rootDir);
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test('resolveOptions reads package.json#claudeIndex and rejects invalid config', () => {
+  const rootDir = createProject({
+    'package.json': JSON.stringify({ name: 'app', claudeIndex: { maxTokens: -1 } })
+  });
+  try {
+    assert.throws(() => resolveOptions({ rootDir }), {
+      name: 'ConfigError',
+      key: 'maxTokens',
+      message: 'Invalid configuration in package.json#claudeIndex: "maxTokens" must be a positive integer (got -1)'
+    });
+    assert.throws(() => resolveOptions({ rootDir, configFile: 'missing.json' }), /config file not found/);
+  } finally {
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { diffIndexes } = require('../diff');
+const { createProject, removeProject, buildIndex } = require('./helpers');
+
+// Indexes a project described as { path: content } and removes it again
+function indexOf(files) {
+  const rootDir = createProject(files);
+  try {
+    return buildIndex(rootDir);
+  } finally {
+    removeProject(rootDir);
+  }
+}
+
+const DB = 'function connect() {}\nfunction query(sql) {}\nfunction close() {}\nmodule.exports = { connect, query, close };\n';
+
+test('diffIndexes reports added, removed and renamed files, symbol changes and import edges', () => {
+  const before = indexOf({
+    'src/user.js': "const db = require('./db');\nfunction findUser(id) {}\nfunction removeUser(id) {}\nmodule.exports = { findUser, removeUser };\n",
+    'src/db.js': DB,
+    'src/legacy.js': "const user = require('./user');\nfunction old() {}\n"
+  });
+  const after = indexOf({
+    'src/user.js': "const store = require('./store');\nfunction findUser(id, options) {}\nfunction createUser(data) {}\nmodule.exports = { findUser, createUser };\n",
+    'src/store.js': DB,
+    'src/audit.js': "const store = require('./store');\nfunction audit() {}\n"
+  });
+
+  const diff = diffIndexes(before, after);
+  assert.deepStrictEqual(diff.files, {
+    added: ['src/audit.js'],
+    removed: ['src/legacy.js'],
+    renamed: [{ from: 'src/db.js', to: 'src/store.js', similarity: 1 }]
+  });
+  assert.deepStrictEqual(diff.changed, {
+    'src/user.js': {
+      functions: {
+        added: ['createUser(data)'],
+        removed: ['removeUser(id)'],
+        changed: [{ from: 'findUser(id)', to: 'findUser(id, options)' }]
+      },
+      exports: { added: ['createUser'], removed: ['removeUser'] }
+    }
+  });
+
+  // user.js -> db.js follows the rename, so it is neither removed nor added
+  assert.deepStrictEqual(diff.imports, {
+    added: [{ from: 'src/audit.js', to: 'src/store.js' }],
+    removed: [{ from: 'src/legacy.js', to: 'src/user.js' }]
+  });
+  assert.deepStrictEqual(diff.summary.totalFunctions, { old: 6, new: 6, delta: 0 });
+});
+
+test('diffIndexes of identical indexes is empty', () => {
+  const index = indexOf({ 'src/db.js': DB });
+  const diff = diffIndexes(index, index);
+  assert.deepStrictEqual(diff.files, { added: [], removed: [], renamed: [] });
+  assert.deepStrictEqual(diff.changed, {});
+  assert.deepStrictEqual(diff.imports, { added: [], removed: [] });
+});
@@ -0,0 +1,15 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { fileDescription } = require('../docs');
+
+test('file descriptions skip commented-out code', () => {
+  assert.strictEqual(fileDescription('# def phantom_from_comment():\n#     pass\nimport os\n', 'python'), undefined);
+  assert.strictEqual(fileDescription("// import { phantom } from './commented-import';\nconst a = 1;\n", 'javascript'), undefined);
+  assert.strictEqual(fileDescription('# Old version:\n# def old(): pass\n#\n# Helpers for the CLI.\nimport os\n', 'python'), 'Old version:');
+  assert.strictEqual(fileDescription('// fn phantom() {}\n// Parses the config file.\n\nuse std::fs;\n', 'rust'), 'Parses the config file.');
+});
+
+test('file descriptions keep prose with inline tags', () => {
+  assert.strictEqual(fileDescription('/**\n * Parses the config file.\n * Uses {@link Loader} for reading.\n */\n\nimport x from "y";\n', 'javascript'),
+    'Parses the config file. Uses Loader for reading.');
+});
@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { indexSource } = require('./helpers');
+
+test('Go imports keep only the quoted path', () => {
+  const metadata = indexSource('main.go', [
+    'package main',
+    '',
+    'import (',
+    '\t"fmt"',
+    '\tu "example.com/app/internal/util" // helpers',
+    '\t_ "github.com/lib/pq"',
+    '\t. `strings`',
+    ')',
+    '',
+    'import h "net/http"',
+    ''
+  ].join('\n'));
+  assert.deepStrictEqual(metadata.imports, ['fmt', 'example.com/app/internal/util', 'github.com/lib/pq', 'strings', 'net/http']);
+});
+
+test('type-only TypeScript imports are imports', () => {
+  const metadata = indexSource('a.ts', [
+    "import type { User } from './types';",
+    "import type Config from './config';",
+    "import { helper } from './helper';",
+    ''
+  ].join('\n'));
+  assert.deepStrictEqual(metadata.imports, ['./types', './config', './helper']);
+  assert.deepStrictEqual(metadata.importDetails.map(detail => detail.module), ['./types', './config', './helper']);
+});
+
+test('Java generic methods record their type parameters apart from the return type', () => {
+  const metadata = indexSource('M.java', [
+    'public class M<T> {',
+    '  public synchronized <R> List<R> map(Function<T, R> fn) { return null; }',
+    '  public static <K, V extends Comparable<? super V>> Map<K, V> sort(Map<K, V> in) { return in; }',
+    '}',
+    ''
+  ].join('\n'));
+  const [map, sort] = metadata.functions;
+  assert.strictEqual(map.typeParameters, 'R');
+  assert.strictEqual(map.returnType, 'List<R>');
+  assert.strictEqual(sort.typeParameters, 'K, V extends Comparable<? super V>');
+  assert.strictEqual(sort.returnType, 'Map<K, V>');
+});
+
+test('C function pointer parameters are named from inside the parentheses', () => {
+  const metadata = indexSource('apply.c', 'int apply(int (*cb)(int), int value) { return cb(value); }\n');
+  assert.deepStrictEqual(metadata.functions[0].params, [{ name: 'cb', type: 'int (*)(int)' }, { name: 'value', type: 'int' }]);
+});
+
+test('Rust trait items share the trait visibility', () => {
+  const metadata = indexSource('lib.rs', [
+    'pub trait Shape {',
+    '    fn area(&self) -> f64;',
+    '}',
+    'trait Hidden {',
+    '    fn secret(&self);',
+    '}',
+    ''
+  ].join('\n'));
+  assert.deepStrictEqual(metadata.functions.map(fn => [fn.name, fn.visibility]), [['area', 'pub'], ['secret', 'private']]);
+});
+
+test('Rust lifetimes in parameter types do not read as character literals', () => {
+  const metadata = indexSource('lib.rs', [
+    "pub fn longest<'a>(x: &'a str, y: &'a str, sep: char) -> &'a str {",
+    '    x',
+    '}',
+    ''
+  ].join('\n'));
+  assert.deepStrictEqual(metadata.functions[0].params, [
+    { name: 'x', type: "&'a str" },
+    { name: 'y', type: "&'a str" },
+    { name: 'sep', type: 'char' }
+  ]);
+});
+
+test('Swift return types end at the brace of a one-line protocol', () => {
+  const metadata = indexSource('Shapes.swift', [
+    'protocol Drawable { func draw() -> Void }',
+    'protocol Sized { func size() -> Int; func name() -> String }',
+    ''
+  ].join('\n'));
+  assert.deepStrictEqual(metadata.functions.map(fn => [fn.className, fn.name, fn.returnType]), [
+    ['Drawable', 'draw', 'Void'],
+    ['Sized', 'size', 'Int'],
+    ['Sized', 'name', 'String']
+  ]);
+});
+
+test('Python blocks with multi-line headers keep their methods', () => {
+  const metadata = indexSource('models.py', [
+    'class Foo(Base,',
+    '          Other):',
+    '    def m(self,',
+    '            arg):',
+    '        def helper():',
+    '            pass',
+    '        return helper',
+    '',
+    '    def n(self):',
+    '        pass',
+    '',
+    '',
+    'def top():',
+    '    pass',
+    ''
+  ].join('\n'));
+  assert.deepStrictEqual(metadata.classes.map(cls => [cls.name, cls.line, cls.endLine, cls.methods]), [['Foo', 1, 10, ['m', 'n']]]);
+  assert.deepStrictEqual(metadata.functions.map(fn => [fn.name, fn.className]), [['m', 'Foo'], ['n', 'Foo'], ['top', undefined]]);
+});
+
+test('class members on one line are all found', () => {
+  const metadata = indexSource('foo.ts', 'class Foo { private bar(){} static baz() {} }\n');
+  assert.deepStrictEqual(metadata.functions.map(fn => [fn.className, fn.name, fn.visibility, fn.static]), [
+    ['Foo', 'bar', 'private', undefined],
+    ['Foo', 'baz', undefined, true]
+  ]);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { outlineSymbols, formatIndex } = require('../formatters');
+const { createProject, removeProject, buildIndex } = require('./helpers');
+
+const method = (className, name, line) => ({ name, kind: 'method', className, params: [], line });
+
+test('outlineSymbols lists each method once, under its class', () => {
+  const metadata = {
+    classes: [{ name: 'Cache', kind: 'class', line: 1 }],
+    functions: [method('Cache', 'load', 2), method('Cache', 'save', 3), { name: 'helper', kind: 'function', params: [], line: 5 }, method('Other', 'run', 8)]
+  };
+  assert.deepStrictEqual(outlineSymbols(metadata).map(({ symbol, depth }) => [symbol.name, depth]), [
+    ['Cache', 0],
+    ['load', 1],
+    ['save', 1],
+    ['helper', 0],
+    ['run', 0]
+  ]);
+});
+
+test('compact and markdown output print each method once', () => {
+  const rootDir = createProject({
+    'cache.js': 'class IndexCache {\n  load() {}\n  save() {}\n}\nmodule.exports = IndexCache;\n'
+  });
+  try {
+    const index = buildIndex(rootDir);
+    for (const format of ['compact', 'markdown']) {
+      const { text } = formatIndex(index, { format });
+      assert.strictEqual(text.split('load()').length - 1, 1, format);
+      assert.strictEqual(text.split('save()').length - 1, 1, format);
+    }
+  } finally {
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const IgnoreMatcher = require('../gitignore');
+const { createProject, removeProject } = require('./helpers');
+
+function matcher(patterns) {
+  return new IgnoreMatcher('/nonexistent', { patterns, readIgnoreFiles: false });
+}
+
+test('unanchored names match whole path segments only', () => {
+  const ignore = matcher(['build']);
+  assert.strictEqual(ignore.ignores('build', true), true);
+  assert.strictEqual(ignore.ignores('src/build/out.js'), true);
+  assert.strictEqual(ignore.ignores('src/rebuild.js'), false);
+  assert.strictEqual(ignore.ignores('build.js'), false);
+});
+
+test('negation re-includes files the earlier rules ignored', () => {
+  const ignore = matcher(['*.log', '!keep.log']);
+  assert.strictEqual(ignore.ignores('error.log'), true);
+  assert.strictEqual(ignore.ignores('keep.log'), false);
+  assert.strictEqual(ignore.ignores('logs/keep.log'), false);
+});
+
+test('a leading slash anchors the pattern to the root', () => {
+  const ignore = matcher(['/dist']);
+  assert.strictEqual(ignore.ignores('dist/app.js'), true);
+  assert.strictEqual(ignore.ignores('packages/web/dist/app.js'), false);
+});
+
+test('a trailing slash matches directories only', () => {
+  const ignore = matcher(['logs/']);
+  assert.strictEqual(ignore.ignores('logs', true), true);
+  assert.strictEqual(ignore.ignores('logs/today.txt'), true);
+  assert.strictEqual(ignore.ignores('src/logs/today.txt'), true);
+  assert.strictEqual(ignore.ignores('logs'), false);
+});
+
+test('character classes match one character from the set', () => {
+  const ignore = matcher(['[ab].tmp']);
+  assert.strictEqual(ignore.ignores('a.tmp'), true);
+  assert.strictEqual(ignore.ignores('nested/b.tmp'), true);
+  assert.strictEqual(ignore.ignores('c.tmp'), false);
+  assert.strictEqual(ignore.ignores('ab.tmp'), false);
+});
+
+test('nested .gitignore, .git/info/exclude and .claudeindexignore all apply', () => {
+  const rootDir = createProject({
+    '.gitignore': '*.gen.js\n',
+    '.git/info/exclude': 'scratch/\n',
+    '.claudeindexignore': '!keep.gen.js\nfixtures/\n',
+    'packages/web/.gitignore': '/out\n*.snap\n',
+    'packages/web/.claudeindexignore': '!important.snap\n'
+  });
+  try {
+    const ignore = new IgnoreMatcher(rootDir);
+    assert.strictEqual(ignore.ignores('src/types.gen.js'), true);
+    assert.strictEqual(ignore.ignores('keep.gen.js'), false);
+    assert.strictEqual(ignore.ignores('scratch/notes.js'), true);
+    assert.strictEqual(ignore.ignores('test/fixtures/a.js'), true);
+
+    // Rules in a nested file are relative to its directory and only apply below it
+    assert.strictEqual(ignore.ignores('packages/web/out/app.js'), true);
+    assert.strictEqual(ignore.ignores('out/app.js'), false);
+    assert.strictEqual(ignore.ignores('packages/web/src/ui.snap'), true);
+    assert.strictEqual(ignore.ignores('ui.snap'), false);
+    assert.strictEqual(ignore.ignores('packages/web/important.snap'), false);
+
+    // A file inside an ignored directory stays ignored even if a rule re-includes it
+    const reincluded = new IgnoreMatcher(rootDir, { patterns: ['!scratch/keep.js'] });
+    assert.strictEqual(reincluded.ignores('scratch/keep.js'), true);
+  } finally {
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProjectIndexer = require('../indexer');
+
+// Writes { 'relative/path': 'content' } into a fresh temporary directory and returns its path
+function createProject(files) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-index-test-'));
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(rootDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+  return rootDir;
+}
+
+function removeProject(rootDir) {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+}
+
+// Builds the in-memory index of a project without a cache or progress output
+function buildIndex(rootDir, options = {}) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return new ProjectIndexer({ rootDir, useCache: false, ...options }).buildIndex();
+  } finally {
+    console.log = log;
+  }
+}
+
+// Metadata of a single source file, indexed in a project of its own
+function indexSource(relativePath, content) {
+  const rootDir = createProject({ [relativePath]: content });
+  try {
+    return buildIndex(rootDir).files[relativePath];
+  } finally {
+    removeProject(rootDir);
+  }
+}
+
+module.exports = {
+  createProject,
+  removeProject,
+  buildIndex,
+  indexSource
+};
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { buildIndex } = require('./helpers');
+
+const SYMBOL_KINDS = ['functions', 'classes', 'interfaces', 'constants', 'types', 'exports'];
+
+// fixtures/lexer hides look-alike declarations named phantom* in comments and strings
+test('declarations and imports inside comments and strings are not indexed', () => {
+  const index = buildIndex(path.join(__dirname, '..', 'fixtures', 'lexer'));
+  const found = [];
+
+  for (const [filePath, metadata] of Object.entries(index.files)) {
+    for (const kind of SYMBOL_KINDS) {
+      for (const symbol of metadata[kind] || []) {
+        found.push(`${filePath} ${kind} ${typeof symbol === 'string' ? symbol : symbol.name}`);
+      }
+    }
+    for (const specifier of metadata.imports || []) {
+      found.push(`${filePath} import ${specifier}`);
+    }
+  }
+
+  // PHANTOM_DOC is a real Python constant whose value is a docstring-like string
+  const phantoms = found.filter(entry => /phantom/i.test(entry.split(' ').slice(2).join(' ')) && !entry.endsWith(' PHANTOM_DOC'));
+  assert.deepStrictEqual(phantoms, []);
+  assert.ok(found.includes('traps.ts functions realFunction'));
+  assert.ok(found.includes('traps.rs functions real_function'));
+  assert.ok(found.includes('traps.py constants PHANTOM_DOC'));
+});
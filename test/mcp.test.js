@@ -0,0 +1,139 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const { PassThrough } = require('stream');
+const McpServer = require('../mcp');
+const { createProject, removeProject, buildIndex } = require('./helpers');
+
+let rootDir;
+let server;
+let nextId = 0;
+
+// Sends one JSON-RPC request through handleLine, as the stdio transport does, and parses the reply
+function request(method, params) {
+  const line = server.handleLine(JSON.stringify({ jsonrpc: '2.0', id: ++nextId, method, params }));
+  return JSON.parse(line);
+}
+
+function callTool(name, args) {
+  const { result } = request('tools/call', { name, arguments: args });
+  assert.ok(!result.isError, result.content[0].text);
+  return JSON.parse(result.content[0].text);
+}
+
+before(() => {
+  rootDir = createProject({
+    'package.json': JSON.stringify({ name: 'demo', scripts: { test: 'node --test' } }),
+    'src/user.ts': [
+      "import { helper } from './util';",
+      "import express from 'express';",
+      '',
+      '/** Loads and saves users. */',
+      'export class UserService {',
+      '  find(id: string): string { return helper(id); }',
+      '  save() {}',
+      '}',
+      '',
+      'export function makeUser(name: string) {}',
+      ''
+    ].join('\n'),
+    'src/util.ts': 'export function helper(value: string): string { return value; }\n'
+  });
+  const index = buildIndex(rootDir);
+  server = new McpServer(() => index);
+});
+
+after(() => removeProject(rootDir));
+
+test('initialize negotiates the protocol version', () => {
+  const response = request('initialize', { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test' } });
+  assert.strictEqual(response.id, nextId);
+  assert.strictEqual(response.result.protocolVersion, '2025-03-26');
+  assert.deepStrictEqual(response.result.capabilities, { tools: {} });
+  assert.strictEqual(response.result.serverInfo.name, 'claude-project-indexer');
+
+  const unknown = request('initialize', { protocolVersion: '1999-01-01' });
+  assert.strictEqual(unknown.result.protocolVersion, '2025-06-18');
+});
+
+test('notifications get no reply', () => {
+  assert.strictEqual(server.handleLine(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })), null);
+});
+
+test('tools/list describes every tool', () => {
+  const { result } = request('tools/list');
+  assert.deepStrictEqual(result.tools.map(tool => tool.name), Object.keys(McpServer.TOOLS));
+  for (const tool of result.tools) {
+    assert.ok(tool.description);
+    assert.strictEqual(tool.inputSchema.type, 'object');
+  }
+});
+
+test('search_symbols finds functions, classes and methods', () => {
+  const results = callTool('search_symbols', { query: 'UserService.find', mode: 'exact' });
+  assert.deepStrictEqual(results, [{ kind: 'method', name: 'UserService.find', signature: 'find(id: string): string', path: 'src/user.ts', line: 6 }]);
+
+  const classes = callTool('search_symbols', { query: 'user', kind: 'class' });
+  assert.deepStrictEqual(classes.map(symbol => symbol.name), ['UserService']);
+  assert.strictEqual(classes[0].summary, 'Loads and saves users.');
+});
+
+test('get_file_outline lists each method once under its class', () => {
+  const outline = callTool('get_file_outline', { path: 'user.ts' });
+  assert.strictEqual(outline.path, 'src/user.ts');
+  assert.deepStrictEqual(outline.symbols.map(symbol => [symbol.name, symbol.depth]), [
+    ['UserService', 0],
+    ['UserService.find', 1],
+    ['UserService.save', 1],
+    ['makeUser', 0]
+  ]);
+  assert.deepStrictEqual(outline.imports, ['src/util.ts', 'express']);
+});
+
+test('find_importers resolves project files and packages', () => {
+  assert.deepStrictEqual(callTool('find_importers', { target: 'src/util.ts' }).importers, ['src/user.ts']);
+  assert.deepStrictEqual(callTool('find_importers', { target: 'express' }).importers, ['src/user.ts']);
+});
+
+test('list_directory lists files with symbol counts', () => {
+  assert.deepStrictEqual(callTool('list_directory', {}).entries, [{ name: 'src/', type: 'directory', files: 2 }]);
+  const user = callTool('list_directory', { path: 'src' }).entries.find(entry => entry.name === 'user.ts');
+  assert.strictEqual(user.type, 'file');
+  assert.strictEqual(user.functions, 3);
+  assert.strictEqual(user.classes, 1);
+});
+
+test('project_summary reports totals and commands', () => {
+  const summary = callTool('project_summary', {});
+  assert.strictEqual(summary.projectRoot, rootDir);
+  assert.strictEqual(summary.totalFiles, 2);
+  assert.deepStrictEqual(summary.topLevel, ['src/']);
+  assert.deepStrictEqual(summary.project.commands.test, ['npm run test']);
+});
+
+test('tool failures are tool results, bad calls are protocol errors', () => {
+  const missing = request('tools/call', { name: 'get_file_outline', arguments: { path: 'nope.ts' } });
+  assert.strictEqual(missing.result.isError, true);
+
+  assert.strictEqual(request('tools/call', { name: 'get_file_outline', arguments: {} }).error.code, -32602);
+  assert.strictEqual(request('tools/call', { name: 'no_such_tool', arguments: {} }).error.code, -32602);
+  assert.strictEqual(request('no/such/method').error.code, -32601);
+  assert.strictEqual(JSON.parse(server.handleLine('{not json')).error.code, -32700);
+});
+
+test('listen answers each stdio line and resolves when input ends', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const done = server.listen(input, output);
+  input.end([
+    JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }),
+    JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+    '',
+    JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'search_symbols', arguments: { query: 'helper' } } })
+  ].join('\n'));
+  await done;
+
+  const responses = output.read().toString().trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(responses.map(response => response.id), [1, 2]);
+  assert.deepStrictEqual(responses[0].result, {});
+  assert.strictEqual(JSON.parse(responses[1].result.content[0].text)[0].name, 'helper');
+});
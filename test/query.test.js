@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const IndexQuery = require('../query');
+const { createProject, removeProject, buildIndex } = require('./helpers');
+
+test('fuzzy matches rank the closest name first, ahead of longer names', () => {
+  const query = new IndexQuery({
+    files: {
+      'indexer.js': {
+        classes: [{ name: 'ProjectIndexer', kind: 'class', line: 1 }],
+        functions: [
+          { name: 'addToFileTree', kind: 'method', className: 'ProjectIndexer', line: 2 },
+          { name: 'extractJavaScriptImportDetails', kind: 'method', className: 'ProjectIndexer', line: 3 }
+        ]
+      }
+    }
+  });
+
+  const names = query.findSymbol('ProjectIndxer', { mode: 'fuzzy' })
+    .map(symbol => (symbol.className ? `${symbol.className}.${symbol.name}` : symbol.name));
+  assert.deepStrictEqual(names, ['ProjectIndexer', 'ProjectIndexer.addToFileTree', 'ProjectIndexer.extractJavaScriptImportDetails']);
+});
+
+test('fileSymbols outlines indexes built with --legacy-functions', () => {
+  const rootDir = createProject({
+    'src/user.js': 'class UserService {\n  find() {}\n}\nfunction helper() {}\n'
+  });
+  try {
+    const query = new IndexQuery(buildIndex(rootDir, { legacyFunctions: true }));
+    const { path, symbols } = query.fileSymbols('user.js');
+    assert.strictEqual(path, 'src/user.js');
+    assert.deepStrictEqual(symbols.map(entry => entry.symbol.name), ['UserService', 'helper', 'find']);
+  } finally {
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { createProject, removeProject, buildIndex } = require('./helpers');
+
+test('named function expressions are recorded as route handlers', () => {
+  const rootDir = createProject({
+    'app.js': [
+      "const express = require('express');",
+      'const router = express.Router();',
+      "router.get('/:id', function getUser(req, res) {});",
+      "router.post('/', async function createUser(req, res) {});",
+      "router.delete('/:id', (req, res) => {});",
+      "router.get('/', listUsers);",
+      'module.exports = router;',
+      ''
+    ].join('\n')
+  });
+  try {
+    const { routes } = buildIndex(rootDir);
+    const byLine = [...routes].sort((a, b) => a.line - b.line);
+    assert.deepStrictEqual(byLine.map(route => [route.method, route.path, route.handler]), [
+      ['GET', '/:id', 'getUser'],
+      ['POST', '/', 'createUser'],
+      ['DELETE', '/:id', undefined],
+      ['GET', '/', 'listUsers']
+    ]);
+  } finally {
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const { EventEmitter } = require('events');
+const IndexServer = require('../server');
+
+let watcher;
+let server;
+let port;
+
+// GET with a raw path, so paths the URL parser rejects reach the server as sent
+function get(requestPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: requestPath }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+before(async () => {
+  watcher = new EventEmitter();
+  watcher.index = { projectRoot: '/project', totalFiles: 0, files: {}, summary: {} };
+  server = new IndexServer(watcher);
+  const log = console.log;
+  console.log = () => {};
+  const httpServer = server.start();
+  await new Promise(resolve => httpServer.once('listening', resolve));
+  console.log = log;
+  port = httpServer.address().port;
+});
+
+after(() => server.close());
+
+test('an unparsable path is a 400, and the server keeps serving', async () => {
+  const invalid = await get('//');
+  assert.strictEqual(invalid.status, 400);
+  assert.match(invalid.body.error, /Invalid request path/);
+
+  const summary = await get('/summary');
+  assert.strictEqual(summary.status, 200);
+  assert.strictEqual(summary.body.projectRoot, '/project');
+});
+
+test('events skip subscribers whose socket is gone', async () => {
+  await new Promise(resolve => {
+    const req = http.get({ host: '127.0.0.1', port, path: '/events' }, res => {
+      res.once('data', () => {
+        res.destroy();
+        resolve();
+      });
+    });
+    req.on('error', () => {});
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  // A response whose socket died before its close event arrived
+  server.clients.add({ destroyed: false, writableEnded: false, write() { throw new Error('This socket has been ended'); } });
+  server.clients.add({ destroyed: true, writableEnded: false, write() { throw new Error('Cannot call write after a stream was destroyed'); } });
+
+  watcher.emit('file-changed', { path: 'a.js' });
+  watcher.emit('file-changed', { path: 'b.js' });
+  assert.strictEqual(server.clients.size, 0);
+  assert.strictEqual((await get('/summary')).status, 200);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const ProjectIndexer = require('../indexer');
+const IndexQuery = require('../query');
+const { createProject, removeProject } = require('./helpers');
+
+test('a sharded index keeps the workspace packages in its manifest', () => {
+  const rootDir = createProject({
+    'package.json': JSON.stringify({ name: 'monorepo', private: true, workspaces: ['packages/*'] }),
+    'packages/api/package.json': JSON.stringify({ name: '@demo/api', main: 'index.js', dependencies: { '@demo/core': '*' } }),
+    'packages/api/index.js': "const core = require('@demo/core');\nmodule.exports = () => core();\n",
+    'packages/core/package.json': JSON.stringify({ name: '@demo/core', main: 'index.js' }),
+    'packages/core/index.js': 'module.exports = function core() {};\n'
+  });
+  const log = console.log;
+  try {
+    console.log = () => {};
+    const indexer = new ProjectIndexer({ rootDir, useCache: false, shard: true });
+    const index = indexer.buildIndex();
+    const { outputPath } = indexer.writeIndex(index);
+    console.log = log;
+
+    const manifest = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    assert.deepStrictEqual(manifest.packages, index.packages);
+    assert.deepStrictEqual(manifest.packages.map(pkg => [pkg.name, pkg.dependsOn]), [['@demo/api', ['@demo/core']], ['@demo/core', []]]);
+    assert.deepStrictEqual(IndexQuery.load(path.join(rootDir, 'PROJECT_INDEX.json')).index.packages, index.packages);
+  } finally {
+    console.log = log;
+    removeProject(rootDir);
+  }
+});
+
+test('re-finalizing an unchanged index rewrites no shards', () => {
+  const rootDir = createProject({
+    'package.json': JSON.stringify({ name: 'monorepo', private: true, workspaces: ['packages/*'] }),
+    'packages/a/package.json': JSON.stringify({ name: 'a', main: 'index.js', dependencies: { b: '*' } }),
+    'packages/a/index.js': "const b = require('b');\nconst lodash = require('lodash');\nmodule.exports = () => b();\n",
+    'packages/b/package.json': JSON.stringify({ name: 'b', main: 'index.js' }),
+    'packages/b/index.js': "const util = require('./util');\nmodule.exports = function b() {};\n",
+    'packages/b/util.js': 'module.exports = {};\n'
+  });
+  const log = console.log;
+  try {
+    console.log = () => {};
+    const indexer = new ProjectIndexer({ rootDir, useCache: false, shard: true });
+    const index = indexer.buildIndex();
+    assert.deepStrictEqual(indexer.writeIndex(index).written, ['packages/a', 'packages/b']);
+
+    // The watcher finalizes the same index again after every incremental update
+    indexer.finalizeIndex(index);
+    assert.deepStrictEqual(indexer.writeIndex(index).written, []);
+  } finally {
+    console.log = log;
+    removeProject(rootDir);
+  }
+});
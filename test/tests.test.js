@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { isTestFile, testSubject, mapTests } = require('../tests');
+const { createProject, removeProject, buildIndex } = require('./helpers');
+
+test('isTestFile recognises test names and test directories', () => {
+  for (const filePath of [
+    'src/users.test.ts',
+    'src/users.spec.jsx',
+    'app/test_users.py',
+    'app/users_test.py',
+    'pkg/store_test.go',
+    'spec/models/user_spec.rb',
+    'src/test/java/com/acme/UserServiceTest.java',
+    'src/UserServiceIT.java',
+    'Acme.Tests/UserServiceTests.cs',
+    '__tests__/users.js',
+    'e2e/login.js'
+  ]) {
+    assert.strictEqual(isTestFile(filePath), true, filePath);
+  }
+  for (const filePath of ['src/users.ts', 'src/testing.js', 'src/latest.py', 'src/Contest.java', 'src/UNIT.java', 'docs/spec.md']) {
+    assert.strictEqual(isTestFile(filePath), false, filePath);
+  }
+});
+
+test('testSubject names the module a test file mirrors', () => {
+  assert.strictEqual(testSubject('src/users.test.ts'), 'users');
+  assert.strictEqual(testSubject('tests/test_users.py'), 'users');
+  assert.strictEqual(testSubject('pkg/users_test.go'), 'users');
+  assert.strictEqual(testSubject('spec/user_spec.rb'), 'user');
+  assert.strictEqual(testSubject('src/test/java/UserServiceTest.java'), 'UserService');
+  assert.strictEqual(testSubject('UserServiceTests.cs'), 'UserService');
+  assert.strictEqual(testSubject('OrderIT.java'), 'Order');
+});
+
+test('mapTests links tests to the files they import and mirror', () => {
+  const rootDir = createProject({
+    'src/users.js': 'function findUser() {}\nmodule.exports = { findUser };\n',
+    'src/format.js': 'function format() {}\nmodule.exports = { format };\n',
+    'src/orders.js': 'function order() {}\n',
+    'src/types.d.ts': 'export declare function t(): void;\n',
+    'test/users.test.js': "const { format } = require('../src/format');\ndescribe('users', () => {\n  it('finds', () => {});\n});\n",
+    'pkg/store.go': 'package pkg\nfunc Get() {}\n',
+    'pkg/store_test.go': 'package pkg\nfunc TestGet(t *testing.T) {}\n',
+    'other/store.go': 'package other\nfunc Put() {}\n'
+  });
+  try {
+    const index = buildIndex(rootDir);
+    const { files } = index;
+
+    assert.deepStrictEqual(files['test/users.test.js'].testsFor, ['src/format.js', 'src/users.js']);
+    assert.deepStrictEqual(files['src/users.js'].testedBy, ['test/users.test.js']);
+    assert.deepStrictEqual(files['src/format.js'].testedBy, ['test/users.test.js']);
+
+    // Go tests only cover the package in their own directory
+    assert.deepStrictEqual(files['pkg/store_test.go'].testsFor, ['pkg/store.go']);
+    assert.strictEqual(files['other/store.go'].testedBy, undefined);
+
+    // Declaration files have nothing to test
+    assert.deepStrictEqual(index.summary.untestedFiles, ['other/store.go', 'src/orders.js']);
+    assert.strictEqual(index.summary.testFiles, 2);
+    assert.strictEqual(index.summary.testCases, 2);
+
+    // Mapping again starts over instead of appending
+    assert.deepStrictEqual(mapTests(files).untestedFiles, ['other/store.go', 'src/orders.js']);
+    assert.deepStrictEqual(files['src/users.js'].testedBy, ['test/users.test.js']);
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test('mapTests returns null for a project without tests', () => {
+  assert.strictEqual(mapTests({ 'a.js': { extension: '.js', functions: [{ name: 'a' }] } }), null);
+});
@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const ProjectIndexer = require('../indexer');
+const ProjectWatcher = require('../watcher');
+const { createProject, removeProject } = require('./helpers');
+
+// Silences the progress output of indexing and watcher callbacks
+function quietly(fn) {
+  const log = console.log;
+  const warn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+test('updateIndexFile and removeIndexFile keep files and fileTree in step', () => {
+  const rootDir = createProject({
+    'src/a.js': 'function a() {}\n',
+    'src/lib/b.js': 'function b() {}\n'
+  });
+  try {
+    const indexer = new ProjectIndexer({ rootDir, useCache: false });
+    const index = quietly(() => indexer.buildIndex());
+
+    fs.writeFileSync(path.join(rootDir, 'src/a.js'), 'function a2() {}\n');
+    assert.strictEqual(indexer.updateIndexFile(index, path.join(rootDir, 'src/a.js')), 'changed');
+    assert.deepStrictEqual(index.files['src/a.js'].functions.map(fn => fn.name), ['a2']);
+
+    fs.writeFileSync(path.join(rootDir, 'src/c.js'), 'function c() {}\n');
+    assert.strictEqual(indexer.updateIndexFile(index, path.join(rootDir, 'src/c.js')), 'added');
+    assert.strictEqual(index.fileTree.src['c.js'], 'file');
+
+    // Unsupported or vanished files are removed rather than indexed
+    fs.writeFileSync(path.join(rootDir, 'notes.txt'), 'hello\n');
+    assert.strictEqual(indexer.updateIndexFile(index, path.join(rootDir, 'notes.txt')), null);
+    fs.unlinkSync(path.join(rootDir, 'src/c.js'));
+    assert.strictEqual(indexer.updateIndexFile(index, path.join(rootDir, 'src/c.js')), 'removed');
+    assert.ok(!index.files['src/c.js']);
+
+    assert.strictEqual(indexer.removeIndexFile(index, path.join(rootDir, 'src/lib/b.js')), 'removed');
+    assert.strictEqual(indexer.removeIndexFile(index, path.join(rootDir, 'src/lib/b.js')), null);
+    assert.deepStrictEqual(index.fileTree, { src: { 'a.js': 'file' } });
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test('removeIndexDirectory removes only files under that directory', () => {
+  const rootDir = createProject({
+    'lib/a.js': 'function a() {}\n',
+    'lib/deep/b.js': 'function b() {}\n',
+    'library/c.js': 'function c() {}\n'
+  });
+  try {
+    const indexer = new ProjectIndexer({ rootDir, useCache: false });
+    const index = quietly(() => indexer.buildIndex());
+
+    assert.strictEqual(indexer.removeIndexDirectory(index, path.join(rootDir, 'lib')), 2);
+    assert.deepStrictEqual(Object.keys(index.files), ['library/c.js']);
+    assert.deepStrictEqual(index.fileTree, { library: { 'c.js': 'file' } });
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+// A watcher whose events are fed in by hand instead of through chokidar
+function createWatcher(rootDir) {
+  const watcher = new ProjectWatcher({ rootDir, useCache: false, debounceMs: 60000 });
+  const rebuilds = [];
+  watcher.on('index-rebuilt', event => rebuilds.push(event));
+  quietly(() => watcher.generateIndex());
+  return { watcher, rebuilds };
+}
+
+function flush(watcher) {
+  clearTimeout(watcher.rebuildTimer);
+  watcher.rebuildTimer = null;
+  quietly(() => watcher.processPendingEvents());
+  clearTimeout(watcher.rebuildTimer);
+}
+
+test('queued watcher events apply incrementally, the latest event per path winning', () => {
+  const rootDir = createProject({
+    'a.js': 'function a() {}\n',
+    'dir/b.js': 'function b() {}\n'
+  });
+  try {
+    const { watcher, rebuilds } = createWatcher(rootDir);
+
+    fs.writeFileSync(path.join(rootDir, 'c.js'), 'function c() {}\n');
+    quietly(() => {
+      watcher.queueEvent('add', 'c.js');
+      watcher.queueEvent('change', 'a.js');
+      watcher.queueEvent('unlink', 'a.js');
+      watcher.queueEvent('unlinkDir', 'dir');
+    });
+    assert.deepStrictEqual([...watcher.pendingEvents], [['c.js', 'add'], ['a.js', 'unlink'], ['dir', 'unlinkDir']]);
+    flush(watcher);
+
+    assert.deepStrictEqual(Object.keys(watcher.index.files), ['c.js']);
+    assert.strictEqual(watcher.pendingEvents.size, 0);
+    assert.deepStrictEqual(rebuilds.map(event => event.full), [true, false]);
+    assert.deepStrictEqual(rebuilds[1].files, ['c.js', 'a.js', 'dir']);
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test('project config changes force a full rebuild and events during a rebuild stay queued', () => {
+  const rootDir = createProject({ 'a.js': 'function a() {}\n' });
+  try {
+    const { watcher, rebuilds } = createWatcher(rootDir);
+
+    quietly(() => {
+      watcher.queueEvent('change', 'a.js');
+      watcher.queueEvent('change', 'tsconfig.json');
+    });
+    assert.strictEqual(watcher.needsFullRebuild, true);
+    flush(watcher);
+    assert.deepStrictEqual(rebuilds.map(event => event.full), [true, true]);
+    assert.strictEqual(watcher.pendingEvents.size, 0);
+
+    watcher.isRebuilding = true;
+    quietly(() => watcher.queueEvent('change', 'a.js'));
+    flush(watcher);
+    assert.deepStrictEqual([...watcher.pendingEvents], [['a.js', 'change']]);
+
+    watcher.isRebuilding = false;
+    fs.writeFileSync(path.join(rootDir, 'a.js'), 'function a2() {}\n');
+    flush(watcher);
+    assert.deepStrictEqual(watcher.index.files['a.js'].functions.map(fn => fn.name), ['a2']);
+  } finally {
+    removeProject(rootDir);
+  }
+});
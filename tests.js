@@ -0,0 +1,204 @@
+const path = require('path');
+const { readBalanced, findRubyBlockEnd, toPosix } = require('./source-utils');
+const { readStringLiteral } = require('./lexer');
+
+// Directories whose files are all test code: `__tests__/`, `tests/`, Maven's `src/test/java`
+const TEST_DIRECTORY = /^(?:__tests__|tests?|specs?|e2e|__mocks__|testdata)$/;
+
+// File names that mark a test whatever the directory
+const TEST_FILE_PATTERNS = [
+  /\.(?:test|spec|e2e)\.[cm]?[jt]sx?$/,
+  /^test_.+\.py$/,
+  /_test\.py$/,
+  /_test\.go$/,
+  /_spec\.rb$/,
+  /_test\.rb$/,
+  /^.+(?:Tests?|Spec|(?<=[a-z0-9])IT)\.(?:java|kt|cs|swift|php|scala)$/
+];
+
+// Extensions that test each other's code: a `.test.ts` file can cover a `.js` module
+const LANGUAGE_FAMILIES = [
+  ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.vue', '.svelte'],
+  ['.java', '.kt', '.kts', '.scala'],
+  ['.c', '.h', '.cc', '.cpp', '.hpp']
+];
+
+function isTestFile(relativePath) {
+  const parts = toPosix(relativePath).split('/');
+  const name = parts[parts.length - 1];
+  return TEST_FILE_PATTERNS.some(pattern => pattern.test(name))
+    || parts.slice(0, -1).some(part => TEST_DIRECTORY.test(part) || /\.Tests?$/.test(part));
+}
+
+// Name of the module a test file mirrors: users.test.ts, test_users.py and users_test.go -> users;
+// UserServiceTest.java and UserServiceTests.cs -> UserService
+function testSubject(relativePath) {
+  const name = path.posix.basename(toPosix(relativePath));
+  return name
+    .replace(/(?:\.[^.]+)$/, '')
+    .replace(/\.(?:test|spec|e2e)$/, '')
+    .replace(/^test_/, '')
+    .replace(/_(?:test|spec)$/, '')
+    .replace(/(?<=[a-z0-9])(?:Tests?|Spec|IT)$/, '');
+}
+
+function languageFamily(extension) {
+  return LANGUAGE_FAMILIES.find(family => family.includes(extension)) || [extension];
+}
+
+// describe/it/test (and context/suite/specify) calls with a literal name; each test case is
+// returned with the chain of describe blocks around it
+function extractCallTests(context, callPattern, blockEnd) {
+  const code = context.code || context.content;
+  const source = context.source || context.content;
+  const suites = [];
+  const cases = [];
+
+  let match;
+  callPattern.lastIndex = 0;
+  while ((match = callPattern.exec(code)) !== null) {
+    const quote = match.index + match[0].length - 1;
+    const name = readStringLiteral(source, quote).trim();
+    if (!name) continue;
+    if (['describe', 'context', 'suite'].includes(match[1])) {
+      suites.push({ name, start: match.index, end: blockEnd(code, match) });
+    } else {
+      cases.push({ name, start: match.index });
+    }
+  }
+
+  return cases.map(testCase => {
+    const suite = suites
+      .filter(candidate => candidate.start < testCase.start && testCase.start < candidate.end)
+      .map(candidate => candidate.name)
+      .join(' > ');
+    return { name: testCase.name, suite: suite || undefined, line: context.locator.position(testCase.start).line };
+  });
+}
+
+const JS_TEST_CALL = /(?<![.\w$])(describe|context|suite|it|test|specify)(?:\s*\.\s*(?:only|skip|todo|concurrent|failing|each\s*\([^()]*\)))*\s*\(\s*['"`]/g;
+const RUBY_TEST_CALL = /^[ \t]*(?:RSpec\s*\.\s*)?(describe|context|it|specify)\s*\(?\s*['"]/gm;
+
+// Test functions of languages where the name alone marks a test
+const NAMED_TESTS = {
+  python: symbol => /^test/.test(symbol.name),
+  go: symbol => /^(?:Test|Benchmark|Fuzz)[A-Z0-9_]/.test(symbol.name) || symbol.name === 'Test',
+  php: symbol => /^test/.test(symbol.name) && Boolean(symbol.className),
+  swift: symbol => /^test/.test(symbol.name) && Boolean(symbol.className),
+  ruby: symbol => /^test_/.test(symbol.name)
+};
+
+// Annotations/attributes on a test method: @Test, [Fact], #[test]
+const ANNOTATED_TESTS = {
+  java: /@(?:Test|ParameterizedTest|RepeatedTest|TestFactory)\b/,
+  kotlin: /@(?:Test|ParameterizedTest|RepeatedTest)\b/,
+  csharp: /\[(?:[\w, ()"]*\b)?(?:Test|TestCase|Fact|Theory|TestMethod|DataTestMethod)\b/,
+  rust: /#\[(?:[\w:]+::)?test\b/
+};
+
+function namedTestCases(metadata, isTest) {
+  return [...(metadata.functions || [])]
+    .filter(symbol => typeof symbol !== 'string' && isTest(symbol))
+    .map(symbol => ({ name: symbol.name, suite: symbol.className, line: symbol.line }));
+}
+
+// Test case names declared in a test file, in source order: [{ name, suite?, line }]
+function extractTests(language, context, metadata) {
+  let cases = [];
+  if (language === 'javascript' || language === 'vue' || language === 'svelte') {
+    cases = extractCallTests(context, JS_TEST_CALL, (code, match) => {
+      const group = readBalanced(code, code.lastIndexOf('(', match.index + match[0].length - 1));
+      return group ? group.end : code.length;
+    });
+  } else if (language === 'ruby') {
+    cases = [
+      ...extractCallTests(context, RUBY_TEST_CALL, (code, match) => findRubyBlockEnd(code, match.index + match[0].search(/\S/))),
+      ...namedTestCases(metadata, NAMED_TESTS.ruby)
+    ];
+  } else if (NAMED_TESTS[language]) {
+    cases = namedTestCases(metadata, NAMED_TESTS[language]);
+  } else if (ANNOTATED_TESTS[language]) {
+    const lines = context.content.split('\n');
+    cases = namedTestCases(metadata, symbol => {
+      // The declaration's first line plus the annotation lines directly above it
+      let first = symbol.line - 1;
+      while (first > 0 && /^\s*(?:@|#?\[)/.test(lines[first - 1])) first--;
+      return ANNOTATED_TESTS[language].test(lines.slice(first, symbol.line).join('\n'));
+    });
+  }
+  return cases
+    .map(testCase => Object.fromEntries(Object.entries(testCase).filter(([, value]) => value !== undefined)))
+    .sort((a, b) => a.line - b.line);
+}
+
+// Directory names shared by two paths, ignoring test directories and Maven's main/test split
+function sharedDirectories(a, b) {
+  const dirs = filePath => toPosix(path.dirname(filePath)).split('/')
+    .filter(part => part !== '.' && part !== 'src' && part !== 'main' && !TEST_DIRECTORY.test(part));
+  const other = new Set(dirs(b));
+  return dirs(a).filter(part => other.has(part)).length;
+}
+
+// Links every test file to the source files it covers: the project files it imports, plus the
+// file it mirrors by name (users.test.ts -> users.ts, test_users.py -> users.py, FooTest.java ->
+// Foo.java). Sets `testsFor` on test files and `testedBy` on sources, and returns the totals for
+// the summary, with the source files no test covers.
+function mapTests(files) {
+  const sources = new Map();
+  for (const [filePath, metadata] of Object.entries(files)) {
+    delete metadata.testsFor;
+    delete metadata.testedBy;
+    if (metadata.test) continue;
+    const stem = path.posix.basename(toPosix(filePath)).replace(/\.[^.]+$/, '');
+    if (!sources.has(stem)) sources.set(stem, []);
+    sources.get(stem).push(filePath);
+  }
+
+  let testFiles = 0;
+  let testCases = 0;
+  for (const [filePath, metadata] of Object.entries(files)) {
+    if (!metadata.test) continue;
+    testFiles++;
+    testCases += (metadata.tests || []).length;
+
+    const covered = new Set((metadata.resolvedImports || []).filter(target => files[target] && !files[target].test));
+    const family = languageFamily(metadata.extension);
+    const candidates = (sources.get(testSubject(filePath)) || [])
+      .filter(candidate => family.includes(files[candidate].extension))
+      // Go tests live next to the package they test
+      .filter(candidate => metadata.extension !== '.go' || path.dirname(candidate) === path.dirname(filePath));
+    if (candidates.length > 0) {
+      const scores = candidates.map(candidate => sharedDirectories(filePath, candidate));
+      const best = Math.max(...scores);
+      candidates.filter((candidate, i) => scores[i] === best).forEach(candidate => covered.add(candidate));
+    }
+
+    if (covered.size > 0) {
+      metadata.testsFor = [...covered].sort();
+      for (const target of metadata.testsFor) {
+        files[target].testedBy = [...(files[target].testedBy || []), filePath];
+      }
+    }
+  }
+
+  if (testFiles === 0) {
+    return null;
+  }
+
+  // Source files with code in them but no test pointing at them
+  const untestedFiles = Object.entries(files)
+    .filter(([, metadata]) => !metadata.test && !metadata.testedBy && !metadata.skipped && !metadata.error)
+    .filter(([filePath, metadata]) => !/\.d\.ts$/.test(filePath)
+      && ['functions', 'classes'].some(key => Array.isArray(metadata[key]) && metadata[key].length > 0))
+    .map(([filePath]) => filePath)
+    .sort();
+
+  return { testFiles, testCases, untestedFiles };
+}
+
+module.exports = {
+  isTestFile,
+  testSubject,
+  extractTests,
+  mapTests
+};
@@ -2,58 +2,40 @@
 
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 const chokidar = require('chokidar');
 const { exec } = require('child_process');
 const ProjectIndexer = require('./indexer');
+const { CONFIG_FILES, resolveOptions, ConfigError } = require('./config');
+const IndexServer = require('./server');
 
-class ProjectWatcher {
+// Emits 'file-added', 'file-changed' and 'file-removed' ({ path }) as chokidar reports
+// changes, and 'index-rebuilt' once they have been applied to the index
+class ProjectWatcher extends EventEmitter {
   constructor(options = {}) {
-    this.rootDir = options.rootDir || process.cwd();
+    super();
+    this.rootDir = path.resolve(options.rootDir || process.cwd());
     this.debounceMs = options.debounceMs || 1000;
     this.indexer = new ProjectIndexer(options);
     this.rebuildTimer = null;
     this.isRebuilding = false;
+    this.index = null;
+    this.pendingEvents = new Map();
+    this.needsFullRebuild = false;
     
-    // Files to watch (same as indexer supported extensions plus config files)
+    // Files to watch: whatever the indexer supports, plus the files that configure it
     this.watchPatterns = [
-      '**/*.js',
-      '**/*.jsx', 
-      '**/*.ts',
-      '**/*.tsx',
-      '**/*.py',
-      '**/*.java',
-      '**/*.cpp',
-      '**/*.c',
-      '**/*.h',
-      '**/*.cs',
-      '**/*.php',
-      '**/*.rb',
-      '**/*.go',
-      '**/*.rs',
-      '**/*.kt',
-      '**/*.swift',
-      '**/*.vue',
-      '**/*.svelte',
+      ...this.indexer.supportedExtensions.map(ext => `**/*${ext}`),
       'package.json',
       'tsconfig.json',
       'jsconfig.json',
-      '.gitignore'
+      ...CONFIG_FILES,
+      '**/.gitignore',
+      '**/.claudeindexignore'
     ];
     
-    // Files/directories to ignore (based on common patterns)
-    this.ignorePatterns = [
-      'node_modules/**',
-      '.git/**',
-      'dist/**',
-      'build/**',
-      '.next/**',
-      '.vercel/**',
-      'coverage/**',
-      '__pycache__/**',
-      '*.min.js',
-      '*.map',
-      'PROJECT_INDEX.json' // Don't watch our own output file
-    ];
+    // Changes to these affect how every file is indexed, so they force a full rebuild
+    this.configFiles = ['package.json', 'tsconfig.json', 'jsconfig.json', '.gitignore', '.claudeindexignore', ...CONFIG_FILES];
   }
 
   start() {
@@ -66,7 +48,7 @@ class ProjectWatcher {
     // Set up file watcher
     const watcher = chokidar.watch(this.watchPatterns, {
       cwd: this.rootDir,
-      ignored: this.ignorePatterns,
+      ignored: (filePath, stats) => this.isIgnored(filePath, stats),
       ignoreInitial: true,
       persistent: true,
       awaitWriteFinish: {
@@ -78,27 +60,31 @@ class ProjectWatcher {
     // Watch for file changes
     watcher.on('add', (filePath) => {
       console.log(`➕ File added: ${filePath}`);
-      this.scheduleRebuild();
+      this.emit('file-added', { path: filePath });
+      this.queueEvent('add', filePath);
     });
     
     watcher.on('change', (filePath) => {
       console.log(`✏️  File changed: ${filePath}`);
-      this.scheduleRebuild();
+      this.emit('file-changed', { path: filePath });
+      this.queueEvent('change', filePath);
     });
     
     watcher.on('unlink', (filePath) => {
       console.log(`➖ File removed: ${filePath}`);
-      this.scheduleRebuild();
+      this.emit('file-removed', { path: filePath });
+      this.queueEvent('unlink', filePath);
     });
     
     watcher.on('addDir', (dirPath) => {
+      // Files inside a new directory arrive as their own 'add' events
       console.log(`📁 Directory added: ${dirPath}`);
-      this.scheduleRebuild();
     });
     
     watcher.on('unlinkDir', (dirPath) => {
       console.log(`📁 Directory removed: ${dirPath}`);
-      this.scheduleRebuild();
+      this.emit('file-removed', { path: dirPath, directory: true });
+      this.queueEvent('unlinkDir', dirPath);
     });
     
     watcher.on('error', (error) => {
@@ -107,7 +93,7 @@ class ProjectWatcher {
     
     watcher.on('ready', () => {
       console.log('✅ Project watcher is ready and monitoring for changes');
-      console.log('⏱️  Changes will trigger index rebuilds with a 1 second debounce');
+      console.log(`⏱️  Changes will update the index after a ${this.debounceMs}ms debounce`);
       console.log('🛑 Press Ctrl+C to stop watching');
     });
 
@@ -129,24 +115,114 @@ class ProjectWatcher {
     });
   }
 
-  scheduleRebuild() {
-    if (this.isRebuilding) {
-      return;
+  // Uses the indexer's gitignore matcher so both agree on what belongs in the index
+  isIgnored(filePath, stats) {
+    const fullPath = path.isAbsolute(filePath) ? filePath : path.join(this.rootDir, filePath);
+    if (fullPath === this.rootDir) {
+      return false;
+    }
+    
+    let isDirectory = stats ? stats.isDirectory() : false;
+    if (!stats) {
+      try {
+        isDirectory = fs.statSync(fullPath).isDirectory();
+      } catch (error) {
+        isDirectory = false;
+      }
+    }
+    
+    return this.indexer.shouldIgnoreFile(fullPath, isDirectory);
+  }
+
+  queueEvent(type, filePath) {
+    if (CONFIG_FILES.includes(filePath)) {
+      // Options are resolved once at startup
+      console.warn(`⚠️  ${filePath} changed; restart the watcher to apply the new configuration`);
+    } else if (this.configFiles.includes(path.basename(filePath))) {
+      this.needsFullRebuild = true;
+    } else {
+      // Later events for the same path supersede earlier ones
+      this.pendingEvents.set(filePath, type);
     }
     
+    this.scheduleRebuild();
+  }
+
+  scheduleRebuild() {
     // Clear existing timer
     if (this.rebuildTimer) {
       clearTimeout(this.rebuildTimer);
     }
     
-    // Schedule new rebuild
+    // Schedule new rebuild; events arriving mid-rebuild stay queued until it finishes
     this.rebuildTimer = setTimeout(() => {
-      this.generateIndex();
+      this.rebuildTimer = null;
+      this.processPendingEvents();
     }, this.debounceMs);
   }
 
+  processPendingEvents() {
+    if (this.isRebuilding) {
+      return;
+    }
+    
+    if (!this.index || this.needsFullRebuild) {
+      this.pendingEvents.clear();
+      this.needsFullRebuild = false;
+      this.generateIndex();
+      return;
+    }
+    
+    const events = this.pendingEvents;
+    this.pendingEvents = new Map();
+    this.isRebuilding = true;
+    
+    try {
+      const startTime = Date.now();
+      let updated = 0;
+      
+      for (const [filePath, type] of events) {
+        const fullPath = path.join(this.rootDir, filePath);
+        let result;
+        if (type === 'unlinkDir') {
+          result = this.indexer.removeIndexDirectory(this.index, fullPath);
+        } else if (type === 'unlink') {
+          result = this.indexer.removeIndexFile(this.index, fullPath);
+        } else {
+          result = this.indexer.updateIndexFile(this.index, fullPath);
+        }
+        if (result) {
+          updated++;
+        }
+      }
+      
+      if (updated > 0) {
+        this.indexer.finalizeIndex(this.index);
+        const { tokens, written } = this.indexer.writeIndex(this.index);
+        this.indexer.saveCache();
+        const shardNote = written ? `, shards rewritten: ${written.join(', ') || 'none'}` : '';
+        const durationMs = Date.now() - startTime;
+        console.log(`✅ Index updated (${updated} file${updated === 1 ? '' : 's'}) in ${durationMs}ms, ~${tokens} tokens${shardNote}`);
+        this.emit('index-rebuilt', { full: false, files: [...events.keys()], totalFiles: this.index.totalFiles, durationMs });
+      }
+    } catch (error) {
+      console.error('❌ Error updating index:', error.message);
+      this.needsFullRebuild = true;
+    } finally {
+      this.isRebuilding = false;
+      this.flushQueuedEvents();
+    }
+  }
+
+  flushQueuedEvents() {
+    if (this.pendingEvents.size > 0 || this.needsFullRebuild) {
+      this.scheduleRebuild();
+    }
+  }
+
   generateIndex() {
     if (this.isRebuilding) {
+      this.needsFullRebuild = true;
       return;
     }
     
@@ -155,13 +231,15 @@ class ProjectWatcher {
     
     try {
       const startTime = Date.now();
-      this.indexer.generateIndex();
+      this.index = this.indexer.generateIndex();
       const duration = Date.now() - startTime;
       console.log(`✅ Index rebuilt in ${duration}ms`);
+      this.emit('index-rebuilt', { full: true, totalFiles: this.index.totalFiles, durationMs: duration });
     } catch (error) {
       console.error('❌ Error rebuilding index:', error.message);
     } finally {
       this.isRebuilding = false;
+      this.flushQueuedEvents();
     }
   }
 
@@ -177,6 +255,7 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   const options = {};
   let watchMode = true;
+  let servePort = null;
   
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -192,6 +271,31 @@ if (require.main === module) {
     } else if (arg === '--debounce' && i + 1 < args.length) {
       options.debounceMs = parseInt(args[i + 1], 10);
       i++;
+    } else if (arg === '--config' && i + 1 < args.length) {
+      options.configFile = args[i + 1];
+      i++;
+    } else if (arg === '--format' && i + 1 < args.length) {
+      options.format = args[i + 1];
+      i++;
+    } else if (arg === '--max-tokens' && i + 1 < args.length) {
+      options.maxTokens = Number(args[i + 1]);
+      i++;
+    } else if (arg === '--shard') {
+      options.shard = true;
+    } else if (arg === '--git') {
+      options.git = true;
+    } else if (arg === '--package' && i + 1 < args.length) {
+      options.package = args[i + 1];
+      i++;
+    } else if (arg === '--serve' && i + 1 < args.length) {
+      servePort = Number(args[i + 1]);
+      i++;
+    } else if (arg === '--no-cache') {
+      options.useCache = false;
+    } else if (arg === '--no-docs') {
+      options.docs = false;
+    } else if (arg === '--legacy-functions') {
+      options.legacyFunctions = true;
     } else if (arg === '--help' || arg === '-h') {
       console.log(`
 Project Index Watcher
@@ -201,24 +305,57 @@ Usage: node watcher.js [options]
 Options:
   --once, -o          Generate index once and exit (don't watch)
   --root <path>       Project root directory (default: current directory)
-  --output <file>     Output file name (default: PROJECT_INDEX.json)
+  --output <file>     Output file name (default: PROJECT_INDEX.json, .txt or .md by format)
+  --format <format>   Output format: json, compact or markdown (default: json)
+  --max-tokens <n>    Drop detail until the output fits about n tokens
+  --shard             Write a manifest plus one JSON shard per top-level directory or workspace package
+  --git               Add last commit, recent commit count and main authors to each file
+  --package <name>    Index only this workspace package (name or directory)
+  --serve <port>      Also serve the index and change events over HTTP on 127.0.0.1:<port>
   --debounce <ms>     Debounce time in milliseconds (default: 1000)
+  --config <file>     Config file (default: .claudeindexrc.json, claude-index.config.js
+                      or the "claudeIndex" key in package.json)
+  --no-cache          Re-parse every file instead of reusing cached metadata
+  --no-docs           Leave out doc comment summaries and file descriptions
+  --legacy-functions  Emit symbol lists as plain name arrays (pre-signature format)
   --help, -h          Show this help message
 
 Examples:
   node watcher.js                    # Start watching current directory
   node watcher.js --once             # Generate index once and exit
   node watcher.js --root /path/to/project --debounce 500
+  node watcher.js --serve 7337       # Watch and serve http://127.0.0.1:7337
       `);
       process.exit(0);
     }
   }
   
-  if (watchMode) {
-    const watcher = new ProjectWatcher(options);
-    watcher.start();
-  } else {
-    ProjectWatcher.runOnce(options);
+  if (servePort !== null && (!Number.isInteger(servePort) || servePort < 0 || servePort > 65535 || !watchMode)) {
+    console.error(watchMode ? '❌ --serve expects a port number between 0 and 65535' : '❌ --serve needs watch mode; drop --once');
+    process.exit(1);
+  }
+  
+  try {
+    const { options: resolved, source } = resolveOptions(options);
+    if (source) {
+      console.log(`⚙️  Using config from ${source}`);
+    }
+    
+    if (watchMode) {
+      const watcher = new ProjectWatcher(resolved);
+      watcher.start();
+      if (servePort !== null) {
+        new IndexServer(watcher, { port: servePort }).start();
+      }
+    } else {
+      ProjectWatcher.runOnce(resolved);
+    }
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
   }
 }
 
@@ -0,0 +1,529 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./gitignore');
+const { parseJsonWithComments } = require('./resolver');
+
+// Never searched for workspace members, even by `**` patterns
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'target', 'vendor', 'dist', 'build', '__pycache__']);
+
+const NODE_DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+const CARGO_DEPENDENCY_TABLES = ['dependencies', 'dev-dependencies', 'build-dependencies'];
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Also reads tsconfig-style files, which allow comments and trailing commas
+function readJson(filePath) {
+  const text = readText(filePath);
+  if (text === null) {
+    return null;
+  }
+  try {
+    return parseJsonWithComments(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+function isDirectory(dirPath) {
+  try {
+    return fs.statSync(dirPath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Parses the subset of TOML that Cargo.toml and pyproject.toml use: tables, arrays of
+// tables, dotted and quoted keys, strings, arrays and inline tables. Throws on anything else.
+function parseToml(text) {
+  const root = {};
+  let table = root;
+  let i = 0;
+
+  const fail = message => {
+    throw new Error(`TOML: ${message} at line ${text.slice(0, i).split('\n').length}`);
+  };
+  const skipSpace = () => {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+  };
+  // Whitespace, newlines and comments, as allowed between array elements
+  const skipBlank = () => {
+    while (i < text.length) {
+      if (/\s/.test(text[i])) {
+        i++;
+      } else if (text[i] === '#') {
+        while (i < text.length && text[i] !== '\n') i++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readString = () => {
+    const quote = text[i];
+    if (text.startsWith(quote.repeat(3), i)) {
+      const end = text.indexOf(quote.repeat(3), i + 3);
+      if (end === -1) fail('unterminated string');
+      const value = text.slice(i + 3, end).replace(/^\r?\n/, '');
+      i = end + 3;
+      return value;
+    }
+
+    let value = '';
+    for (i++; i < text.length && text[i] !== quote; i++) {
+      if (text[i] === '\n') fail('unterminated string');
+      if (quote === '"' && text[i] === '\\') {
+        const escape = text[++i];
+        value += { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' }[escape] || escape;
+      } else {
+        value += text[i];
+      }
+    }
+    i++;
+    return value;
+  };
+
+  const readKey = () => {
+    const parts = [];
+    for (;;) {
+      skipSpace();
+      if (text[i] === '"' || text[i] === "'") {
+        parts.push(readString());
+      } else {
+        const match = /[A-Za-z0-9_-]+/y;
+        match.lastIndex = i;
+        const found = match.exec(text);
+        if (!found) fail('expected a key');
+        parts.push(found[0]);
+        i += found[0].length;
+      }
+      skipSpace();
+      if (text[i] !== '.') return parts;
+      i++;
+    }
+  };
+
+  const descend = (target, keys) => {
+    let node = target;
+    for (const key of keys) {
+      if (Array.isArray(node[key])) {
+        node = node[key][node[key].length - 1];
+      } else {
+        if (node[key] === undefined || typeof node[key] !== 'object') node[key] = {};
+        node = node[key];
+      }
+    }
+    return node;
+  };
+
+  const readValue = () => {
+    const char = text[i];
+    if (char === '"' || char === "'") {
+      return readString();
+    }
+    if (char === '[') {
+      const values = [];
+      for (i++; ;) {
+        skipBlank();
+        if (text[i] === ']') break;
+        values.push(readValue());
+        skipBlank();
+        if (text[i] === ',') i++;
+        else if (text[i] !== ']') fail('expected , or ] in array');
+      }
+      i++;
+      return values;
+    }
+    if (char === '{') {
+      const values = {};
+      for (i++; ;) {
+        skipSpace();
+        if (text[i] === '}') break;
+        const keys = readKey();
+        if (text[i] !== '=') fail('expected =');
+        i++;
+        skipSpace();
+        descend(values, keys.slice(0, -1))[keys[keys.length - 1]] = readValue();
+        skipSpace();
+        if (text[i] === ',') i++;
+        else if (text[i] !== '}') fail('expected , or } in inline table');
+      }
+      i++;
+      return values;
+    }
+
+    const match = /[^\s,\]}#]+/y;
+    match.lastIndex = i;
+    const found = match.exec(text);
+    if (!found) fail('expected a value');
+    i += found[0].length;
+    const raw = found[0];
+    if (raw === 'true' || raw === 'false') return raw === 'true';
+    return /^[+-]?\d[\d_]*(?:\.\d+)?$/.test(raw) ? Number(raw.replace(/_/g, '')) : raw;
+  };
+
+  while (i < text.length) {
+    skipBlank();
+    if (i >= text.length) break;
+
+    if (text[i] === '[') {
+      const isArray = text[i + 1] === '[';
+      i += isArray ? 2 : 1;
+      const keys = readKey();
+      if (text[i] !== ']' || (isArray && text[i + 1] !== ']')) fail('unclosed table header');
+      i += isArray ? 2 : 1;
+      if (isArray) {
+        const parent = descend(root, keys.slice(0, -1));
+        const last = keys[keys.length - 1];
+        if (!Array.isArray(parent[last])) parent[last] = [];
+        parent[last].push({});
+        table = parent[last][parent[last].length - 1];
+      } else {
+        table = descend(root, keys);
+      }
+    } else {
+      const keys = readKey();
+      if (text[i] !== '=') fail('expected =');
+      i++;
+      skipSpace();
+      descend(table, keys.slice(0, -1))[keys[keys.length - 1]] = readValue();
+    }
+
+    skipSpace();
+    if (text[i] === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+    }
+    if (i < text.length && text[i] !== '\n' && text[i] !== '\r') fail('expected a new line');
+  }
+
+  return root;
+}
+
+function readToml(filePath) {
+  const text = readText(filePath);
+  if (text === null) {
+    return null;
+  }
+  try {
+    return parseToml(text);
+  } catch (error) {
+    console.warn(`⚠️  Could not parse ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+// Workspace package patterns from the root package.json ("workspaces" as an array or { packages })
+function readWorkspacePatterns(rootDir) {
+  const manifest = readJson(path.join(rootDir, 'package.json'));
+  const workspaces = manifest && (Array.isArray(manifest.workspaces) ? manifest.workspaces : (manifest.workspaces || {}).packages);
+  return Array.isArray(workspaces) ? workspaces.filter(pattern => typeof pattern === 'string' && !pattern.startsWith('!')) : [];
+}
+
+// The `packages` list of pnpm-workspace.yaml, in block or flow style
+function readPnpmPatterns(rootDir) {
+  const text = readText(path.join(rootDir, 'pnpm-workspace.yaml'));
+  if (text === null) {
+    return [];
+  }
+
+  const unquote = value => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+  const flow = text.match(/^packages:\s*\[([^\]]*)\]/m);
+  if (flow) {
+    return flow[1].split(',').map(unquote).filter(Boolean);
+  }
+
+  const patterns = [];
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex(line => /^packages:\s*(?:#.*)?$/.test(line));
+  for (const line of start === -1 ? [] : lines.slice(start + 1)) {
+    if (/^\s*(?:#.*)?$/.test(line)) continue;
+    const item = line.match(/^\s+-\s*(.+?)\s*(?:#.*)?$/);
+    if (!item) break;
+    patterns.push(unquote(item[1]));
+  }
+  return patterns;
+}
+
+// Directories below relativeDir, skipping hidden and build output directories
+function subdirectories(rootDir, relativeDir, recursive) {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(rootDir, relativeDir), { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const dirs = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.') || SKIPPED_DIRECTORIES.has(entry.name)) continue;
+    const child = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    dirs.push(child);
+    if (recursive) dirs.push(...subdirectories(rootDir, child, true));
+  }
+  return dirs;
+}
+
+// Expands member globs (`packages/*`, `apps/**`, `!packages/legacy`) to existing directories
+function expandPatterns(rootDir, patterns) {
+  const included = new Set();
+  const excluded = [];
+
+  for (const rawPattern of patterns) {
+    const negated = rawPattern.startsWith('!');
+    const pattern = rawPattern.replace(/^!/, '').replace(/^\.\//, '').replace(/\/+$/, '');
+    if (negated) {
+      excluded.push(new RegExp(`^${globToRegExp(pattern)}$`));
+      continue;
+    }
+
+    let dirs = [''];
+    for (const segment of pattern.split('/')) {
+      if (!segment || segment === '.') continue;
+      const next = [];
+      for (const dir of dirs) {
+        if (segment === '**') {
+          next.push(dir, ...subdirectories(rootDir, dir, true));
+        } else if (/[*?[]/.test(segment)) {
+          const regex = new RegExp(`^${globToRegExp(segment)}$`);
+          next.push(...subdirectories(rootDir, dir, false).filter(child => regex.test(path.posix.basename(child))));
+        } else {
+          const child = dir ? `${dir}/${segment}` : segment;
+          if (isDirectory(path.join(rootDir, child))) next.push(child);
+        }
+      }
+      dirs = next;
+    }
+    dirs.filter(Boolean).forEach(dir => included.add(dir));
+  }
+
+  return [...included].filter(dir => !excluded.some(regex => regex.test(dir))).sort();
+}
+
+function joinRoot(root, target) {
+  return path.posix.normalize(path.posix.join(root, target));
+}
+
+// Every string target in an `exports` map, minus type declarations and subpath patterns
+function exportTargets(exportsField) {
+  if (typeof exportsField === 'string') {
+    return exportsField.includes('*') || exportsField.endsWith('.d.ts') ? [] : [exportsField];
+  }
+  if (exportsField && typeof exportsField === 'object') {
+    return Object.values(exportsField).flatMap(exportTargets);
+  }
+  return [];
+}
+
+function nodePackage(rootDir, root) {
+  const manifest = readJson(path.join(rootDir, root, 'package.json'));
+  if (!manifest) {
+    return null;
+  }
+
+  const bin = typeof manifest.bin === 'string' ? [manifest.bin] : Object.values(manifest.bin || {});
+  const targets = [manifest.main, manifest.module, ...bin, ...exportTargets(manifest.exports)]
+    .filter(target => typeof target === 'string')
+    .map(target => joinRoot(root, target));
+  return {
+    name: typeof manifest.name === 'string' ? manifest.name : root,
+    root,
+    ecosystem: 'node',
+    entryPoints: [...new Set(targets)],
+    dependencies: NODE_DEPENDENCY_FIELDS.flatMap(field => Object.keys(manifest[field] || {}))
+  };
+}
+
+function cargoPackage(rootDir, root) {
+  const manifest = readToml(path.join(rootDir, root, 'Cargo.toml'));
+  if (!manifest || !manifest.package) {
+    return null;
+  }
+
+  const entryPoints = [];
+  const lib = (manifest.lib && manifest.lib.path) || 'src/lib.rs';
+  if (fs.existsSync(path.join(rootDir, root, lib))) entryPoints.push(lib);
+  if (fs.existsSync(path.join(rootDir, root, 'src/main.rs'))) entryPoints.push('src/main.rs');
+  for (const bin of manifest.bin || []) {
+    if (bin.path) entryPoints.push(bin.path);
+  }
+
+  // A renamed dependency (`alias = { package = "real-name" }`) still points at real-name
+  const dependencies = CARGO_DEPENDENCY_TABLES.flatMap(table => Object.entries(manifest[table] || {})
+    .map(([key, spec]) => (spec && typeof spec === 'object' && spec.package) || key));
+  return {
+    name: manifest.package.name || root,
+    root,
+    ecosystem: 'cargo',
+    entryPoints: [...new Set(entryPoints)].map(target => joinRoot(root, target)),
+    dependencies
+  };
+}
+
+// { module, go, dependencies } from go.mod text, or null without a module line
+function parseGoMod(text) {
+  const modulePath = text && text.match(/^module\s+(\S+)/m);
+  if (!modulePath) {
+    return null;
+  }
+
+  // `require x v1` lines, plus each line of `require ( ... )` blocks
+  const dependencies = [];
+  for (const block of text.matchAll(/^require\s*\(([^)]*)\)/gm)) {
+    for (const line of block[1].split('\n')) {
+      const name = line.trim().split(/\s+/)[0];
+      if (name && !name.startsWith('//')) dependencies.push(name);
+    }
+  }
+  for (const single of text.matchAll(/^require\s+([^\s(]+)/gm)) {
+    dependencies.push(single[1]);
+  }
+
+  const goVersion = text.match(/^go\s+(\S+)/m);
+  return { module: modulePath[1], go: goVersion ? goVersion[1] : null, dependencies };
+}
+
+function goPackage(rootDir, root) {
+  const goMod = parseGoMod(readText(path.join(rootDir, root, 'go.mod')));
+  if (!goMod) {
+    return null;
+  }
+
+  const mains = ['main.go', ...subdirectories(rootDir, root ? `${root}/cmd` : 'cmd', false)
+    .map(dir => `${path.posix.relative(root || '.', dir)}/main.go`)];
+  return {
+    name: goMod.module,
+    root,
+    ecosystem: 'go',
+    entryPoints: mains.filter(main => fs.existsSync(path.join(rootDir, root, main))).map(main => joinRoot(root, main)),
+    dependencies: goMod.dependencies
+  };
+}
+
+// PEP 503 normalization, so `My_Package` and `my-package` name the same distribution
+function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+function pythonPackage(rootDir, root) {
+  const manifest = readToml(path.join(rootDir, root, 'pyproject.toml'));
+  const project = manifest && (manifest.project || (manifest.tool && manifest.tool.poetry));
+  if (!project || !project.name) {
+    return null;
+  }
+
+  // `[project.scripts]` values are `module.path:function`; find the module in a flat or src/ layout
+  const entryPoints = [];
+  for (const target of Object.values(project.scripts || {})) {
+    if (typeof target !== 'string') continue;
+    const modulePath = target.split(':')[0].trim().split('.').join('/');
+    const found = [`${modulePath}.py`, `${modulePath}/__init__.py`, `src/${modulePath}.py`, `src/${modulePath}/__init__.py`]
+      .find(candidate => fs.existsSync(path.join(rootDir, root, candidate)));
+    if (found) entryPoints.push(joinRoot(root, found));
+  }
+
+  const requirements = Array.isArray(project.dependencies) ? project.dependencies : Object.keys(project.dependencies || {});
+  return {
+    name: project.name,
+    root,
+    ecosystem: 'python',
+    entryPoints,
+    dependencies: requirements
+      .map(requirement => (String(requirement).match(/^[A-Za-z0-9._-]+/) || [''])[0])
+      .filter(Boolean)
+      .map(normalizePythonName)
+  };
+}
+
+// Workspace members declared by each ecosystem's root manifest, as [{ root, read }]
+function declaredMembers(rootDir) {
+  const members = [];
+  const add = (roots, read) => roots.forEach(root => members.push({ root, read }));
+
+  add(expandPatterns(rootDir, [...readWorkspacePatterns(rootDir), ...readPnpmPatterns(rootDir)]), nodePackage);
+
+  const cargo = readToml(path.join(rootDir, 'Cargo.toml'));
+  if (cargo && cargo.workspace) {
+    const exclude = (cargo.workspace.exclude || []).map(pattern => `!${pattern}`);
+    add(expandPatterns(rootDir, [...(cargo.workspace.members || []), ...exclude]), cargoPackage);
+  }
+
+  const goWork = readText(path.join(rootDir, 'go.work'));
+  if (goWork) {
+    const uses = [];
+    for (const block of goWork.matchAll(/^use\s*\(([^)]*)\)/gm)) {
+      uses.push(...block[1].split('\n').map(line => line.replace(/\/\/.*/, '').trim()).filter(Boolean));
+    }
+    for (const single of goWork.matchAll(/^use\s+([^\s(]+)/gm)) {
+      uses.push(single[1]);
+    }
+    add(uses.map(use => path.posix.normalize(use.replace(/^\.\//, ''))).map(root => (root === '.' ? '' : root)), goPackage);
+  }
+
+  const pyproject = readToml(path.join(rootDir, 'pyproject.toml'));
+  const uvWorkspace = pyproject && pyproject.tool && pyproject.tool.uv && pyproject.tool.uv.workspace;
+  if (uvWorkspace) {
+    const exclude = (uvWorkspace.exclude || []).map(pattern => `!${pattern}`);
+    add(expandPatterns(rootDir, [...(uvWorkspace.members || []), ...exclude]), pythonPackage);
+  }
+
+  return members;
+}
+
+// Workspace packages of the project as [{ name, root, ecosystem, entryPoints, dependencies }],
+// sorted by root. `root` is a posix path relative to rootDir ('' for the root itself);
+// `dependencies` holds every declared dependency name, workspace or not.
+function discoverWorkspaces(rootDir) {
+  const packages = new Map();
+  for (const { root, read } of declaredMembers(rootDir)) {
+    // A directory listed by two manifests keeps its first package
+    if (packages.has(root)) continue;
+    const found = read(rootDir, root);
+    if (found) packages.set(root, found);
+  }
+  return [...packages.values()].sort((a, b) => a.root.localeCompare(b.root));
+}
+
+// Packages defined by the root manifests themselves, e.g. a single-package repository's
+// package.json and pyproject.toml
+function rootPackages(rootDir) {
+  return [nodePackage, cargoPackage, goPackage, pythonPackage].map(read => read(rootDir, '')).filter(Boolean);
+}
+
+// The package owning a file: the one with the deepest root containing it
+function packageFor(packages, relativePath) {
+  const posixPath = relativePath.split(path.sep).join('/');
+  let owner = null;
+  for (const workspace of packages) {
+    if (workspace.root === '' || posixPath.startsWith(`${workspace.root}/`)) {
+      if (!owner || workspace.root.length > owner.root.length) owner = workspace;
+    }
+  }
+  return owner;
+}
+
+// Names of the other workspace packages a package declares as dependencies
+function workspaceDependencies(packages, workspace) {
+  const declared = new Set(workspace.dependencies.map(name => (workspace.ecosystem === 'python' ? normalizePythonName(name) : name)));
+  return packages
+    .filter(other => other !== workspace && other.ecosystem === workspace.ecosystem)
+    .filter(other => declared.has(other.ecosystem === 'python' ? normalizePythonName(other.name) : other.name))
+    .map(other => other.name);
+}
+
+module.exports = {
+  discoverWorkspaces,
+  rootPackages,
+  packageFor,
+  workspaceDependencies,
+  readWorkspacePatterns,
+  readText,
+  readJson,
+  readToml,
+  parseGoMod,
+  parseToml
+};